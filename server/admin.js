@@ -0,0 +1,226 @@
+import { checkPassword, issueToken, requireAdmin } from './auth.js';
+import { listLeads, updateLead } from './nocodb.js';
+import { getCatalog, getPublishedCatalog, publishCatalog } from './catalogStore.js';
+import { buildReport } from './analytics.js';
+import { findSimilarCases } from './caseLibrary.js';
+import { buildQuotePrompt, buildSpecPrompt, buildSystemPrompt } from './prompts.js';
+import { finalizeQuote, requireLocale, requireQA, requireRequest } from './routes.js';
+import { generateStructured } from './structured.js';
+import { screenRequest } from './screening.js';
+import { HttpError, abortOnClose, readJson, sendJson } from './http.js';
+import { isLeadStatus } from '../shared/leads.js';
+import { localizeCatalog, validateCatalog } from '../shared/catalog.js';
+import { applyVariant, describeVariants, findVariant } from '../shared/experiments.js';
+import { normalizeSpec } from '../shared/spec.js';
+import { QUESTIONS_SCHEMA, QUOTE_SCHEMA, SPEC_SCHEMA, ensureQuestionIds } from '../shared/schema.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 目录里带着整套提示词模板，请求体上限放宽
+const MAX_CATALOG_BYTES = 256 * 1024;
+
+const PREVIEW_STAGES = ['screening', 'questions', 'quote'];
+
+// 规格书里一个档位的功能条数上限，防止把整段文字塞进来
+const MAX_SPEC_FEATURES = 30;
+const MAX_FEATURE_LENGTH = 200;
+
+// 漏斗报表默认看最近 30 天，最多一年
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 366;
+
+// 后台登录
+const handleLogin = async (req, res) => {
+  const body = await readJson(req);
+  if (!checkPassword(body.password || '')) {
+    throw new HttpError(401, "密码错误");
+  }
+  sendJson(res, 200, { token: issueToken() });
+};
+
+// 线索列表：支持关键词、状态、日期范围和分页
+const handleListLeads = async (req, res, { query }) => {
+  requireAdmin(req);
+
+  if (query.status && !isLeadStatus(query.status)) {
+    throw new HttpError(400, "未知的线索状态");
+  }
+  if ((query.from && !DATE_PATTERN.test(query.from)) || (query.to && !DATE_PATTERN.test(query.to))) {
+    throw new HttpError(400, "日期格式应为 YYYY-MM-DD");
+  }
+
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  sendJson(res, 200, await listLeads({
+    search: query.search?.trim().slice(0, 100),
+    status: query.status,
+    from: query.from,
+    to: query.to,
+    page
+  }));
+};
+
+// 更新线索状态 / 成交价
+const handleUpdateLead = async (req, res, { params }) => {
+  requireAdmin(req);
+
+  const id = parseInt(params.id, 10);
+  if (!id) {
+    throw new HttpError(400, "线索 ID 无效");
+  }
+
+  const body = await readJson(req);
+  const fields = {};
+  if (body.status !== undefined) {
+    if (!isLeadStatus(body.status)) {
+      throw new HttpError(400, "未知的线索状态");
+    }
+    fields.Status = body.status;
+  }
+  if (body.finalPrice !== undefined) {
+    const price = body.finalPrice === null || body.finalPrice === '' ? null : Number(body.finalPrice);
+    if (price !== null && (!Number.isFinite(price) || price < 0)) {
+      throw new HttpError(400, "成交价格式错误");
+    }
+    fields.Final_Price = price;
+  }
+  if (Object.keys(fields).length === 0) {
+    throw new HttpError(400, "没有需要更新的字段");
+  }
+
+  await updateLead(id, fields);
+  sendJson(res, 200, { ok: true });
+};
+
+// 生成交付规格书：线索详情里选定档位（或客户的定制方案）后调用，返回结构化的规格书，
+// 由后台页面导出为 Markdown 和平台骨架文件。规格书给我们自己看，不按客户语言翻译
+const handleGenerateSpec = async (req, res) => {
+  requireAdmin(req);
+  const body = await readJson(req);
+
+  const request = requireRequest(body.request);
+  const qa = requireQA(body.qa);
+  const name = typeof body.tier?.name === 'string' ? body.tier.name.trim().slice(0, 50) : '';
+  const features = Array.isArray(body.tier?.features)
+    ? body.tier.features.filter(feature => typeof feature === 'string' && feature.trim())
+      .slice(0, MAX_SPEC_FEATURES).map(feature => feature.slice(0, MAX_FEATURE_LENGTH))
+    : [];
+  if (!name || features.length === 0) {
+    throw new HttpError(400, "请选择要交付的档位");
+  }
+
+  const catalog = await getCatalog();
+  const platform = Object.hasOwn(catalog.pricing.platforms, body.platform) ? body.platform : Object.keys(catalog.pricing.platforms)[0];
+  const spec = await generateStructured({
+    prompt: buildSpecPrompt(request, qa, { name, features }, platform),
+    systemPrompt: buildSystemPrompt(catalog, 'spec'),
+    schema: SPEC_SCHEMA,
+    signal: abortOnClose(res)
+  });
+  sendJson(res, 200, { spec: normalizeSpec(spec), platform });
+};
+
+// 当前发布的服务目录
+const handleGetCatalog = async (req, res) => {
+  requireAdmin(req);
+  sendJson(res, 200, await getPublishedCatalog());
+};
+
+// 发布新目录，立即对之后的请求生效
+const handlePublishCatalog = async (req, res) => {
+  requireAdmin(req);
+  const body = await readJson(req, MAX_CATALOG_BYTES);
+  const { version, publishedAt } = await publishCatalog(body.catalog);
+  sendJson(res, 200, { version, publishedAt });
+};
+
+// 用未发布的草稿试跑：screening / questions 阶段只需 request；quote 阶段再带上 qa。
+// dryRun 为 true 时只返回渲染后的提示词，不调用模型。locale 用来检查各语言的译文，
+// variant（"实验 id/变体 id"）用来试跑草稿里某个实验变体的提示词和展示方式。
+const handlePreviewCatalog = async (req, res) => {
+  requireAdmin(req);
+  const body = await readJson(req, MAX_CATALOG_BYTES);
+
+  const errors = validateCatalog(body.catalog);
+  if (errors.length) {
+    throw new HttpError(400, errors.join('；'));
+  }
+  if (!PREVIEW_STAGES.includes(body.stage)) {
+    throw new HttpError(400, "未知的预览阶段");
+  }
+
+  const variant = body.variant ? findVariant(body.catalog.experiments, body.variant) : null;
+  if (body.variant && !variant) {
+    throw new HttpError(400, "未知的实验变体");
+  }
+
+  const { stage } = body;
+  const locale = requireLocale(body.locale);
+  const catalog = applyVariant(localizeCatalog(body.catalog, locale), variant);
+  const request = requireRequest(body.request);
+  const qa = stage === 'quote' ? requireQA(body.qa) : [];
+  const cases = stage === 'quote' ? await findSimilarCases(request) : [];
+  const systemPrompt = buildSystemPrompt(catalog, stage, locale);
+  const prompt = stage === 'quote' ? buildQuotePrompt(request, qa, cases) : request;
+
+  if (body.dryRun) {
+    sendJson(res, 200, { systemPrompt, prompt });
+    return;
+  }
+
+  const signal = abortOnClose(res);
+  if (stage === 'screening') {
+    // 连同关键词规则一起跑，结果与线上一致
+    sendJson(res, 200, { systemPrompt, prompt, result: await screenRequest(request, catalog, { signal, locale }) });
+    return;
+  }
+
+  const result = await generateStructured({
+    prompt,
+    systemPrompt,
+    schema: stage === 'quote' ? QUOTE_SCHEMA : QUESTIONS_SCHEMA,
+    signal
+  });
+  sendJson(res, 200, {
+    systemPrompt,
+    prompt,
+    result: stage === 'quote'
+      ? finalizeQuote(result, qa, catalog, cases, variant)
+      : { ...result, questions: ensureQuestionIds(result.questions) }
+  });
+};
+
+// 漏斗报表，附上类别和档位的名称方便展示
+const handleAnalytics = async (req, res, { query }) => {
+  requireAdmin(req);
+
+  const to = query.to || new Date().toISOString().slice(0, 10);
+  const from = query.from || new Date(Date.parse(to) - (DEFAULT_REPORT_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+    throw new HttpError(400, "日期格式应为 YYYY-MM-DD");
+  }
+  const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+  if (!(days >= 1 && days <= MAX_REPORT_DAYS)) {
+    throw new HttpError(400, `统计范围应在 1 到 ${MAX_REPORT_DAYS} 天之间`);
+  }
+
+  const catalog = await getCatalog();
+  sendJson(res, 200, {
+    ...await buildReport({ from, to }),
+    categories: Object.fromEntries(catalog.categories.map(category => [category.id, category.name])),
+    tierNames: catalog.pricing.tiers.map(tier => tier.name),
+    variantNames: describeVariants(catalog.experiments)
+  });
+};
+
+export const adminRoutes = [
+  // 登录限流，防止暴力破解密码
+  { method: 'POST', path: '/api/admin/login', handler: handleLogin, rateLimited: true },
+  { method: 'GET', path: '/api/admin/leads', handler: handleListLeads },
+  { method: 'PATCH', path: '/api/admin/leads/:id', handler: handleUpdateLead },
+  { method: 'POST', path: '/api/admin/spec', handler: handleGenerateSpec },
+  { method: 'GET', path: '/api/admin/catalog', handler: handleGetCatalog },
+  { method: 'PUT', path: '/api/admin/catalog', handler: handlePublishCatalog },
+  { method: 'POST', path: '/api/admin/catalog/preview', handler: handlePreviewCatalog },
+  { method: 'GET', path: '/api/admin/analytics', handler: handleAnalytics }
+];
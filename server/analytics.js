@@ -0,0 +1,189 @@
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import readline from 'node:readline';
+import { config } from './config.js';
+import { HttpError } from './http.js';
+import { ANALYTICS_EVENTS, FUNNEL_STAGES, MAX_EVENT_BATCH } from '../shared/analytics.js';
+
+// --- 埋点存储与漏斗统计 ---
+// 事件按天追加到 DATA_DIR/events/YYYY-MM-DD.jsonl，一行一个事件，不依赖任何第三方统计服务。
+// 统计时逐行读取日期范围内的文件，量不大时足够；数据多了再换数据库。
+
+const EVENTS_DIR = path.join(config.dataDir, 'events');
+
+const SESSION_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+const MAX_PROPS = 10;
+const MAX_PROP_LENGTH = 300;
+
+// 后台只展示最近这么多条"其他"答案
+const CUSTOM_ANSWER_LIMIT = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 只保留字符串、数字、布尔和 null，字符串截断，防止被塞进大段内容
+const sanitizeProps = (props) => {
+  if (!props || typeof props !== 'object' || Array.isArray(props)) return {};
+  return Object.fromEntries(Object.entries(props)
+    .filter(([, value]) => value === null || ['string', 'number', 'boolean'].includes(typeof value))
+    .slice(0, MAX_PROPS)
+    .map(([key, value]) => [key.slice(0, 40), typeof value === 'string' ? value.slice(0, MAX_PROP_LENGTH) : value]));
+};
+
+// 上报格式：{ sessionId, locale, events: [{ name, props, at }] }；不认识的事件直接丢弃。
+// variant 为服务端按访客 ID 分配的实验变体，统计时按它对比各变体的转化
+export const requireEventBatch = (body, variant = null) => {
+  const { sessionId, locale = null, events } = body;
+  if (typeof sessionId !== 'string' || !SESSION_PATTERN.test(sessionId)
+    || !Array.isArray(events) || events.length > MAX_EVENT_BATCH) {
+    throw new HttpError(400, "埋点数据格式错误");
+  }
+  const now = Date.now();
+  return events
+    .filter(event => ANALYTICS_EVENTS.includes(event?.name))
+    .map(event => ({
+      // 客户端时间只用来排序，偏差太大的以服务端时间为准
+      at: Number.isFinite(event.at) && Math.abs(event.at - now) < DAY_MS ? event.at : now,
+      sessionId,
+      locale: typeof locale === 'string' ? locale.slice(0, 10) : null,
+      variant,
+      name: event.name,
+      props: sanitizeProps(event.props)
+    }));
+};
+
+// 往 Map 里的数组追加一项
+const append = (map, key, value) => {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+};
+
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+export const recordEvents = async (events) => {
+  if (events.length === 0) return;
+  await fsp.mkdir(EVENTS_DIR, { recursive: true });
+
+  // 一批事件可能跨越零点，按天分组写入
+  const byDay = new Map();
+  events.forEach(event => append(byDay, dayOf(event.at), event));
+  for (const [day, list] of byDay) {
+    await fsp.appendFile(path.join(EVENTS_DIR, `${day}.jsonl`), list.map(event => `${JSON.stringify(event)}\n`).join(''));
+  }
+};
+
+// 逐行读取 from ~ to（含）的事件，损坏的行跳过
+async function* readEvents(from, to) {
+  for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+    const file = path.join(EVENTS_DIR, `${dayOf(time)}.jsonl`);
+    if (!fs.existsSync(file)) continue;
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      try {
+        if (line) yield JSON.parse(line);
+      } catch {
+        // 写到一半的行
+      }
+    }
+  }
+}
+
+const average = (values) => (values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+// 各实验变体的漏斗：每个会话归入它最后一次上报时所在的变体，没有参与实验的归入 null。
+// contactRate 为看到方案的会话中复制方案或留下联系方式的比例
+const compareVariants = (reached, sessionVariants) => {
+  const variants = new Map();
+  FUNNEL_STAGES.forEach(stage => {
+    reached.get(stage.key).forEach(sessionId => {
+      const variant = sessionVariants.get(sessionId) ?? null;
+      if (!variants.has(variant)) variants.set(variant, Object.fromEntries(FUNNEL_STAGES.map(item => [item.key, 0])));
+      variants.get(variant)[stage.key] += 1;
+    });
+  });
+  return [...variants]
+    .map(([variant, sessions]) => ({
+      variant,
+      sessions,
+      contactRate: sessions.quote ? sessions.contact / sessions.quote : null
+    }))
+    // 未参与实验的排在最后
+    .sort((a, b) => (a.variant === null) - (b.variant === null) || String(a.variant).localeCompare(String(b.variant)));
+};
+
+// 汇总：漏斗各阶段的会话数、各实验变体的转化、各步骤平均停留时长、按类别的平均报价、
+// 请求失败次数、档位关注度和"其他"答案
+export const buildReport = async ({ from, to }) => {
+  const reached = new Map(FUNNEL_STAGES.map(stage => [stage.key, new Set()]));
+  const sessionVariants = new Map();
+  const durations = new Map();
+  const prices = new Map();
+  const errors = new Map();
+  const tiers = new Map();
+  const customAnswers = [];
+
+  const countTier = (index, field) => {
+    if (!Number.isInteger(index)) return;
+    const entry = tiers.get(index) || { index, hovers: 0, selections: 0 };
+    entry[field] += 1;
+    tiers.set(index, entry);
+  };
+
+  for await (const event of readEvents(from, to)) {
+    const { name, props, sessionId } = event;
+    // 实验上线前记录的事件没有 variant 字段
+    if (event.variant) sessionVariants.set(sessionId, event.variant);
+    for (const stage of FUNNEL_STAGES) {
+      if ((name === 'step_change' && props.to === stage.step) || stage.events?.includes(name)) {
+        reached.get(stage.key).add(sessionId);
+      }
+    }
+
+    if (name === 'step_change' && props.from && Number.isFinite(props.duration)) {
+      append(durations, props.from, props.duration);
+    } else if (name === 'quote_ready' && Number.isFinite(props.minPrice)) {
+      append(prices, props.category || 'other', props);
+    } else if (name === 'request_error') {
+      const key = `${props.stage}|${props.status ?? ''}`;
+      errors.set(key, { stage: props.stage, status: props.status ?? null, count: (errors.get(key)?.count || 0) + 1 });
+    } else if (name === 'tier_hover') {
+      countTier(props.index, 'hovers');
+    } else if (name === 'tier_select') {
+      countTier(props.index, 'selections');
+    } else if (name === 'custom_answer') {
+      customAnswers.push({ at: event.at, question: props.question, answer: props.answer });
+    }
+  }
+
+  const first = reached.get(FUNNEL_STAGES[0].key).size;
+  let previous = first;
+  const funnel = FUNNEL_STAGES.map(stage => {
+    const sessions = reached.get(stage.key).size;
+    const row = {
+      key: stage.key,
+      label: stage.label,
+      sessions,
+      fromPrevious: previous ? sessions / previous : null,
+      fromStart: first ? sessions / first : null
+    };
+    previous = sessions;
+    return row;
+  });
+
+  return {
+    from,
+    to,
+    funnel,
+    variants: compareVariants(reached, sessionVariants),
+    stepDurations: [...durations].map(([step, values]) => ({ step, count: values.length, averageMs: average(values) })),
+    pricesByCategory: [...prices].map(([category, quotes]) => ({
+      category,
+      count: quotes.length,
+      averageMin: average(quotes.map(quote => quote.minPrice)),
+      averageMax: average(quotes.map(quote => quote.maxPrice).filter(Number.isFinite))
+    })).sort((a, b) => b.count - a.count),
+    errors: [...errors.values()].sort((a, b) => b.count - a.count),
+    tiers: [...tiers.values()].sort((a, b) => a.index - b.index),
+    customAnswers: customAnswers.slice(-CUSTOM_ANSWER_LIMIT).reverse()
+  };
+};
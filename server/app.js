@@ -0,0 +1,109 @@
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { config } from './config.js';
+import { routes } from './routes.js';
+import { adminRoutes } from './admin.js';
+import { createRateLimiter } from './rateLimit.js';
+import { checkAbuse } from './abuse.js';
+import { HttpError, getClientIp, sendJson } from './http.js';
+
+const DIST_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../dist');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.json': 'application/json; charset=utf-8'
+};
+
+// 生产环境下顺便托管 vite build 的产物，未知路径回退到 index.html
+// 路径必须落在 dist 目录之内（dist-foo 这样的同级目录也不行）；转义不合法时直接返回 400
+const serveStatic = (req, res, pathname) => {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    sendJson(res, 400, { error: "Bad Request" });
+    return;
+  }
+  let filePath = path.join(DIST_DIR, decoded);
+  if (!filePath.startsWith(DIST_DIR + path.sep) || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(DIST_DIR, 'index.html');
+  }
+  if (!fs.existsSync(filePath)) {
+    sendJson(res, 404, { error: "Not Found" });
+    return;
+  }
+  res.writeHead(200, { "Content-Type": MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+  fs.createReadStream(filePath).pipe(res);
+};
+
+// 把 "/api/admin/leads/:id" 这样的路径编译成正则
+const compileRoutes = (list) => list.map(route => ({
+  ...route,
+  pattern: new RegExp(`^${route.path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`)
+}));
+
+const matchRoute = (compiled, method, pathname) => {
+  for (const route of compiled) {
+    if (route.method !== method) continue;
+    const match = route.pattern.exec(pathname);
+    if (match) return { route, params: { ...match.groups } };
+  }
+  return null;
+};
+
+export const createServer = () => {
+  const limiter = createRateLimiter(config.rateLimit);
+  const compiled = compileRoutes([...routes, ...adminRoutes]);
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname } = url;
+
+    if (!pathname.startsWith('/api/')) {
+      serveStatic(req, res, pathname);
+      return;
+    }
+
+    try {
+      const matched = matchRoute(compiled, req.method, pathname);
+      if (!matched) {
+        throw new HttpError(404, "接口不存在");
+      }
+
+      // 会消耗模型额度或可被暴力尝试的接口才限流
+      if (matched.route.rateLimited) {
+        const { allowed, retryAfter } = limiter.check(getClientIp(req));
+        if (!allowed) {
+          res.setHeader('Retry-After', retryAfter);
+          throw new HttpError(429, "请求过于频繁，请稍后再试");
+        }
+      }
+
+      // 调用模型的接口：每日额度，以及超过免费次数后的人机验证
+      if (matched.route.guard) {
+        checkAbuse(req, matched.route.guard);
+      }
+
+      await matched.route.handler(req, res, {
+        params: matched.params,
+        query: Object.fromEntries(url.searchParams)
+      });
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 502;
+      if (status >= 500) console.error("API Error:", error);
+      if (!res.headersSent) {
+        sendJson(res, status, error.code ? { error: error.message, code: error.code } : { error: error.message });
+      } else {
+        res.end();
+      }
+    }
+  });
+};
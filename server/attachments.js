@@ -0,0 +1,118 @@
+import crypto from 'node:crypto';
+import { config } from './config.js';
+import { generateStructured } from './structured.js';
+import { hasVisionModel } from './llm.js';
+import { buildSystemPrompt } from './prompts.js';
+import { HttpError } from './http.js';
+import { ATTACHMENT_SUMMARY_SCHEMA } from '../shared/schema.js';
+import {
+  ATTACHMENT_KINDS, MAX_ATTACHMENTS, MAX_ATTACHMENT_BYTES, MAX_ATTACHMENT_TEXT, MAX_SUMMARY_LENGTH, attachmentKind
+} from '../shared/attachments.js';
+
+// --- 客户附件 ---
+// 前端已提取好文字（文本、PDF）或缩小好图片，这里负责生成摘要；
+// 原文件的存储见 nocodb.js 的 uploadFile。
+
+// 文件以 base64 放在 JSON 里，体积约为原文件的 4/3，再留出提取文字的空间
+export const MAX_UPLOAD_BODY = Math.ceil(MAX_ATTACHMENT_BYTES * 4 / 3) + MAX_ATTACHMENT_TEXT * 4 + 4096;
+
+const MAX_NAME_LENGTH = 200;
+
+// 模型失败时用文字开头代替摘要
+const FALLBACK_SUMMARY_LENGTH = 300;
+
+export const requireUpload = (body) => {
+  const { name, type = '', data, text = '' } = body;
+  if (typeof name !== 'string' || !name.trim() || typeof data !== 'string' || typeof type !== 'string') {
+    throw new HttpError(400, "附件格式错误");
+  }
+  const kind = attachmentKind({ name, type });
+  if (!kind) {
+    throw new HttpError(415, "不支持的附件类型");
+  }
+  const buffer = Buffer.from(data, 'base64');
+  if (buffer.length === 0) {
+    throw new HttpError(400, "附件内容为空");
+  }
+  if (buffer.length > MAX_ATTACHMENT_BYTES) {
+    throw new HttpError(413, `附件不能超过 ${MAX_ATTACHMENT_BYTES / 1024 / 1024}MB`);
+  }
+  return {
+    name: name.trim().slice(0, MAX_NAME_LENGTH),
+    type,
+    kind,
+    buffer,
+    text: String(text).slice(0, MAX_ATTACHMENT_TEXT)
+  };
+};
+
+// 图片只在配置了能看图的模型时解读，否则只保留文件本身；
+// 模型调用失败不影响上传，文字类附件退回到取开头一段
+export const summarizeAttachment = async (upload, catalog, { signal } = {}) => {
+  const isImage = upload.kind === 'image';
+  if (isImage ? !hasVisionModel() : !upload.text.trim()) return '';
+
+  try {
+    const result = await generateStructured({
+      systemPrompt: buildSystemPrompt(catalog, 'attachment'),
+      prompt: isImage ? `附件：${upload.name}（图片）` : `附件：${upload.name}\n\n${upload.text}`,
+      images: isImage ? [{ mediaType: upload.type, data: upload.buffer.toString('base64') }] : [],
+      schema: ATTACHMENT_SUMMARY_SCHEMA,
+      signal
+    });
+    return result.summary.slice(0, MAX_SUMMARY_LENGTH);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error("附件摘要失败:", error);
+    return isImage ? '' : upload.text.trim().slice(0, FALLBACK_SUMMARY_LENGTH);
+  }
+};
+
+// NocoDB 返回的文件描述，只保留附件字段需要的几项
+const FILE_FIELDS = ['url', 'path', 'signedPath', 'title', 'mimetype', 'size'];
+
+// 上传结果由前端暂存、提交时带回，所以服务端先签名，带回时验签，前端无法自己编一个文件描述写进线索。
+// 不配置密钥则每次启动随机生成，重启前上传、还没提交的附件只保留摘要
+const fileSecret = config.nocodb.fileSecret || crypto.randomBytes(32).toString('hex');
+
+const pickFile = (file) => {
+  if (!file || typeof file !== 'object') return null;
+  const picked = Object.fromEntries(FILE_FIELDS
+    .filter(key => typeof file[key] === 'string' || typeof file[key] === 'number')
+    .map(key => [key, file[key]]));
+  if (picked.url && !/^https?:\/\//i.test(picked.url)) return null;
+  return picked.url || picked.path ? picked : null;
+};
+
+const signFile = (picked) => crypto.createHmac('sha256', fileSecret)
+  .update(JSON.stringify(FILE_FIELDS.map(key => picked[key] ?? null)))
+  .digest('base64url');
+
+// 交给前端的文件描述：NocoDB 上传结果加上签名
+export const signUploadedFile = (file) => {
+  const picked = pickFile(file);
+  return picked && { ...picked, signature: signFile(picked) };
+};
+
+// 前端带回的文件描述，签名不对就丢掉文件，只保留附件摘要
+const verifyFile = (file) => {
+  const picked = pickFile(file);
+  if (!picked || typeof file.signature !== 'string') return null;
+  const expected = Buffer.from(signFile(picked));
+  const actual = Buffer.from(file.signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? picked : null;
+};
+
+// 提问、报价和保存线索时前端带回的附件：[{ name, kind, summary, file }]
+export const requireAttachments = (value) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > MAX_ATTACHMENTS) {
+    throw new HttpError(400, "附件信息格式错误");
+  }
+  return value.map(item => ({
+    name: String(item?.name ?? '').slice(0, MAX_NAME_LENGTH),
+    kind: ATTACHMENT_KINDS.includes(item?.kind) ? item.kind : 'text',
+    summary: String(item?.summary ?? '').slice(0, MAX_SUMMARY_LENGTH),
+    file: verifyFile(item?.file)
+  }));
+};
@@ -0,0 +1,36 @@
+import crypto from 'node:crypto';
+import { config } from './config.js';
+import { HttpError } from './http.js';
+
+// --- 后台登录 ---
+// 无状态令牌：过期时间 + HMAC 签名。重启后如果没有配置 ADMIN_SESSION_SECRET，旧令牌全部失效。
+const secret = config.admin.sessionSecret || crypto.randomBytes(32).toString('hex');
+
+const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+export const checkPassword = (password) => {
+  if (!config.admin.password) {
+    throw new HttpError(503, "后台未启用，请在服务端设置 ADMIN_PASSWORD");
+  }
+  return safeEqual(password, config.admin.password);
+};
+
+export const issueToken = () => {
+  const expiresAt = String(Date.now() + config.admin.sessionTtlMs);
+  return `${expiresAt}.${sign(expiresAt)}`;
+};
+
+// 校验 Authorization: Bearer <token>，不通过直接抛 401
+export const requireAdmin = (req) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const [expiresAt, signature] = token.split('.');
+  if (!expiresAt || !signature || !safeEqual(signature, sign(expiresAt)) || Number(expiresAt) < Date.now()) {
+    throw new HttpError(401, "登录已过期，请重新登录");
+  }
+};
@@ -0,0 +1,42 @@
+import fs from 'node:fs/promises';
+import { config } from './config.js';
+import { createBm25Index } from './retrieval.js';
+
+// --- 案例库 ---
+// 已交付项目的列表（默认 server/cases.json，可用 CASES_FILE 指向自己的文件），
+// 报价时找出与客户需求最接近的几条，既作为模型评估工作量的参照，也展示给客户。
+
+let library = null;
+
+const loadLibrary = async () => {
+  let cases = [];
+  try {
+    cases = JSON.parse(await fs.readFile(config.cases.file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error("读取案例库失败:", error);
+  }
+  if (!Array.isArray(cases)) cases = [];
+
+  const index = createBm25Index(cases.map(item => ({
+    id: item.id,
+    text: [item.title, item.platform, item.description, ...(item.tags || [])].join(' ')
+  })));
+  return { cases: new Map(cases.map(item => [item.id, item])), index };
+};
+
+// 只返回客户可以看到的字段
+const toPublicCase = (item) => ({
+  id: item.id,
+  title: item.title,
+  platform: item.platform,
+  description: item.description,
+  finalPrice: item.finalPrice
+});
+
+// 返回最相近的案例，相关度低于 config.cases.minScore 的不算"类似"
+export const findSimilarCases = async (request) => {
+  if (!library) library = await loadLibrary();
+  return library.index.search(request, config.cases.limit)
+    .filter(result => result.score >= config.cases.minScore)
+    .map(result => toPublicCase(library.cases.get(result.id)));
+};
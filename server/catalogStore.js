@@ -0,0 +1,64 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { config } from './config.js';
+import { HttpError } from './http.js';
+import { DEFAULT_CATALOG, validateCatalog } from '../shared/catalog.js';
+
+// --- 服务目录存储 ---
+// 后台发布的目录保存在 DATA_DIR/catalog.json，没有发布过则使用 shared/catalog.js 的默认值。
+// 读过一次后缓存在内存里，发布时同步更新缓存。
+
+const CATALOG_FILE = path.join(config.dataDir, 'catalog.json');
+
+let cached = null;
+
+// 目录后来新增的字段用默认值补齐，旧版本发布的文件可以继续使用
+const withDefaults = (catalog) => ({
+  ...DEFAULT_CATALOG,
+  ...catalog,
+  pricing: { ...DEFAULT_CATALOG.pricing, ...catalog?.pricing },
+  prompts: { ...DEFAULT_CATALOG.prompts, ...catalog?.prompts }
+});
+
+const loadFromDisk = async () => {
+  try {
+    const stored = JSON.parse(await fs.readFile(CATALOG_FILE, 'utf8'));
+    const catalog = withDefaults(stored.catalog);
+    const errors = validateCatalog(catalog);
+    if (errors.length) {
+      console.error(`服务目录文件无效，改用默认目录：${errors.join('；')}`);
+      return { catalog: DEFAULT_CATALOG, version: 0, publishedAt: null };
+    }
+    return { ...stored, catalog };
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error("读取服务目录失败:", error);
+    return { catalog: DEFAULT_CATALOG, version: 0, publishedAt: null };
+  }
+};
+
+// 返回 { catalog, version, publishedAt }，version 为 0 表示使用默认目录
+export const getPublishedCatalog = async () => {
+  if (!cached) cached = await loadFromDisk();
+  return cached;
+};
+
+export const getCatalog = async () => (await getPublishedCatalog()).catalog;
+
+// 校验后写入，先写临时文件再改名，避免写到一半的文件被读到
+export const publishCatalog = async (catalog) => {
+  const errors = validateCatalog(catalog);
+  if (errors.length) {
+    throw new HttpError(400, errors.join('；'));
+  }
+
+  const current = await getPublishedCatalog();
+  const next = { catalog, version: current.version + 1, publishedAt: new Date().toISOString() };
+
+  await fs.mkdir(config.dataDir, { recursive: true });
+  const tmpFile = `${CATALOG_FILE}.tmp`;
+  await fs.writeFile(tmpFile, JSON.stringify(next, null, 2));
+  await fs.rename(tmpFile, CATALOG_FILE);
+
+  cached = next;
+  return next;
+};
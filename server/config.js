@@ -0,0 +1,163 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// --- 服务端配置 ---
+// 所有密钥只在服务端读取，绝不加 VITE_ 前缀，避免被打包进前端。
+try {
+  process.loadEnvFile();
+} catch {
+  // 没有 .env 文件时直接使用进程环境变量
+}
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// 允许小数；和 toInt 一样，配置成 0 也照用
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// LLM_PROVIDERS 为 JSON 数组，例如：
+// [{"type":"openai","apiUrl":"https://api.deepseek.com/v1","apiKey":"sk-...","model":"deepseek-chat"},
+//  {"type":"ollama","model":"qwen2.5:7b"}]
+// 未配置时沿用 OPENAI_* 变量，保持旧部署可用。
+// 能看图的模型加上 "vision": true，客户上传的截图才会交给它解读。
+const parseProviders = () => {
+  if (process.env.LLM_PROVIDERS) {
+    try {
+      return JSON.parse(process.env.LLM_PROVIDERS);
+    } catch (e) {
+      throw new Error(`LLM_PROVIDERS 不是合法的 JSON: ${e.message}`);
+    }
+  }
+  return [{
+    type: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    apiUrl: process.env.OPENAI_API_URL || "https://api.openai.com/v1",
+    model: process.env.OPENAI_MODEL_ID || "gpt-3.5-turbo",
+    vision: process.env.OPENAI_VISION === 'true'
+  }];
+};
+
+// WEBHOOKS 为 JSON 数组，例如：
+// [{"type":"feishu","url":"https://open.feishu.cn/open-apis/bot/v2/hook/...","secret":"..."},
+//  {"type":"generic","url":"http://192.168.1.10:9000/hook","secret":"...","events":["contact.submitted"]}]
+// type 可选 generic、wecom、dingtalk、feishu；events 不填则订阅全部事件（见 webhooks.js）
+const parseWebhooks = () => {
+  if (!process.env.WEBHOOKS) return [];
+  try {
+    return JSON.parse(process.env.WEBHOOKS);
+  } catch (e) {
+    throw new Error(`WEBHOOKS 不是合法的 JSON: ${e.message}`);
+  }
+};
+
+export const config = {
+  port: toInt(process.env.PORT, 8787),
+
+  llm: {
+    // 模型服务商列表，按顺序尝试，前一个报错或超时就切到下一个
+    providers: parseProviders(),
+    // 单次调用的空闲超时：这么久没有收到任何输出就放弃当前服务商
+    timeoutMs: toInt(process.env.LLM_TIMEOUT_MS, 45 * 1000),
+    // 输出不符合 schema 时让模型自我修正的最大次数
+    maxRetries: toInt(process.env.LLM_MAX_RETRIES, 2)
+  },
+
+  nocodb: {
+    baseUrl: process.env.NOCODB_BASE_URL,
+    tableId: process.env.NOCODB_TABLE_ID,
+    apiToken: process.env.NOCODB_API_TOKEN,
+    // 附件上传结果的签名密钥，不配置则每次启动随机生成（见 attachments.js）
+    fileSecret: process.env.NOCODB_FILE_SECRET
+  },
+
+  // 多轮追问：最多几轮；模型把握度达到 minConfidence 才进入报价
+  questionRounds: {
+    max: toInt(process.env.MAX_QUESTION_ROUNDS, 3),
+    minConfidence: toNumber(process.env.MIN_QUOTE_CONFIDENCE, 0.8)
+  },
+
+  // 后台发布的服务目录等运行数据存放目录
+  dataDir: path.resolve(process.env.DATA_DIR || 'data'),
+
+  // 需求筛查：关闭后只按目录里的关键词规则判断，不额外调用模型
+  screening: {
+    useModel: process.env.SCREENING_USE_MODEL !== 'false'
+  },
+
+  // 模型服务商全部不可用时改用内置问题和规则估价（见 shared/fallback.js），关闭后直接报错
+  fallback: {
+    enabled: process.env.FALLBACK_ESTIMATE !== 'false'
+  },
+
+  // 类似案例：案例库文件、最多展示几条、最低相关度（BM25 得分）
+  cases: {
+    file: path.resolve(process.env.CASES_FILE || path.join(path.dirname(fileURLToPath(import.meta.url)), 'cases.json')),
+    limit: toInt(process.env.CASE_LIMIT, 3),
+    minScore: toNumber(process.env.CASE_MIN_SCORE, 2)
+  },
+
+  // 网站对外地址，用于在通知里附上方案链接
+  publicBaseUrl: process.env.PUBLIC_BASE_URL || '',
+
+  // 卖家通知：推送地址列表；失败后等待 retryDelayMs、4 倍、16 倍……重试，最多 maxAttempts 次
+  webhooks: {
+    targets: parseWebhooks(),
+    maxAttempts: toInt(process.env.WEBHOOK_MAX_ATTEMPTS, 4),
+    retryDelayMs: toInt(process.env.WEBHOOK_RETRY_DELAY_MS, 5 * 1000),
+    timeoutMs: toInt(process.env.WEBHOOK_TIMEOUT_MS, 10 * 1000)
+  },
+
+  // 分享链接 /q/:id 的有效期
+  quoteLinkTtlMs: toInt(process.env.QUOTE_LINK_TTL_DAYS, 30) * 24 * 60 * 60 * 1000,
+
+  // 卖家后台 /admin
+  admin: {
+    password: process.env.ADMIN_PASSWORD,
+    // 令牌签名密钥，不配置则每次启动随机生成
+    sessionSecret: process.env.ADMIN_SESSION_SECRET,
+    sessionTtlMs: toInt(process.env.ADMIN_SESSION_TTL_HOURS, 12) * 60 * 60 * 1000
+  },
+
+  // 每个 IP 在窗口期内允许的请求次数
+  rateLimit: {
+    windowMs: toInt(process.env.RATE_LIMIT_WINDOW_MS, 10 * 60 * 1000),
+    max: toInt(process.env.RATE_LIMIT_MAX, 20)
+  },
+
+  // 防滥用（见 abuse.js）：每个 IP / 设备每天最多调用几次模型，0 表示不限；
+  // 当天生成方案超过 freeQuotes 次后要求解工作量证明题，difficulty 为 0 时关闭
+  abuse: {
+    dailyQuota: {
+      ip: toInt(process.env.DAILY_QUOTA_PER_IP, 100),
+      device: toInt(process.env.DAILY_QUOTA_PER_DEVICE, 40)
+    },
+    proofOfWork: {
+      freeQuotes: toInt(process.env.POW_FREE_QUOTES, 3),
+      difficulty: toInt(process.env.POW_DIFFICULTY, 16),
+      ttlMs: toInt(process.env.POW_TTL_SECONDS, 5 * 60) * 1000,
+      // 题目签名密钥，不配置则每次启动随机生成
+      secret: process.env.POW_SECRET
+    },
+    // 检查需求和手动输入的回答里是否夹带了改写提示词的指令
+    injectionCheck: process.env.INJECTION_CHECK !== 'false'
+  },
+
+  // 埋点上报单独限流：每个 IP 在窗口期内最多上报多少批
+  analytics: {
+    rateLimit: {
+      windowMs: toInt(process.env.RATE_LIMIT_WINDOW_MS, 10 * 60 * 1000),
+      max: toInt(process.env.ANALYTICS_RATE_LIMIT_MAX, 120)
+    }
+  },
+
+  // 请求体大小上限（字节）
+  maxBodyBytes: toInt(process.env.MAX_BODY_BYTES, 32 * 1024),
+
+  // 部署在反向代理后面时才信任 X-Forwarded-For
+  trustProxy: process.env.TRUST_PROXY === 'true'
+};
@@ -0,0 +1,217 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { config } from './config.js';
+import { HttpError } from './http.js';
+import { generateStructured } from './structured.js';
+import { getCatalog } from './catalogStore.js';
+import { findSimilarCases } from './caseLibrary.js';
+import { finalizeQuote } from './routes.js';
+import { buildQuotePrompt, buildSystemPrompt } from './prompts.js';
+import { localizeCatalog } from '../shared/catalog.js';
+import { DEFAULT_LOCALE, isLocale } from '../shared/i18n.js';
+import { QUESTIONS_SCHEMA, QUOTE_SCHEMA } from '../shared/schema.js';
+
+// --- 提示词评测 ---
+// 用一组固定的客户需求跑一遍"生成问题 -> 回答 -> 生成方案"，统计模型输出一次通过 schema、
+// 修正后通过和最终失败的比例，以及推荐档位的价格是否落在预期区间内。
+// 模型按 .env / LLM_PROVIDERS 配置，改了提示词或换了模型后跑一遍对比：
+//   npm run eval -- --fixtures my-requests.json --limit 3
+//
+// 用例格式：{ id, request, answers?: [按题目顺序的回答], category?, priceBand?: [min, max] }
+// 没给 answers 的题目取第一个选项作答。
+
+const DEFAULT_FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'evalRequests.json');
+
+// 和方案页一致，中间档位为推荐款
+const RECOMMENDED_TIER = 1;
+
+// outcome：first 一次通过，repaired 修正后通过，invalid 重试用完仍不合格，error 调用失败
+const runStage = async (task) => {
+  let retries = 0;
+  try {
+    const value = await generateStructured({ ...task, onRetry: () => { retries += 1; } });
+    return { outcome: retries === 0 ? 'first' : 'repaired', retries, value };
+  } catch (error) {
+    const outcome = error instanceof HttpError && error.status === 502 ? 'invalid' : 'error';
+    return { outcome, retries, error: error.message };
+  }
+};
+
+const evaluateCase = async (fixture, catalog, locale) => {
+  const result = { id: fixture.id, questions: null, quote: null, category: null, price: null, categoryOk: null, priceOk: null };
+
+  const questions = await runStage({
+    prompt: fixture.request,
+    systemPrompt: buildSystemPrompt(catalog, 'questions', locale),
+    schema: QUESTIONS_SCHEMA
+  });
+  result.questions = questions;
+  if (!questions.value) return result;
+
+  const qa = questions.value.questions.map((q, index) => ({
+    question: q.text,
+    answer: fixture.answers?.[index] ?? q.options[0]
+  }));
+  const cases = await findSimilarCases(fixture.request);
+  const quote = await runStage({
+    prompt: buildQuotePrompt(fixture.request, qa, cases),
+    systemPrompt: buildSystemPrompt(catalog, 'quote', locale),
+    schema: QUOTE_SCHEMA
+  });
+  result.quote = quote;
+  if (!quote.value) return result;
+
+  let final;
+  try {
+    final = finalizeQuote(quote.value, qa, catalog, cases);
+  } catch (error) {
+    if (!(error instanceof HttpError)) throw error;
+    // 模型自己写出了越界的价格，方案会被拒绝，价格带按不合格计
+    result.priceOk = false;
+    return result;
+  }
+  result.category = final.scope.category;
+  result.price = final.tiers[RECOMMENDED_TIER]?.price ?? null;
+  if (fixture.category) {
+    result.categoryOk = result.category === fixture.category;
+  }
+  if (fixture.priceBand) {
+    const [min, max] = fixture.priceBand;
+    // 咨询报价（非数字）一律算作超出区间
+    result.priceOk = typeof result.price === 'number' && result.price >= min && result.price <= max;
+  }
+  return result;
+};
+
+const countOutcomes = (stages) => ({
+  total: stages.length,
+  first: stages.filter(stage => stage.outcome === 'first').length,
+  repaired: stages.filter(stage => stage.outcome === 'repaired').length,
+  invalid: stages.filter(stage => stage.outcome === 'invalid').length,
+  error: stages.filter(stage => stage.outcome === 'error').length
+});
+
+const countChecks = (values) => {
+  const checked = values.filter(value => value !== null);
+  return { checked: checked.length, passed: checked.filter(Boolean).length };
+};
+
+// 依次评测（不并发，免得触发服务商限流），返回每条用例的结果和汇总
+export const runEval = async (fixtures, { locale = DEFAULT_LOCALE, onResult } = {}) => {
+  const catalog = localizeCatalog(await getCatalog(), locale);
+  const results = [];
+  for (const fixture of fixtures) {
+    const result = await evaluateCase(fixture, catalog, locale);
+    results.push(result);
+    onResult?.(result);
+  }
+
+  return {
+    results,
+    summary: {
+      questions: countOutcomes(results.map(result => result.questions)),
+      quote: countOutcomes(results.map(result => result.quote).filter(Boolean)),
+      category: countChecks(results.map(result => result.categoryOk)),
+      priceBand: countChecks(results.map(result => result.priceOk))
+    }
+  };
+};
+
+// 读取并检查用例文件，写错了直接报错
+export const loadFixtures = async (file) => {
+  const fixtures = JSON.parse(await fs.readFile(file, 'utf8'));
+  if (!Array.isArray(fixtures)) {
+    throw new Error(`${file} 应为用例数组`);
+  }
+  return fixtures.map((fixture, index) => {
+    if (typeof fixture?.request !== 'string' || !fixture.request.trim()) {
+      throw new Error(`用例 ${index + 1} 缺少 request`);
+    }
+    const band = fixture.priceBand;
+    if (band !== undefined && !(Array.isArray(band) && band.length === 2 && band.every(Number.isFinite) && band[0] <= band[1])) {
+      throw new Error(`用例 ${fixture.id || index + 1} 的 priceBand 应为 [min, max]`);
+    }
+    return { ...fixture, id: fixture.id || String(index + 1) };
+  });
+};
+
+// --- 命令行输出 ---
+const STAGE_LABELS = { first: '一次通过', repaired: '修正后通过', invalid: '格式不合格', error: '调用失败' };
+
+const percent = (part, total) => (total ? `${Math.round((part / total) * 100)}%` : '-');
+
+const describeStage = (stage) => {
+  if (!stage) return '-';
+  const label = STAGE_LABELS[stage.outcome];
+  return stage.retries ? `${label}（重试 ${stage.retries} 次）` : label;
+};
+
+const printResult = (result, fixture) => {
+  const checks = [];
+  if (result.categoryOk !== null) {
+    checks.push(`类别 ${result.category}${result.categoryOk ? ' ✓' : ` ✗ 预期 ${fixture.category}`}`);
+  }
+  if (result.priceOk !== null) {
+    checks.push(`推荐档 ${result.price}${result.priceOk ? ' ✓' : ` ✗ 预期 ${fixture.priceBand.join('-')}`}`);
+  }
+  console.log(`[${result.id}] 问题：${describeStage(result.questions)}；方案：${describeStage(result.quote)}`);
+  if (checks.length) console.log(`  ${checks.join('；')}`);
+  const failed = result.quote?.error || result.questions?.error;
+  if (failed) console.log(`  ${failed}`);
+};
+
+const printStageSummary = (label, counts) => {
+  const passed = counts.first + counts.repaired;
+  console.log(`${label}：通过 ${passed}/${counts.total}（${percent(passed, counts.total)}），`
+    + `其中一次通过 ${counts.first}、修正后通过 ${counts.repaired}、不合格 ${counts.invalid}、调用失败 ${counts.error}`);
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      fixtures: { type: 'string', default: DEFAULT_FIXTURES },
+      limit: { type: 'string' },
+      locale: { type: 'string', default: DEFAULT_LOCALE }
+    }
+  });
+  if (!isLocale(values.locale)) {
+    throw new Error(`不支持的语言: ${values.locale}`);
+  }
+
+  let fixtures = await loadFixtures(values.fixtures);
+  const limit = parseInt(values.limit, 10);
+  if (limit > 0) fixtures = fixtures.slice(0, limit);
+
+  const models = config.llm.providers.map(provider => provider.model || provider.type).join(' -> ');
+  console.log(`评测 ${fixtures.length} 条需求，模型：${models}，每步最多重试 ${config.llm.maxRetries} 次\n`);
+
+  const byId = new Map(fixtures.map(fixture => [fixture.id, fixture]));
+  const { summary } = await runEval(fixtures, {
+    locale: values.locale,
+    onResult: (result) => printResult(result, byId.get(result.id))
+  });
+
+  console.log('');
+  printStageSummary('问题 schema', summary.questions);
+  printStageSummary('方案 schema', summary.quote);
+  if (summary.category.checked) {
+    console.log(`类别判断：${summary.category.passed}/${summary.category.checked}（${percent(summary.category.passed, summary.category.checked)}）`);
+  }
+  if (summary.priceBand.checked) {
+    console.log(`价格区间：${summary.priceBand.passed}/${summary.priceBand.checked}（${percent(summary.priceBand.passed, summary.priceBand.checked)}）`);
+  }
+
+  // 有不合格的输出或价格越界时以非零状态退出，方便接到 CI 里
+  const schemaFailures = summary.questions.invalid + summary.questions.error + summary.quote.invalid + summary.quote.error;
+  const bandFailures = summary.priceBand.checked - summary.priceBand.passed;
+  if (schemaFailures || bandFailures) process.exitCode = 1;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,98 @@
+import { config } from './config.js';
+
+// 带 HTTP 状态码的错误，路由处理函数直接 throw 即可。
+// code 用于前端区分同一状态码下的不同原因（取值见 shared/abuse.js），随错误信息一起返回
+export class HttpError extends Error {
+  constructor(status, message, code = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export const sendJson = (res, status, data) => {
+  const body = JSON.stringify(data);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(body)
+  });
+  res.end(body);
+};
+
+// 客户端通过 Accept 头声明要流式返回
+export const wantsEventStream = (req) => (req.headers.accept || '').includes('text/event-stream');
+
+// 开启 SSE 响应，返回 send(event, data)
+export const openEventStream = (res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no" // 关闭 Nginx 缓冲，保证逐段下发
+  });
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+};
+
+// 客户端断开（关页面/点取消）时触发 abort，用于中止上游模型请求
+export const abortOnClose = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+};
+
+// 读取并解析 JSON 请求体，超过上限立即中断
+export const readJson = (req, limit = config.maxBodyBytes) => new Promise((resolve, reject) => {
+  const declared = parseInt(req.headers['content-length'], 10);
+  if (declared > limit) {
+    reject(new HttpError(413, "请求内容过长，请精简后再试"));
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      reject(new HttpError(413, "请求内容过长，请精简后再试"));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    if (size === 0) {
+      resolve({});
+      return;
+    }
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch {
+      reject(new HttpError(400, "请求格式错误"));
+    }
+  });
+
+  req.on('error', reject);
+});
+
+export const getClientIp = (req) => {
+  if (config.trustProxy) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress || 'unknown';
+};
+
+const VISITOR_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// 浏览器里保存的访客 ID（见 src/lib/storage.js），只用于 A/B 实验分组；格式不对时当作没有
+export const getVisitorId = (req) => {
+  const id = req.headers['x-visitor-id'];
+  return typeof id === 'string' && VISITOR_PATTERN.test(id) ? id : null;
+};
@@ -0,0 +1,6 @@
+import { config } from './config.js';
+import { createServer } from './app.js';
+
+createServer().listen(config.port, () => {
+  console.log(`API server listening on http://localhost:${config.port}`);
+});
@@ -0,0 +1,90 @@
+import { config } from './config.js';
+import { createProvider } from './providers/index.js';
+
+const providers = config.llm.providers.map(createProvider);
+
+// 从模型输出中提取 JSON 并解析
+export const parseModelJson = (raw) => {
+  let content = raw;
+  if (!content) {
+    throw new Error("Empty response from model");
+  }
+
+  // 尝试提取 JSON 部分 (从第一个 { 到 最后一个 })，顺带去掉 Markdown 代码块和前后废话
+  const firstBrace = content.indexOf('{');
+  const lastBrace = content.lastIndexOf('}');
+
+  if (firstBrace !== -1 && lastBrace !== -1) {
+    content = content.substring(firstBrace, lastBrace + 1);
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    console.error("JSON Parse Error. Raw content:", content);
+    throw new Error(`JSON 解析失败: ${e.message}`);
+  }
+};
+
+// 空闲超时：每收到一段输出就重新计时
+const createIdleTimeout = (timeoutMs) => {
+  const controller = new AbortController();
+  let timer;
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(new Error(`模型 ${timeoutMs / 1000}s 内无响应`)), timeoutMs);
+  };
+  touch();
+  return { signal: controller.signal, touch, clear: () => clearTimeout(timer) };
+};
+
+// --- 降级链 ---
+// 依次尝试每个服务商，直到有一个成功。调用方取消（signal）时立即停止，不再降级。
+// 流式模式下，如果前一个服务商已经吐出部分内容再失败，先回调 onReset 让下游清空。
+// vision 为 true 时（消息里带图片）只使用支持看图的服务商。
+const runWithFallback = async (messages, { signal, onDelta, onReset, vision = false }) => {
+  const candidates = vision ? providers.filter(provider => provider.supportsVision) : providers;
+  if (candidates.length === 0) {
+    throw new Error(vision ? "未配置支持图片的模型服务商" : "未配置任何模型服务商");
+  }
+
+  let lastError;
+  for (const provider of candidates) {
+    const idle = createIdleTimeout(config.llm.timeoutMs);
+    const attemptSignal = signal ? AbortSignal.any([signal, idle.signal]) : idle.signal;
+    let emitted = false;
+
+    try {
+      if (!onDelta) {
+        return await provider.complete(messages, { json: true, signal: attemptSignal });
+      }
+      return await provider.stream(messages, {
+        json: true,
+        signal: attemptSignal,
+        onDelta: (text) => {
+          idle.touch();
+          emitted = true;
+          onDelta(text);
+        }
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      lastError = idle.signal.aborted ? idle.signal.reason : error;
+      console.warn(`LLM provider ${provider.name} failed:`, lastError.message);
+      if (emitted) onReset?.();
+    } finally {
+      idle.clear();
+    }
+  }
+  throw lastError;
+};
+
+// 是否至少有一个服务商能看图
+export const hasVisionModel = () => providers.some(provider => provider.supportsVision);
+
+// --- 模型调用 ---
+// 返回模型输出的原始文本
+export const generateContent = (messages, { signal, vision } = {}) => runWithFallback(messages, { signal, vision });
+
+// 流式调用：每收到一段文本就回调 onDelta(片段)，结束后返回完整原始文本
+export const streamContent = (messages, { signal, onDelta, onReset, vision }) => runWithFallback(messages, { signal, onDelta, onReset, vision });
@@ -0,0 +1,183 @@
+import { config } from './config.js';
+import { HttpError } from './http.js';
+
+const isConfigured = () => {
+  const { baseUrl, tableId, apiToken } = config.nocodb;
+  return Boolean(apiToken && baseUrl && tableId);
+};
+
+// 调用 NocoDB v2 records API
+const requestRecords = async (method, { query, body } = {}) => {
+  const { baseUrl, tableId, apiToken } = config.nocodb;
+  const search = query ? `?${new URLSearchParams(query)}` : '';
+
+  const response = await fetch(
+    `${baseUrl}/api/v2/tables/${tableId}/records${search}`,
+    {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        "xc-token": apiToken
+      },
+      body: body ? JSON.stringify(body) : undefined
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`NocoDB ${method} Failed: ${await response.text()}`);
+  }
+  return response.json();
+};
+
+// --- 附件上传 ---
+// 文件先传到 NocoDB 存储，返回的文件描述写进线索的 Attachments（附件）字段。未配置时返回 null。
+export const uploadFile = async ({ name, type, buffer }) => {
+  if (!isConfigured()) return null;
+  const { baseUrl, apiToken } = config.nocodb;
+
+  const form = new FormData();
+  form.append('files', new Blob([buffer], { type: type || 'application/octet-stream' }), name);
+  const response = await fetch(`${baseUrl}/api/v2/storage/upload`, {
+    method: 'POST',
+    headers: { "xc-token": apiToken },
+    body: form
+  });
+  if (!response.ok) {
+    throw new Error(`NocoDB upload Failed: ${await response.text()}`);
+  }
+  const [file] = await response.json();
+  return file || null;
+};
+
+// 附件字段里的文件描述 -> 可直接打开的地址；不是 http(s) 地址的一律不给链接
+const toFileUrl = (file) => {
+  const url = file.url || `${config.nocodb.baseUrl}/${file.signedPath || file.path}`;
+  return /^https?:\/\//i.test(url) ? url : null;
+};
+
+// --- NocoDB 保存逻辑 ---
+// quoteId / expiresAt 用于分享链接 /q/:id，表中需要 Quote_Id（文本）和 Expires_At（日期时间）字段。
+// 需求筛查未通过的线索没有问答和报价，status 为 NeedsReview / Declined，
+// 筛查结论写入 Screening（长文本）字段，客户使用的界面语言写入 Locale（文本）字段。
+// 客户上传的附件：文件写入 Attachments（附件）字段，摘要写入 Attachment_Summaries（长文本）字段。
+// 客户所在的 A/B 实验变体写入 Variant（文本）字段，格式为"实验 id/变体 id"。
+export const saveLead = async (request, qaFormatted, quoteData, { quoteId = null, expiresAt = null, status = 'Generated', screening = null, locale = null, attachments = [], variant = null } = {}) => {
+  if (!isConfigured()) {
+    console.warn("NocoDB 配置不完整，跳过保存。");
+    return false;
+  }
+
+  const payload = {
+    "User_Request": request,
+    "Questions_Answers": JSON.stringify(qaFormatted, null, 2),
+    "Quote_Details": JSON.stringify(quoteData, null, 2),
+    "Status": status,
+    "Quote_Id": quoteId,
+    "Expires_At": expiresAt,
+    "Screening": screening ? JSON.stringify(screening, null, 2) : null,
+    "Locale": locale,
+    "Variant": variant,
+    "Attachments": attachments.some(item => item.file) ? attachments.map(item => item.file).filter(Boolean) : null,
+    "Attachment_Summaries": attachments.length
+      ? JSON.stringify(attachments.map(({ name, kind, summary }) => ({ name, kind, summary })), null, 2)
+      : null
+  };
+
+  await requestRecords('POST', { body: payload });
+  console.log("Data saved to NocoDB successfully");
+  return true;
+};
+
+// --- 后台读取与更新 ---
+
+const parseJsonField = (value, fallback) => {
+  if (typeof value !== 'string') return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+// NocoDB 记录 -> 后台使用的线索对象
+// 表中需要额外新增 Final_Price（数字）字段用于记录成交价，
+// Contact（长文本）字段保存客户在报价页留下的联系方式
+const toLead = (record) => ({
+  id: record.Id,
+  quoteId: record.Quote_Id ?? null,
+  expiresAt: record.Expires_At ?? null,
+  createdAt: record.CreatedAt,
+  request: record.User_Request,
+  qa: parseJsonField(record.Questions_Answers, []),
+  quote: parseJsonField(record.Quote_Details, null),
+  status: record.Status,
+  screening: parseJsonField(record.Screening, null),
+  locale: record.Locale ?? null,
+  variant: record.Variant ?? null,
+  contact: parseJsonField(record.Contact, null),
+  attachments: parseJsonField(record.Attachment_Summaries, []),
+  files: (parseJsonField(record.Attachments, null) || []).map(file => ({
+    title: file.title,
+    mimetype: file.mimetype,
+    url: toFileUrl(file)
+  })),
+  finalPrice: record.Final_Price ?? null
+});
+
+// where 参数里的值不能包含括号和逗号
+const escapeWhereValue = (value) => String(value).replace(/[(),~]/g, ' ').trim();
+
+const buildWhere = ({ search, status, from, to }) => {
+  const conditions = [];
+  if (search) {
+    const keyword = escapeWhereValue(search);
+    conditions.push(`((User_Request,like,%${keyword}%)~or(Questions_Answers,like,%${keyword}%)~or(Contact,like,%${keyword}%))`);
+  }
+  if (status) conditions.push(`(Status,eq,${escapeWhereValue(status)})`);
+  if (from) conditions.push(`(CreatedAt,gte,exactDate,${escapeWhereValue(from)})`);
+  if (to) conditions.push(`(CreatedAt,lte,exactDate,${escapeWhereValue(to)})`);
+  return conditions.join('~and');
+};
+
+export const listLeads = async ({ search, status, from, to, page = 1, pageSize = 20 }) => {
+  if (!isConfigured()) {
+    throw new HttpError(503, "NocoDB 未配置，无法读取线索");
+  }
+
+  const where = buildWhere({ search, status, from, to });
+  const data = await requestRecords('GET', {
+    query: {
+      sort: '-CreatedAt',
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
+      ...(where ? { where } : {})
+    }
+  });
+
+  return {
+    leads: (data.list || []).map(toLead),
+    total: data.pageInfo?.totalRows ?? 0,
+    page,
+    pageSize
+  };
+};
+
+// 按分享 ID 查找线索，找不到返回 null
+export const findLeadByQuoteId = async (quoteId) => {
+  if (!isConfigured()) {
+    throw new HttpError(503, "NocoDB 未配置，无法读取方案");
+  }
+  const data = await requestRecords('GET', {
+    query: { where: `(Quote_Id,eq,${escapeWhereValue(quoteId)})`, limit: 1 }
+  });
+  const record = data.list?.[0];
+  return record ? toLead(record) : null;
+};
+
+// fields 使用 NocoDB 字段名，例如 { Status, Final_Price }
+export const updateLead = async (id, fields) => {
+  if (!isConfigured()) {
+    throw new HttpError(503, "NocoDB 未配置，无法更新线索");
+  }
+  await requestRecords('PATCH', { body: { Id: id, ...fields } });
+};
@@ -0,0 +1,50 @@
+import { buildTemplateVariables, renderTemplate } from '../shared/catalog.js';
+import { DEFAULT_LOCALE } from '../shared/i18n.js';
+
+// --- 系统提示词 ---
+// 提示词只保存在服务端，前端只提交客户需求和回答。
+// 模板来自服务目录（见 shared/catalog.js 与 catalogStore.js），可在后台修改。
+
+// stage：questions（第一轮提问）/ followUp（追问）/ quote（报价）/ screening（筛查）/ attachment（附件摘要）/ spec（规格书）
+// 非简体中文时在末尾追加目录里该语言的输出要求，模板本身不用为每种语言各写一份
+export const buildSystemPrompt = (catalog, stage, locale = DEFAULT_LOCALE) => {
+  const prompt = renderTemplate(catalog.prompts[stage], buildTemplateVariables(catalog)).trim();
+  const outputLanguage = locale === DEFAULT_LOCALE ? '' : catalog.translations?.[locale]?.outputLanguage;
+  return outputLanguage ? `${prompt}\n\n${outputLanguage}` : prompt;
+};
+
+// 把问答整理成提示词里的文本
+export const formatQA = (qa) => qa.map(item => `问：${item.question}\n答：${item.answer}`).join('\n');
+
+// 附件摘要紧跟在客户需求后面，作为需求描述的补充
+export const withAttachments = (request, attachments = []) => {
+  if (attachments.length === 0) return request;
+  const list = attachments
+    .map((item, index) => `${index + 1}. ${item.name}：${item.summary || '（未能解析内容，仅供人工查看）'}`)
+    .join('\n');
+  return `${request}\n\n客户上传的参考附件：\n${list}`;
+};
+
+// 类似案例作为评估工作量的参照，价格仍由规则引擎计算
+const formatCases = (cases) => cases
+  .map((item, index) => `${index + 1}. ${item.title}（${item.platform}，成交价 ¥${item.finalPrice}）：${item.description}`)
+  .join('\n');
+
+export const buildQuotePrompt = (request, qa, cases = []) => {
+  const prompt = `客户需求：${request}\n\n确认细节：\n${formatQA(qa)}`;
+  if (cases.length === 0) return prompt;
+  return `${prompt}\n\n我们交付过的类似案例（评估 scope 时请参照它们的规模）：\n${formatCases(cases)}`;
+};
+
+export const buildFollowUpPrompt = (request, qa, round, maxRounds) => `客户需求：${request}\n\n已确认的问答：\n${formatQA(qa)}\n\n（当前是第 ${round} 轮，最多 ${maxRounds} 轮）`;
+
+// 规格书以客户选定的档位为准，platform 为报价时评估的平台
+export const buildSpecPrompt = (request, qa, tier, platform) => `客户需求：${request}
+
+确认细节：
+${formatQA(qa)}
+
+目标平台：${platform}
+选定档位：${tier.name}
+包含功能：
+${tier.features.map(feature => `- ${feature}`).join('\n')}`;
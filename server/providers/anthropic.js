@@ -0,0 +1,83 @@
+import { readSseStream, throwResponseError } from './stream.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// --- Anthropic Messages API ---
+// 没有原生 JSON 模式，需要 JSON 时用 assistant 预填 "{" 引导模型直接输出对象。
+
+// 带图片的消息转成 image + text 内容块
+const toAnthropicMessage = ({ images, ...message }) => (images?.length ? {
+  ...message,
+  content: [
+    ...images.map(image => ({ type: 'image', source: { type: 'base64', media_type: image.mediaType, data: image.data } })),
+    { type: 'text', text: message.content }
+  ]
+} : message);
+
+export const createAnthropicProvider = ({ apiKey, apiUrl = "https://api.anthropic.com", model, maxTokens = 4096, vision = false, name }) => {
+  const label = name || `anthropic:${model}`;
+
+  const request = (messages, { json, stream, signal }) => {
+    if (!apiKey) {
+      throw new Error(`[${label}] API Key 未配置`);
+    }
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const conversation = messages.filter(m => m.role !== 'system').map(toAnthropicMessage);
+    if (json) conversation.push({ role: 'assistant', content: '{' });
+
+    return fetch(`${apiUrl}/v1/messages`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": ANTHROPIC_VERSION
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        ...(system ? { system } : {}),
+        messages: conversation,
+        ...(stream ? { stream: true } : {})
+      }),
+      signal
+    });
+  };
+
+  return {
+    name: label,
+    supportsJsonMode: false,
+    supportsVision: vision,
+
+    complete: async (messages, options = {}) => {
+      const response = await request(messages, options);
+      if (!response.ok) await throwResponseError(response, label);
+      const data = await response.json();
+      const text = (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+      return options.json ? `{${text}` : text;
+    },
+
+    stream: async (messages, { onDelta, ...options }) => {
+      const response = await request(messages, { ...options, stream: true });
+      if (!response.ok) await throwResponseError(response, label);
+
+      // 预填的 "{" 不会出现在输出里，手动补上
+      let content = '';
+      if (options.json) {
+        content = '{';
+        onDelta(content);
+      }
+      await readSseStream(response.body, ({ event, data }) => {
+        if (event === 'error') {
+          throw new Error(`[${label}] ${JSON.parse(data).error?.message || data}`);
+        }
+        if (event !== 'content_block_delta') return;
+        const delta = JSON.parse(data).delta?.text;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+      });
+      return content;
+    }
+  };
+};
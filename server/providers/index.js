@@ -0,0 +1,28 @@
+import { createOpenAIProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createOllamaProvider } from './ollama.js';
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  ollama: createOllamaProvider
+};
+
+// 按配置创建服务商适配器。每个适配器提供：
+//   name                           用于日志
+//   supportsJsonMode               是否有原生 JSON 输出模式
+//   supportsVision                 能否理解图片（配置 vision: true）
+//   complete(messages, options)    返回完整文本
+//   stream(messages, options)      逐段回调 options.onDelta，返回完整文本
+// options 包括 json（需要 JSON 输出）和 signal（取消）。
+// messages 中的消息可以带 images: [{ mediaType, data（base64） }]，由各适配器转换成自己的格式。
+export const createProvider = ({ type, ...options }) => {
+  const factory = FACTORIES[type];
+  if (!factory) {
+    throw new Error(`未知的模型服务商类型: ${type}`);
+  }
+  if (!options.model) {
+    throw new Error(`模型服务商 ${type} 未配置 model`);
+  }
+  return factory(options);
+};
@@ -0,0 +1,54 @@
+import { readNdjsonStream, throwResponseError } from './stream.js';
+
+// --- 本地 Ollama ---
+// /api/chat 支持 format: "json" 原生 JSON 模式，流式返回 NDJSON。
+// 多模态模型（如 llava、qwen2.5vl）配置 vision: true，图片以 base64 放在消息的 images 字段。
+
+const toOllamaMessage = ({ images, ...message }) => (images?.length
+  ? { ...message, images: images.map(image => image.data) }
+  : message);
+
+export const createOllamaProvider = ({ apiUrl = "http://localhost:11434", model, vision = false, name }) => {
+  const label = name || `ollama:${model}`;
+
+  const request = (messages, { json, stream, signal }) => fetch(`${apiUrl}/api/chat`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      model,
+      messages: messages.map(toOllamaMessage),
+      stream: Boolean(stream),
+      ...(json ? { format: "json" } : {})
+    }),
+    signal
+  });
+
+  return {
+    name: label,
+    supportsJsonMode: true,
+    supportsVision: vision,
+
+    complete: async (messages, options = {}) => {
+      const response = await request(messages, options);
+      if (!response.ok) await throwResponseError(response, label);
+      const data = await response.json();
+      return data.message?.content || '';
+    },
+
+    stream: async (messages, { onDelta, ...options }) => {
+      const response = await request(messages, { ...options, stream: true });
+      if (!response.ok) await throwResponseError(response, label);
+
+      let content = '';
+      await readNdjsonStream(response.body, (line) => {
+        if (line.error) throw new Error(`[${label}] ${line.error}`);
+        const delta = line.message?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+      });
+      return content;
+    }
+  };
+};
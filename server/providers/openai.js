@@ -0,0 +1,72 @@
+import { readSseStream, throwResponseError } from './stream.js';
+
+// --- OpenAI 兼容接口 ---
+// 适用于 OpenAI、通义千问（DashScope 兼容模式）、DeepSeek、智谱 GLM、豆包等。
+// 这些服务对 response_format 的支持参差不齐，可以用 jsonMode: false 关掉。
+// 模型能看图（如 gpt-4o、qwen-vl）时配置 vision: true。
+
+// 带图片的消息转成多段 content
+const toOpenAIMessage = ({ images, ...message }) => (images?.length ? {
+  ...message,
+  content: [
+    { type: 'text', text: message.content },
+    ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mediaType};base64,${image.data}` } }))
+  ]
+} : message);
+
+export const createOpenAIProvider = ({ apiKey, apiUrl = "https://api.openai.com/v1", model, jsonMode = true, vision = false, name }) => {
+  const label = name || `openai:${model}`;
+
+  const request = (messages, { json, stream, signal }) => {
+    if (!apiKey) {
+      throw new Error(`[${label}] API Key 未配置`);
+    }
+    return fetch(`${apiUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        model,
+        messages: messages.map(toOpenAIMessage),
+        ...(json && jsonMode ? { response_format: { type: "json_object" } } : {}),
+        ...(stream ? { stream: true } : {})
+      }),
+      signal
+    });
+  };
+
+  return {
+    name: label,
+    supportsJsonMode: jsonMode,
+    supportsVision: vision,
+
+    complete: async (messages, options = {}) => {
+      const response = await request(messages, options);
+      if (!response.ok) await throwResponseError(response, label);
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    },
+
+    stream: async (messages, { onDelta, ...options }) => {
+      const response = await request(messages, { ...options, stream: true });
+      if (!response.ok) await throwResponseError(response, label);
+
+      let content = '';
+      await readSseStream(response.body, ({ data }) => {
+        if (data === '[DONE]') return;
+        try {
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onDelta(delta);
+          }
+        } catch {
+          // 忽略无法解析的心跳/注释行
+        }
+      });
+      return content;
+    }
+  };
+};
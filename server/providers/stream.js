@@ -0,0 +1,30 @@
+import { createSseParser } from '../../shared/sse.js';
+
+// 统一把上游的错误响应转成 Error，尽量带上服务商返回的错误信息
+export const throwResponseError = async (response, provider) => {
+  const errorData = await response.json().catch(() => ({}));
+  const message = errorData.error?.message || errorData.error || `API Error: ${response.status}`;
+  throw new Error(`[${provider}] ${message}`);
+};
+
+// 逐段读取 SSE 响应体，每个事件回调 onEvent({ event, data })
+export const readSseStream = async (body, onEvent) => {
+  const push = createSseParser(onEvent);
+  const decoder = new TextDecoder();
+  for await (const chunk of body) {
+    push(decoder.decode(chunk, { stream: true }));
+  }
+};
+
+// 逐行读取 NDJSON 响应体（Ollama 的流式格式）
+export const readNdjsonStream = async (body, onLine) => {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter(line => line.trim()).forEach(line => onLine(JSON.parse(line)));
+  }
+  if (buffer.trim()) onLine(JSON.parse(buffer));
+};
@@ -0,0 +1,37 @@
+// --- 按 IP 的固定窗口限流 ---
+// 单进程内存实现，够用即可；多实例部署时请换成 Redis 之类的共享存储。
+export const createRateLimiter = ({ windowMs, max }) => {
+  const hits = new Map();
+
+  // 定期清理过期记录，防止 Map 无限增长
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  timer.unref();
+
+  const check = (key) => {
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+    return {
+      allowed: entry.count <= max,
+      remaining: Math.max(0, max - entry.count),
+      retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+    };
+  };
+
+  // 只看当前计数，不计入一次
+  const peek = (key) => {
+    const entry = hits.get(key);
+    return entry && entry.resetAt > Date.now() ? entry.count : 0;
+  };
+
+  return { check, peek };
+};
@@ -0,0 +1,65 @@
+// --- 关键词检索（BM25） ---
+// 案例库只有几十到几百条，不值得引入向量模型，BM25 足够找出最相近的几条。
+// 中文没有空格分词，按相邻两字切分（bigram），英文和数字按整词切分。
+
+const K1 = 1.5;
+const B = 0.75;
+
+const CJK_RUN = /[一-鿿]+/g;
+const WORD = /[a-z0-9]+/g;
+
+export const tokenize = (text) => {
+  const lower = String(text || '').toLowerCase();
+  const tokens = lower.match(WORD) || [];
+  for (const [run] of lower.matchAll(CJK_RUN)) {
+    if (run.length === 1) {
+      tokens.push(run);
+      continue;
+    }
+    for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+  }
+  return tokens;
+};
+
+const countTerms = (tokens) => {
+  const counts = new Map();
+  tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+};
+
+// docs: [{ id, text }]，返回 search(query, limit) -> [{ id, score }]，按得分从高到低
+export const createBm25Index = (docs) => {
+  const entries = docs.map(doc => {
+    const tokens = tokenize(doc.text);
+    return { id: doc.id, length: tokens.length, terms: countTerms(tokens) };
+  });
+  const avgLength = entries.reduce((sum, entry) => sum + entry.length, 0) / (entries.length || 1);
+
+  const docFrequency = new Map();
+  entries.forEach(entry => entry.terms.forEach((_, term) => {
+    docFrequency.set(term, (docFrequency.get(term) || 0) + 1);
+  }));
+
+  const idf = (term) => {
+    const df = docFrequency.get(term) || 0;
+    return Math.log(1 + (entries.length - df + 0.5) / (df + 0.5));
+  };
+
+  const search = (query, limit = 3) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    return entries
+      .map(entry => {
+        const score = queryTerms.reduce((sum, term) => {
+          const tf = entry.terms.get(term);
+          if (!tf) return sum;
+          return sum + idf(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * entry.length / avgLength));
+        }, 0);
+        return { id: entry.id, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  };
+
+  return { search };
+};
@@ -0,0 +1,450 @@
+import { generateStructured } from './structured.js';
+import crypto from 'node:crypto';
+import { config } from './config.js';
+import { findLeadByQuoteId, saveLead, updateLead, uploadFile } from './nocodb.js';
+import { getCatalog, getPublishedCatalog } from './catalogStore.js';
+import { findSimilarCases } from './caseLibrary.js';
+import { MAX_UPLOAD_BODY, requireAttachments, requireUpload, signUploadedFile, summarizeAttachment } from './attachments.js';
+import { screenByKeywords, screenRequest } from './screening.js';
+import { notify } from './webhooks.js';
+import { recordEvents, requireEventBatch } from './analytics.js';
+import { createRateLimiter } from './rateLimit.js';
+import { createChallenge, requireNoInjection } from './abuse.js';
+import { SCREENING_LEAD_STATUS } from '../shared/leads.js';
+import { buildFollowUpPrompt, buildQuotePrompt, buildSystemPrompt, withAttachments } from './prompts.js';
+import { applyPricing, computeCustomQuote, findClaimedOutOfBandTiers } from '../shared/pricing.js';
+import { localizeCatalog, normalizeCategory, toPublicCatalog } from '../shared/catalog.js';
+import { applyVariant, assignVariant, findVariant, presentationFor } from '../shared/experiments.js';
+import { DEFAULT_LOCALE, isLocale } from '../shared/i18n.js';
+import { buildFallbackQuestions, estimateQuote } from '../shared/fallback.js';
+import { MAX_CONTACT_LENGTH, normalizeContact } from '../shared/contact.js';
+import { INJECTION_CODE, MAX_ANSWER_LENGTH, MAX_REQUEST_LENGTH } from '../shared/abuse.js';
+import { FOLLOW_UP_SCHEMA, QUESTIONS_SCHEMA, QUOTE_SCHEMA, ensureQuestionIds } from '../shared/schema.js';
+import { HttpError, abortOnClose, getClientIp, getVisitorId, openEventStream, readJson, sendJson, wantsEventStream } from './http.js';
+
+const MAX_VARIANT_LENGTH = 100;
+
+const QUOTE_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+const QUOTE_ID_PATTERN = /^[A-Za-z0-9]{12}$/;
+
+// 分享链接用的随机 ID，去掉了容易看混的字符
+const createQuoteId = () => Array.from(
+  crypto.randomBytes(12),
+  byte => QUOTE_ID_ALPHABET[byte % QUOTE_ID_ALPHABET.length]
+).join('');
+
+// --- 入参校验 ---
+export const requireRequest = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new HttpError(400, "请先描述您的需求");
+  }
+  if (value.length > MAX_REQUEST_LENGTH) {
+    throw new HttpError(400, `需求描述请控制在 ${MAX_REQUEST_LENGTH} 字以内`);
+  }
+  return value.trim();
+};
+
+// 问题来自模型，过长时截断；回答可能是客户手动输入的，过长直接拒绝
+export const requireQA = (value) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new HttpError(400, "缺少问答信息");
+  }
+  return value.map(item => {
+    const answer = String(item?.answer ?? '');
+    if (answer.length > MAX_ANSWER_LENGTH) {
+      throw new HttpError(400, `每个回答请控制在 ${MAX_ANSWER_LENGTH} 字以内`);
+    }
+    return { question: String(item?.question ?? '').slice(0, MAX_ANSWER_LENGTH), answer };
+  });
+};
+
+const CONTACT_ERRORS = {
+  empty: "请至少填写一种联系方式",
+  tooLong: `联系方式请控制在 ${MAX_CONTACT_LENGTH} 字以内`,
+  email: "邮箱格式不正确"
+};
+
+// 联系方式必须附带客户的同意，记录同意的时间
+export const requireContact = (body) => {
+  if (body.consent !== true) {
+    throw new HttpError(400, "请先同意我们使用联系方式与您沟通");
+  }
+  const { contact, error } = normalizeContact(body);
+  if (error) {
+    throw new HttpError(400, CONTACT_ERRORS[error]);
+  }
+  return { ...contact, consentAt: new Date().toISOString() };
+};
+
+// 不认识的语言（包括旧版前端不传）按简体中文处理，不报错
+export const requireLocale = (value) => (isLocale(value) ? value : DEFAULT_LOCALE);
+
+// 调用模型并返回结果。客户端要求流式时以 SSE 逐段下发：
+// delta 事件为原始文本片段，retry 事件表示输出不合格、正在重新生成，
+// done 事件为 finalize 处理后的完整结果。
+// 服务商全部调用失败时改用 fallback() 的结果；模型有输出但格式不合格（HttpError）照常报错
+const respondWithModel = async (req, res, { prompt, systemPrompt, schema }, finalize, fallback = null) => {
+  const signal = abortOnClose(res);
+  const generate = (options = {}) => generateStructured({ prompt, systemPrompt, schema, signal, ...options }).then(
+    finalize,
+    (error) => {
+      if (!fallback || !config.fallback.enabled || signal.aborted || error instanceof HttpError) throw error;
+      console.warn("模型不可用，改用规则估算:", error.message);
+      return fallback();
+    }
+  );
+
+  if (!wantsEventStream(req)) {
+    sendJson(res, 200, await generate());
+    return;
+  }
+
+  const send = openEventStream(res);
+  try {
+    const result = await generate({
+      onDelta: (text) => send('delta', { text }),
+      onRetry: ({ attempt }) => send('retry', { attempt })
+    });
+    send('done', result);
+  } catch (error) {
+    // 客户端主动取消，无需再回写
+    if (signal.aborted) return;
+    console.error("API Error:", error);
+    send('error', { error: error.message });
+  }
+  res.end();
+};
+
+// 按客户语言和访客所在的实验变体取目录；variant 为 null 表示没有参与实验
+const resolveCatalog = async (req, locale) => {
+  const catalog = await getCatalog();
+  const variant = assignVariant(catalog.experiments, getVisitorId(req));
+  return { catalog: applyVariant(localizeCatalog(catalog, locale), variant), variant };
+};
+
+// 模型不定价，价格一律由规则引擎计算；目录里的必附条款统一追加在项目注意事项之后，
+// 类似案例原样附上供前端展示。实验变体决定方案页的展示方式，和变体 key 一起存进方案。
+// 模型自己写出了越界的价格时整份方案不可信（见 findClaimedOutOfBandTiers），宁可报错也不交给客户
+export const finalizeQuote = (result, qa, catalog, cases = [], variant = null) => {
+  const outOfBand = findClaimedOutOfBandTiers(Array.isArray(result.tiers) ? result.tiers : [], catalog.pricing);
+  if (outOfBand.length) {
+    throw new HttpError(400, `方案价格超出档位区间：${outOfBand.join('、')}`, INJECTION_CODE);
+  }
+  const quote = applyPricing(result, qa.map(item => item.answer), catalog.pricing);
+  return {
+    ...quote,
+    scope: { ...quote.scope, category: normalizeCategory(catalog, result.scope?.category) },
+    notes: [...new Set([...quote.notes, ...catalog.notes])],
+    cases,
+    presentation: presentationFor(variant, quote.tiers.length),
+    variant: variant?.key ?? null
+  };
+};
+
+// 0. 需求筛查：未通过的需求同样记为线索，方便人工跟进
+const handleScreen = async (req, res) => {
+  const body = await readJson(req);
+  const request = requireRequest(body.request);
+  const locale = requireLocale(body.locale);
+  const attachments = requireAttachments(body.attachments);
+  const brief = withAttachments(request, attachments);
+  requireNoInjection(brief);
+  const { catalog, variant } = await resolveCatalog(req, locale);
+
+  const screening = await screenRequest(brief, catalog, { signal: abortOnClose(res), locale });
+  if (screening.verdict !== 'deliverable') {
+    try {
+      await saveLead(request, [], null, {
+        status: SCREENING_LEAD_STATUS[screening.verdict],
+        screening,
+        locale,
+        attachments,
+        variant: variant?.key ?? null
+      });
+    } catch (error) {
+      // 保存失败不影响给客户的答复
+      console.error("保存筛查线索失败:", error);
+    }
+  }
+  sendJson(res, 200, screening);
+};
+
+// 1. 根据需求生成问题
+// 第一轮只带 request；之后每轮带上累计的 qa 和 round，由模型判断是否还需要追问。
+// 返回的 done 为 true 表示信息已足够，可以直接进入报价。
+const handleQuestions = async (req, res) => {
+  const body = await readJson(req);
+  const request = requireRequest(body.request);
+  const { max: maxRounds, minConfidence } = config.questionRounds;
+
+  const round = body.qa ? parseInt(body.round, 10) : 1;
+  if (!(round >= 1 && round <= maxRounds)) {
+    throw new HttpError(400, "追问轮次无效");
+  }
+  const qa = round > 1 ? requireQA(body.qa) : [];
+  const brief = withAttachments(request, requireAttachments(body.attachments));
+  requireNoInjection(brief, ...qa.map(item => item.answer));
+  const locale = requireLocale(body.locale);
+  const { catalog } = await resolveCatalog(req, locale);
+
+  // 跳过 /api/screen 直接调用时，至少按关键词规则拦下明确不承接的需求
+  if (round === 1 && screenByKeywords(request, catalog.screening.rules).verdict === 'declined') {
+    throw new HttpError(403, "抱歉，该需求不在我们的服务范围内");
+  }
+
+  const task = round === 1
+    ? { prompt: brief, systemPrompt: buildSystemPrompt(catalog, 'questions', locale), schema: QUESTIONS_SCHEMA }
+    : { prompt: buildFollowUpPrompt(brief, qa, round, maxRounds), systemPrompt: buildSystemPrompt(catalog, 'followUp', locale), schema: FOLLOW_UP_SCHEMA };
+
+  // 降级时只问一轮内置问题；追问轮直接进入报价
+  const fallback = () => (round === 1
+    ? {
+      questions: buildFallbackQuestions(request, catalog, locale).map(q => ({ ...q, round })),
+      confidence: 0,
+      reason: '',
+      round,
+      maxRounds: 1,
+      done: false,
+      fallback: true
+    }
+    : { questions: [], confidence: 0, reason: '', round, maxRounds, done: true, fallback: true });
+
+  await respondWithModel(req, res, task, (result) => {
+    const confidence = Math.min(1, Math.max(0, result.confidence));
+    // 追问轮的 id 加上轮次前缀，避免和前几轮的答案冲突
+    const questions = ensureQuestionIds(result.questions).map(q => ({
+      ...q,
+      id: round === 1 ? q.id : `${round}.${q.id}`,
+      round
+    }));
+    return {
+      questions,
+      confidence,
+      reason: result.reason || '',
+      round,
+      maxRounds,
+      done: round > 1 && (confidence >= minConfidence || questions.length === 0)
+    };
+  }, fallback);
+};
+
+// 2. 根据问答生成报价；档位名、附加服务和必附条款按客户语言给出
+const handleQuote = async (req, res) => {
+  const body = await readJson(req);
+  const request = requireRequest(body.request);
+  const qa = requireQA(body.qa);
+  const brief = withAttachments(request, requireAttachments(body.attachments));
+  requireNoInjection(brief, ...qa.map(item => item.answer));
+  const locale = requireLocale(body.locale);
+  const { catalog, variant } = await resolveCatalog(req, locale);
+  const cases = await findSimilarCases(request);
+
+  const task = {
+    prompt: buildQuotePrompt(brief, qa, cases),
+    systemPrompt: buildSystemPrompt(catalog, 'quote', locale),
+    schema: QUOTE_SCHEMA
+  };
+  // 降级时的粗略估算同样由规则引擎定价，并附上必附条款
+  await respondWithModel(req, res, task,
+    (result) => finalizeQuote(result, qa, catalog, cases, variant),
+    () => finalizeQuote(estimateQuote(request, qa, catalog, locale), qa, catalog, cases, variant));
+};
+
+// 3. 保存线索到 NocoDB，并通知卖家有新方案
+const handleLeads = async (req, res) => {
+  const body = await readJson(req);
+  const request = requireRequest(body.request);
+  const qa = requireQA(body.qa);
+  if (!body.quote || typeof body.quote !== 'object' || !Array.isArray(body.quote.tiers)) {
+    throw new HttpError(400, "缺少报价信息");
+  }
+  // 方案由前端转交，不能信任其中的价格明细：按同一套规则重新定价，明细、排期、修改轮次和付款都以重算结果为准，
+  // 重算出的价格和客户看到的不一致说明方案被改过。本地确认过的定制方案只认其中的 selection，由服务端重新计算
+  const submitted = { ...body.quote };
+  const customSelection = submitted.custom?.selection;
+  delete submitted.custom;
+
+  const quoteId = createQuoteId();
+  const expiresAt = new Date(Date.now() + config.quoteLinkTtlMs).toISOString();
+  const locale = requireLocale(body.locale);
+  // 变体以生成方案时记下的为准，实验中途调整了也不会记错
+  const variant = typeof submitted.variant === 'string' ? submitted.variant.slice(0, MAX_VARIANT_LENGTH) : null;
+  const catalog = await getCatalog();
+  const { pricing } = applyVariant(localizeCatalog(catalog, locale), findVariant(catalog.experiments, variant));
+  const quote = applyPricing(submitted, qa.map(item => item.answer), pricing);
+  const tampered = submitted.tiers.length !== quote.tiers.length
+    || quote.tiers.some((tier, index) => tier.price !== submitted.tiers[index]?.price);
+  if (tampered) {
+    throw new HttpError(400, "报价与价格规则不符，请重新生成方案");
+  }
+  if (customSelection) {
+    const custom = computeCustomQuote(quote, requireSelection(customSelection), pricing);
+    if (custom) quote.custom = custom;
+  }
+  const saved = await saveLead(request, qa, quote, {
+    quoteId,
+    expiresAt,
+    locale,
+    attachments: requireAttachments(body.attachments),
+    variant
+  });
+
+  // 没存下来也照样通知，卖家至少知道有人来问过
+  notify('quote.created', {
+    quoteId: saved ? quoteId : null,
+    request,
+    tiers: quote.tiers,
+    custom: quote.custom,
+    locale
+  });
+
+  // 没有配置 NocoDB 时无处存放，也就没有分享链接
+  sendJson(res, 201, saved ? { id: quoteId, expiresAt } : { id: null });
+};
+
+// 按分享 ID 取出未过期的方案
+const findActiveQuote = async (id) => {
+  if (!QUOTE_ID_PATTERN.test(id)) {
+    throw new HttpError(404, "方案不存在");
+  }
+
+  const lead = await findLeadByQuoteId(id);
+  if (!lead || !lead.quote) {
+    throw new HttpError(404, "方案不存在");
+  }
+  if (lead.expiresAt && new Date(lead.expiresAt).getTime() < Date.now()) {
+    throw new HttpError(410, "该方案链接已过期，请重新评估");
+  }
+  return lead;
+};
+
+// 定制方案的选择：{ tierIndex, features: 保留的功能下标, extras: { id: 数量 } }
+const requireSelection = (body) => {
+  const { tierIndex, features, extras = {} } = body;
+  const isIndex = (value) => Number.isInteger(value) && value >= 0;
+  if (!isIndex(tierIndex) || !Array.isArray(features) || features.length === 0 || !features.every(isIndex)
+    || typeof extras !== 'object' || Array.isArray(extras) || !Object.values(extras).every(Number.isFinite)) {
+    throw new HttpError(400, "定制方案格式错误");
+  }
+  return { tierIndex, features, extras };
+};
+
+// 4. 分享链接读取方案（只读，只返回客户当时看到的内容）
+const handleGetQuote = async (req, res, { params }) => {
+  const lead = await findActiveQuote(params.id);
+
+  sendJson(res, 200, {
+    id: lead.quoteId,
+    request: lead.request,
+    qa: lead.qa,
+    quote: lead.quote,
+    createdAt: lead.createdAt,
+    expiresAt: lead.expiresAt
+  });
+};
+
+// 5. 客户在方案页定制后确认的配置，价格按当前报价规则重新计算，不信任前端传来的价格
+const handleSaveCustom = async (req, res, { params }) => {
+  const lead = await findActiveQuote(params.id);
+  const body = await readJson(req);
+  const selection = requireSelection(body);
+  const catalog = localizeCatalog(await getCatalog(), requireLocale(body.locale));
+
+  const custom = computeCustomQuote(lead.quote, selection, catalog.pricing);
+  if (!custom) {
+    throw new HttpError(400, "该档位需要咨询报价，无法自助定制");
+  }
+
+  await updateLead(lead.id, { Quote_Details: JSON.stringify({ ...lead.quote, custom }, null, 2) });
+  notify('custom.confirmed', { quoteId: lead.quoteId, request: lead.request, custom, contact: lead.contact, locale: lead.locale });
+  sendJson(res, 200, custom);
+};
+
+// 6. 客户在报价页留下的联系方式（闲鱼昵称、微信、邮箱），写入线索并通知卖家
+const handleSaveContact = async (req, res, { params }) => {
+  const lead = await findActiveQuote(params.id);
+  const contact = requireContact(await readJson(req));
+
+  await updateLead(lead.id, { Contact: JSON.stringify(contact, null, 2) });
+  notify('contact.submitted', {
+    quoteId: lead.quoteId,
+    request: lead.request,
+    tiers: lead.quote.tiers,
+    custom: lead.quote.custom,
+    contact,
+    locale: lead.locale
+  });
+  sendJson(res, 200, { ok: true });
+};
+
+// 7. 客户点击"复制方案"，多半正要去联系卖家，提醒卖家留意
+const handleQuoteCopied = async (req, res, { params }) => {
+  const lead = await findActiveQuote(params.id);
+  notify('quote.copied', {
+    quoteId: lead.quoteId,
+    request: lead.request,
+    tiers: lead.quote.tiers,
+    custom: lead.quote.custom,
+    contact: lead.contact,
+    locale: lead.locale
+  });
+  sendJson(res, 200, { ok: true });
+};
+
+// 8. 服务目录的公开部分，前端用来预估价格和换算币种
+const handleGetCatalog = async (req, res, { query }) => {
+  const { catalog, version } = await getPublishedCatalog();
+  // 按访客所在的实验变体给出档位，前端流式预览的价格才和最终方案一致
+  const variant = assignVariant(catalog.experiments, getVisitorId(req));
+  sendJson(res, 200, { ...toPublicCatalog(applyVariant(localizeCatalog(catalog, requireLocale(query.locale)), variant)), version });
+};
+
+// 9. 上传附件：原文件存到 NocoDB，同时生成摘要。结果由前端保管，提问、报价和保存线索时带回。
+// 存储失败或没有配置存储时 file 为 null，摘要照常返回
+const handleAttachment = async (req, res) => {
+  const upload = requireUpload(await readJson(req, MAX_UPLOAD_BODY));
+  const { catalog } = await resolveCatalog(req, DEFAULT_LOCALE);
+
+  const [file, summary] = await Promise.all([
+    uploadFile(upload).catch(error => {
+      console.error("上传附件失败:", error);
+      return null;
+    }),
+    summarizeAttachment(upload, catalog, { signal: abortOnClose(res) })
+  ]);
+  sendJson(res, 201, { name: upload.name, kind: upload.kind, summary, file: signUploadedFile(file) });
+};
+
+// 10. 埋点上报（见 shared/analytics.js），单独限流，不占生成方案的次数；每个事件记下访客所在的实验变体
+const eventLimiter = createRateLimiter(config.analytics.rateLimit);
+
+const handleEvents = async (req, res) => {
+  if (!eventLimiter.check(getClientIp(req)).allowed) {
+    throw new HttpError(429, "请求过于频繁，请稍后再试");
+  }
+  const { experiments } = await getCatalog();
+  const events = requireEventBatch(await readJson(req), assignVariant(experiments, getVisitorId(req))?.key ?? null);
+  await recordEvents(events);
+  sendJson(res, 202, { accepted: events.length });
+};
+
+// 11. 人机验证题目，超过免费次数后开始评估和生成方案前先解题（见 abuse.js）
+const handleChallenge = async (req, res) => {
+  sendJson(res, 200, createChallenge());
+};
+
+// rateLimited：按 IP 限流（见 config.rateLimit）；guard：每日额度和人机验证（见 abuse.js）
+export const routes = [
+  { method: 'POST', path: '/api/screen', handler: handleScreen, rateLimited: true, guard: 'start' },
+  { method: 'POST', path: '/api/questions', handler: handleQuestions, rateLimited: true, guard: 'model' },
+  { method: 'POST', path: '/api/quote', handler: handleQuote, rateLimited: true, guard: 'quote' },
+  { method: 'POST', path: '/api/leads', handler: handleLeads, rateLimited: true },
+  { method: 'GET', path: '/api/quotes/:id', handler: handleGetQuote },
+  { method: 'PUT', path: '/api/quotes/:id/custom', handler: handleSaveCustom, rateLimited: true },
+  { method: 'PUT', path: '/api/quotes/:id/contact', handler: handleSaveContact, rateLimited: true },
+  { method: 'POST', path: '/api/quotes/:id/copied', handler: handleQuoteCopied, rateLimited: true },
+  { method: 'GET', path: '/api/catalog', handler: handleGetCatalog },
+  { method: 'POST', path: '/api/attachments', handler: handleAttachment, rateLimited: true, guard: 'model' },
+  { method: 'POST', path: '/api/events', handler: handleEvents },
+  { method: 'GET', path: '/api/challenge', handler: handleChallenge }
+];
@@ -0,0 +1,53 @@
+import { config } from './config.js';
+import { generateStructured } from './structured.js';
+import { buildSystemPrompt } from './prompts.js';
+import { SCREENING_SCHEMA } from '../shared/schema.js';
+import { SCREENING_VERDICTS } from '../shared/leads.js';
+
+// --- 需求筛查 ---
+// 生成问题之前先判断需求能否承接：deliverable（正常评估）/ review（转人工）/ declined（婉拒）。
+
+const severity = (verdict) => SCREENING_VERDICTS.indexOf(verdict);
+
+const stricter = (a, b) => (severity(b) > severity(a) ? b : a);
+
+// 按目录里的关键词规则筛查，不区分大小写
+export const screenByKeywords = (request, rules) => {
+  const text = request.toLowerCase();
+  return rules.reduce((result, rule) => {
+    if (!rule.keywords.some(keyword => text.includes(keyword.toLowerCase()))) return result;
+    return {
+      verdict: stricter(result.verdict, rule.verdict),
+      reasons: [...result.reasons, rule.reason]
+    };
+  }, { verdict: 'deliverable', reasons: [] });
+};
+
+// 关键词没有直接拒绝时再问一次模型，取更严格的结论。
+// 模型调用失败不拦住客户，沿用关键词结果。locale 决定模型给出原因所用的语言。
+export const screenRequest = async (request, catalog, { signal, locale } = {}) => {
+  const byKeywords = screenByKeywords(request, catalog.screening.rules);
+  if (byKeywords.verdict === 'declined' || !config.screening.useModel) return byKeywords;
+
+  let byModel;
+  try {
+    byModel = await generateStructured({
+      prompt: request,
+      systemPrompt: buildSystemPrompt(catalog, 'screening', locale),
+      schema: SCREENING_SCHEMA,
+      signal
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error("需求筛查调用模型失败，仅按关键词判断:", error);
+    return byKeywords;
+  }
+
+  // 模型给出不认识的结论时按"需人工确认"处理
+  const modelVerdict = SCREENING_VERDICTS.includes(byModel.verdict) ? byModel.verdict : 'review';
+  const modelReasons = modelVerdict === 'deliverable' ? [] : byModel.reasons;
+  return {
+    verdict: stricter(byKeywords.verdict, modelVerdict),
+    reasons: [...new Set([...byKeywords.reasons, ...modelReasons])]
+  };
+};
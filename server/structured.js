@@ -0,0 +1,59 @@
+import { config } from './config.js';
+import { generateContent, parseModelJson, streamContent } from './llm.js';
+import { validate } from '../shared/schema.js';
+import { HttpError } from './http.js';
+
+const buildRepairMessage = (problems) => `
+      你上一次输出的 JSON 不符合要求，问题如下：
+      ${problems.map(problem => `- ${problem}`).join('\n      ')}
+
+      请修正以上问题，重新输出**完整**的 JSON（不要只输出修改的部分），严禁使用 Markdown 代码块或附加说明。
+    `;
+
+// --- 结构化生成 ---
+// 调用模型 -> 解析 JSON -> 按 schema 校验；不通过时把错误回传给模型让它修正，
+// 最多重试 maxRetries 次。流式模式下每次重试（包括切换服务商）前回调 onRetry，方便前端清空预览。
+// images（[{ mediaType, data }]）随 prompt 一起发送，此时只会调用支持看图的服务商。
+export const generateStructured = async ({
+  systemPrompt,
+  prompt,
+  images = [],
+  schema,
+  signal,
+  onDelta,
+  onRetry,
+  maxRetries = config.llm.maxRetries
+}) => {
+  const messages = [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: prompt, ...(images.length ? { images } : {}) }
+  ];
+  const vision = images.length > 0;
+
+  let problems = [];
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (attempt > 0) {
+      onRetry?.({ attempt, problems });
+    }
+
+    const raw = onDelta
+      ? await streamContent(messages, { signal, vision, onDelta, onReset: () => onRetry?.({ attempt, problems: [] }) })
+      : await generateContent(messages, { signal, vision });
+
+    try {
+      const { value, errors } = validate(schema, parseModelJson(raw));
+      if (errors.length === 0) return value;
+      problems = errors;
+    } catch (e) {
+      problems = [e.message];
+    }
+
+    console.warn(`Model output rejected (attempt ${attempt + 1}):`, problems);
+    messages.push(
+      { role: "assistant", content: raw },
+      { role: "user", content: buildRepairMessage(problems) }
+    );
+  }
+
+  throw new HttpError(502, `AI 返回的方案格式有误，已自动重试 ${maxRetries} 次仍未成功，请稍后再试`);
+};
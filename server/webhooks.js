@@ -0,0 +1,161 @@
+import crypto from 'node:crypto';
+import { config } from './config.js';
+
+// --- 卖家通知 ---
+// 新方案、客户留下联系方式、确认定制方案、点击"复制方案"时向配置的地址推送消息。
+// 推送在后台进行，失败按指数退避重试，不影响客户端的响应。
+
+export const WEBHOOK_EVENTS = {
+  'quote.created': '新方案',
+  'contact.submitted': '客户留下了联系方式',
+  'custom.confirmed': '客户确认了定制方案',
+  'quote.copied': '客户复制了方案'
+};
+
+const CONTACT_LABELS = { xianyu: '闲鱼', wechat: '微信', email: '邮箱' };
+
+const hmac = (secret, payload, encoding) => crypto.createHmac('sha256', secret).update(payload).digest(encoding);
+
+// 机器人消息正文：事件、需求摘要、价格、联系方式和方案链接
+const describe = (event, data) => {
+  const lines = [`【${WEBHOOK_EVENTS[event]}】`];
+  if (data.request) lines.push(`需求：${data.request.slice(0, 100)}`);
+  if (data.custom) {
+    lines.push(`定制：基于${data.custom.baseTier}，¥${data.custom.price}`);
+  } else if (data.tiers?.length) {
+    lines.push(`报价：${data.tiers.map(tier => `${tier.name} ${typeof tier.price === 'number' ? `¥${tier.price}` : tier.price}`).join(' / ')}`);
+  }
+  const contact = Object.entries(CONTACT_LABELS)
+    .filter(([key]) => data.contact?.[key])
+    .map(([key, label]) => `${label} ${data.contact[key]}`);
+  if (contact.length) lines.push(`联系方式：${contact.join('，')}`);
+  if (data.shareUrl) lines.push(`方案：${data.shareUrl}`);
+  return lines;
+};
+
+// 各类地址的请求格式。secret 为空时不签名（企业微信机器人靠地址里的 key 鉴权，本身不支持签名）
+const FORMATTERS = {
+  // 通用 JSON：X-Webhook-Signature = HMAC-SHA256(secret, `${timestamp}.${body}`) 的十六进制，
+  // 接收方用同一个 secret 重新计算比对，并检查时间戳防重放；X-Webhook-Id 在重试时不变，可用于去重
+  generic: ({ url, secret }, { id, event, occurredAt, data }) => {
+    const body = JSON.stringify({ id, event, occurredAt, data });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = { 'X-Webhook-Id': id, 'X-Webhook-Event': event, 'X-Webhook-Timestamp': timestamp };
+    if (secret) headers['X-Webhook-Signature'] = `sha256=${hmac(secret, `${timestamp}.${body}`, 'hex')}`;
+    return { url, headers, body };
+  },
+
+  wecom: ({ url }, { event, data }) => ({
+    url,
+    body: JSON.stringify({ msgtype: 'markdown', markdown: { content: describe(event, data).join('\n') } })
+  }),
+
+  // 钉钉"加签"：timestamp（毫秒）和 sign 拼在地址上
+  dingtalk: ({ url, secret }, { event, data }) => {
+    let target = url;
+    if (secret) {
+      const timestamp = Date.now();
+      const sign = encodeURIComponent(hmac(secret, `${timestamp}\n${secret}`, 'base64'));
+      target += `${url.includes('?') ? '&' : '?'}timestamp=${timestamp}&sign=${sign}`;
+    }
+    return {
+      url: target,
+      body: JSON.stringify({
+        msgtype: 'markdown',
+        markdown: { title: WEBHOOK_EVENTS[event], text: describe(event, data).join('\n\n') }
+      })
+    };
+  },
+
+  // 飞书"签名校验"：timestamp（秒）和 sign 放在消息体里，密钥是 `${timestamp}\n${secret}`
+  feishu: ({ url, secret }, { event, data }) => {
+    const message = { msg_type: 'text', content: { text: describe(event, data).join('\n') } };
+    if (secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      Object.assign(message, { timestamp, sign: hmac(`${timestamp}\n${secret}`, '', 'base64') });
+    }
+    return { url, body: JSON.stringify(message) };
+  }
+};
+
+// 启动时检查配置，写错了直接报错，而不是等到第一条通知才发现
+const targets = config.webhooks.targets.map(({ type = 'generic', url, secret = '', events = Object.keys(WEBHOOK_EVENTS) }) => {
+  if (!FORMATTERS[type]) {
+    throw new Error(`未知的通知类型: ${type}`);
+  }
+  if (!url) {
+    throw new Error(`通知地址 ${type} 未配置 url`);
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS[event]);
+  if (unknown.length) {
+    throw new Error(`未知的通知事件: ${unknown.join(', ')}`);
+  }
+  return { type, url, secret, events };
+});
+
+// 机器人接口出错时 HTTP 状态仍是 200，要看返回的 errcode（企业微信、钉钉）或 code（飞书）；
+// generic 地址的返回内容由接收方自定，2xx 即算送达
+const checkResponse = async (type, response) => {
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+  }
+  if (type === 'generic') return;
+  const result = await response.json().catch(() => null);
+  const code = result?.errcode ?? result?.code ?? 0;
+  if (code !== 0) {
+    throw new Error(`返回错误 ${code}: ${result.errmsg || result.msg || ''}`);
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 每次重试重新生成请求，签名里的时间戳才不会过期
+const deliver = async (target, delivery) => {
+  const { maxAttempts, timeoutMs, retryDelayMs } = config.webhooks;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const { url, headers = {}, body } = FORMATTERS[target.type](target, delivery);
+    try {
+      await checkResponse(target.type, await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      }));
+      return;
+    } catch (error) {
+      if (attempt === maxAttempts) {
+        console.error(`通知 ${target.type} ${delivery.event} 失败，已放弃:`, error.message);
+        return;
+      }
+      console.warn(`通知 ${target.type} ${delivery.event} 失败（第 ${attempt} 次），稍后重试:`, error.message);
+      await sleep(retryDelayMs * 4 ** (attempt - 1));
+    }
+  }
+};
+
+// 方案链接，配置了 PUBLIC_BASE_URL 才能给出
+export const buildShareUrl = (quoteId) => (
+  quoteId && config.publicBaseUrl ? `${config.publicBaseUrl.replace(/\/$/, '')}/q/${quoteId}` : null
+);
+
+// data: { quoteId, request, tiers, custom, contact, locale }，只挑和通知有关的字段
+export const notify = (event, { quoteId = null, request = '', tiers = [], custom = null, contact = null, locale = null }) => {
+  const subscribed = targets.filter(target => target.events.includes(event));
+  if (subscribed.length === 0) return;
+
+  const delivery = {
+    id: crypto.randomUUID(),
+    event,
+    occurredAt: new Date().toISOString(),
+    data: {
+      quoteId,
+      shareUrl: buildShareUrl(quoteId),
+      request,
+      tiers: tiers.map(({ name, price }) => ({ name, price })),
+      custom: custom && { baseTier: custom.baseTier, price: custom.price, features: custom.features, extras: custom.extras },
+      contact,
+      locale
+    }
+  };
+  subscribed.forEach(target => deliver(target, delivery));
+};
@@ -0,0 +1,28 @@
+// --- 防滥用：前后端共用的部分 ---
+// 输入长度上限，以及工作量证明（proof-of-work）的题目格式。
+// 服务端在同一设备 / IP 当天生成方案超过一定次数后，要求开始评估和生成方案前先解一道题（见 server/abuse.js）：
+// 找到一个 nonce，使 SHA-256("题目:nonce") 的前 difficulty 位都是 0。
+// 解题要花客户端一两秒，正常客户感觉不到，批量刷接口的成本则成倍增加。
+
+export const MAX_REQUEST_LENGTH = 2000;
+export const MAX_ANSWER_LENGTH = 500;
+
+// 需要解题时接口返回 428，错误里带上 code（见 server/http.js 的 HttpError）
+export const PROOF_REQUIRED_CODE = 'proof';
+export const QUOTA_EXCEEDED_CODE = 'quota';
+export const INJECTION_CODE = 'injection';
+
+export const proofInput = (challenge, nonce) => `${challenge}:${nonce}`;
+
+// 摘要开头有几位是 0
+export const leadingZeroBits = (bytes) => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
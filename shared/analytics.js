@@ -0,0 +1,25 @@
+// --- 埋点事件 ---
+// 前端批量上报到 /api/events，后台按会话汇总成漏斗。
+//   step_change     步骤切换 { from, to, duration（在 from 停留的毫秒数） }
+//   request_error   筛查、提问、报价等请求失败 { stage, status, message }
+//   custom_answer   客户选"其他"自己填写的答案 { question, answer }
+//   tier_hover      鼠标停在某个档位上 { index }
+//   tier_select     在定制器里选了某个档位作为基础 { index }
+//   quote_ready     生成了方案 { mode, estimate, category, minPrice, maxPrice }
+//   copy_click      点击"复制方案"
+//   contact_submit  提交了联系方式
+//   mode_change     在表单和对话模式之间切换 { mode（切换后的模式） }
+export const ANALYTICS_EVENTS = [
+  'step_change', 'request_error', 'custom_answer', 'tier_hover', 'tier_select', 'quote_ready', 'copy_click', 'contact_submit',
+  'mode_change'
+];
+
+export const MAX_EVENT_BATCH = 50;
+
+// 漏斗各阶段：会话里出现过 events 中任一事件即算到达；step 为对应的 step_change 目标
+export const FUNNEL_STAGES = [
+  { key: 'input', label: '填写需求', step: 'input' },
+  { key: 'questions', label: '确认细节', step: 'questions' },
+  { key: 'quote', label: '看到方案', step: 'quote' },
+  { key: 'contact', label: '联系卖家', events: ['copy_click', 'contact_submit'] }
+];
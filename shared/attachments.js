@@ -0,0 +1,31 @@
+// --- 客户附件 ---
+// 前后端共用的附件限制。文本和 PDF 在浏览器里提取文字，图片缩小后上传；
+// 原文件存到 NocoDB 附件字段，提取的文字/图片交给模型生成摘要，摘要再并入提问和报价的提示词。
+
+export const MAX_ATTACHMENTS = 5;
+
+// 单个文件的大小上限（图片按缩小后的大小计算）
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+// 送给模型做摘要的文字上限，超出部分截断
+export const MAX_ATTACHMENT_TEXT = 20000;
+
+export const MAX_SUMMARY_LENGTH = 600;
+
+export const ATTACHMENT_KINDS = ['image', 'pdf', 'text'];
+
+const TEXT_EXTENSIONS = ['txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'log'];
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// 按 MIME 类型和扩展名判断附件种类：image / pdf / text；不支持的返回 null
+export const attachmentKind = ({ name = '', type = '' }) => {
+  const extension = name.split('.').pop().toLowerCase();
+  if (IMAGE_TYPES.includes(type)) return 'image';
+  if (type === 'application/pdf' || extension === 'pdf') return 'pdf';
+  if (type.startsWith('text/') || TEXT_EXTENSIONS.includes(extension)) return 'text';
+  return null;
+};
+
+// <input accept>：与 attachmentKind 保持一致
+export const ACCEPTED_ATTACHMENTS = [...IMAGE_TYPES, 'application/pdf', 'text/*', ...TEXT_EXTENSIONS.map(ext => `.${ext}`)].join(',');
@@ -0,0 +1,16 @@
+// --- 客户联系方式 ---
+// 报价页可选填写，至少填一项，并勾选同意后才能提交。前后端共用同一套规则。
+export const CONTACT_FIELDS = ['xianyu', 'wechat', 'email'];
+
+export const MAX_CONTACT_LENGTH = 100;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// 返回 { contact, error }；error 为 empty / email / tooLong，前端据此显示对应语言的提示
+export const normalizeContact = (value) => {
+  const contact = Object.fromEntries(CONTACT_FIELDS.map(field => [field, String(value?.[field] ?? '').trim()]));
+  if (CONTACT_FIELDS.every(field => !contact[field])) return { contact, error: 'empty' };
+  if (CONTACT_FIELDS.some(field => contact[field].length > MAX_CONTACT_LENGTH)) return { contact, error: 'tooLong' };
+  if (contact.email && !EMAIL_PATTERN.test(contact.email)) return { contact, error: 'email' };
+  return { contact, error: null };
+};
@@ -0,0 +1,83 @@
+// --- A/B 实验 ---
+// 实验写在服务目录的 experiments 里，和提示词一样在后台修改、发布。
+// 每位访客按浏览器里的访客 ID 哈希分桶，同一访客始终落在同一个变体，不需要保存分配结果；
+// 同一时间只有第一个 active 的实验生效。
+//
+// 实验：{ id, name?, active, variants: [变体] }
+// 变体：{ id, label?, weight?（默认 1）, ...下面的覆盖项 }，没写的项沿用目录本身的配置
+//   prompts：按阶段替换提示词模板，只写要换的阶段，例如 { quote: '...' }
+//   tiers：展示哪些档位，填 pricing.tiers 的下标，例如 [1, 2] 表示去掉基础版
+//   recommendedTier：推荐标记放在展示出来的第几个档位（从 0 开始），null 表示不标
+//   badge：推荐标记的文案，见 TIER_BADGES
+//   priceDisplay：exact 显示一口价，from 显示为"xx 起"
+
+export const TIER_BADGES = ['recommended', 'popular', 'value'];
+export const PRICE_DISPLAYS = ['exact', 'from'];
+
+// 未参与实验时的展示：第二个档位标"店长推荐"，显示一口价
+export const DEFAULT_PRESENTATION = { recommendedTier: 1, badge: 'recommended', priceDisplay: 'exact' };
+
+// FNV-1a，足够把访客均匀分桶
+const hash = (text) => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value;
+};
+
+const weightOf = (variant) => variant.weight ?? 1;
+
+export const findActiveExperiment = (experiments = []) => experiments.find(experiment => experiment.active) || null;
+
+// 给访客分配变体，返回变体并附上 key（"实验 id/变体 id"，线索和埋点里记录的就是它）；
+// 没有进行中的实验或没有访客 ID 时返回 null
+export const assignVariant = (experiments, visitorId) => {
+  const experiment = findActiveExperiment(experiments);
+  if (!experiment || !visitorId) return null;
+
+  const total = experiment.variants.reduce((sum, variant) => sum + weightOf(variant), 0);
+  let bucket = hash(`${experiment.id}:${visitorId}`) % total;
+  const variant = experiment.variants.find(item => (bucket -= weightOf(item)) < 0);
+  return { ...variant, key: `${experiment.id}/${variant.id}` };
+};
+
+// 按 key 找变体（不要求实验处于进行中），后台试跑指定变体时用；找不到返回 null
+export const findVariant = (experiments = [], key) => {
+  for (const experiment of experiments) {
+    const variant = experiment.variants.find(item => `${experiment.id}/${item.id}` === key);
+    if (variant) return { ...variant, key };
+  }
+  return null;
+};
+
+// 变体覆盖后的目录，用于生成提示词和计算价格；catalog 应已按客户语言 localize
+export const applyVariant = (catalog, variant) => {
+  if (!variant) return catalog;
+  return {
+    ...catalog,
+    prompts: { ...catalog.prompts, ...variant.prompts },
+    pricing: variant.tiers
+      ? { ...catalog.pricing, tiers: variant.tiers.map(index => catalog.pricing.tiers[index]) }
+      : catalog.pricing
+  };
+};
+
+// 方案页的展示方式，随方案一起保存，分享链接打开时和客户当时看到的一致
+export const presentationFor = (variant, tierCount) => {
+  const recommendedTier = variant?.recommendedTier !== undefined ? variant.recommendedTier : DEFAULT_PRESENTATION.recommendedTier;
+  return {
+    recommendedTier: recommendedTier !== null && recommendedTier < tierCount ? recommendedTier : null,
+    badge: variant?.badge || DEFAULT_PRESENTATION.badge,
+    priceDisplay: variant?.priceDisplay || DEFAULT_PRESENTATION.priceDisplay
+  };
+};
+
+// 后台展示用的名称
+export const describeVariants = (experiments = []) => Object.fromEntries(experiments.flatMap(experiment => (
+  experiment.variants.map(variant => [
+    `${experiment.id}/${variant.id}`,
+    `${experiment.name || experiment.id} · ${variant.label || variant.id}`
+  ])
+)));
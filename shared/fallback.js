@@ -0,0 +1,186 @@
+// --- 降级估价 ---
+// 模型服务商全部不可用（宕机、额度用完）时，用内置的问题和规则给出粗略估价，
+// 客户照样能拿到方案，卖家照样能收到线索。按类别选问题，按回答选 scope，价格仍由报价规则引擎计算；
+// 回答不是预设选项时按该问题所有选项的范围估算，所以每个档位给出的是一个价格区间。
+import { computeTierPrices } from './pricing.js';
+import { normalizeCategory } from './catalog.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+
+// 识别类别用的关键词，简繁中文和英文都要覆盖；后台新增的类别没有关键词，只能归入最后一个类别
+const CATEGORY_KEYWORDS = {
+  content: ['文案', '小红书', '小紅書', '公众号', '公眾號', '脚本', '腳本', '仿写', '仿寫', '文章', '笔记', '筆記', 'copy', 'post', 'script', 'blog', 'article'],
+  automation: ['表格', '文档', '文件', '定时', '排程', '推送', '自动化', '自動化', 'excel', 'spreadsheet', 'schedule', 'automat'],
+  'customer-service': ['客服', '知识库', '知識庫', '问答', '問答', '自动回复', '自動回覆', '咨询', '諮詢', 'chatbot', 'support', 'faq'],
+  image: ['图片', '圖片', '绘图', '繪圖', '出图', '出圖', '海报', '海報', 'comfyui', 'image', 'photo', 'poster'],
+  data: ['数据', '數據', '資料', '分析', '报表', '報表', '舆情', '輿情', 'data', 'report', 'analy']
+};
+
+// 各类别按"规模"回答估算的节点数（小 / 中 / 大），以及默认搭建平台
+const CATEGORY_RULES = {
+  content: { nodes: [6, 10, 16], platform: 'Dify' },
+  automation: { nodes: [8, 14, 24], platform: 'n8n' },
+  'customer-service': { nodes: [6, 12, 20], platform: 'Dify' },
+  image: { nodes: [8, 14, 22], platform: 'ComfyUI' },
+  data: { nodes: [8, 16, 26], platform: 'n8n' },
+  other: { nodes: [8, 14, 24], platform: 'Dify' }
+};
+
+const AUTOMATION_LEVELS = ['manual', 'semi', 'full'];
+const INTEGRATION_COUNTS = [0, 1, 3, 5];
+
+// 选项文字不要带上报价规则 answerRules 里的关键词（如"多个账号"），否则会被重复加价
+const TEXTS = {
+  'zh-CN': {
+    size: {
+      content: { text: '需要生成几类内容？', options: ['1 类（如只写一种笔记）', '2-3 类', '4 类以上'] },
+      automation: { text: '这个流程大概包含多少个步骤？', options: ['3 步以内', '4-8 步', '8 步以上'] },
+      'customer-service': { text: '知识库资料大概有多少？', options: ['几十条问答以内', '几百条或几份文档', '大量文档，需要持续更新'] },
+      image: { text: '需要处理几种图片？', options: ['1 种', '2-3 种', '4 种以上或需要精细控制'] },
+      data: { text: '需要汇总几个数据来源？', options: ['1 个', '2-3 个', '4 个以上'] },
+      other: { text: '您的需求大概包含几个主要功能？', options: ['1 个', '2-3 个', '4 个以上'] }
+    },
+    automation: { text: '希望自动化到什么程度？', options: ['手动触发，每次自己点运行', '半自动，关键步骤人工确认', '全自动，定时或触发后无人值守'] },
+    integrations: { text: '需要连接几个外部系统（如飞书、企业微信、数据库）？', options: ['不需要', '1 个', '2-3 个', '4 个以上'] },
+    platform: { text: '对搭建平台有偏好吗？', noPreference: '没有偏好，听顾问建议' },
+    integration: '外部系统',
+    features: [
+      ['核心流程搭建', '基础提示词调优', '使用说明文档'],
+      ['完整流程搭建', '提示词精细调优', '连接常用外部系统', '使用说明文档'],
+      ['完整流程搭建与异常处理', '提示词精细调优与效果评测', '连接全部所需外部系统', '部署协助与使用培训']
+    ],
+    descs: ['适合先验证想法', '适合日常稳定使用', '适合业务深度依赖'],
+    analysis: 'AI 顾问暂时繁忙，这份方案由系统按规则粗略估算，价格为参考区间，顾问确认需求细节后会给出正式报价。',
+    note: '粗略估算：本方案未经 AI 顾问分析，最终价格以顾问确认为准。'
+  },
+  'zh-TW': {
+    size: {
+      content: { text: '需要生成幾類內容？', options: ['1 類（如只寫一種筆記）', '2-3 類', '4 類以上'] },
+      automation: { text: '這個流程大概包含多少個步驟？', options: ['3 步以內', '4-8 步', '8 步以上'] },
+      'customer-service': { text: '知識庫資料大概有多少？', options: ['幾十條問答以內', '幾百條或幾份文件', '大量文件，需要持續更新'] },
+      image: { text: '需要處理幾種圖片？', options: ['1 種', '2-3 種', '4 種以上或需要精細控制'] },
+      data: { text: '需要彙總幾個資料來源？', options: ['1 個', '2-3 個', '4 個以上'] },
+      other: { text: '您的需求大概包含幾個主要功能？', options: ['1 個', '2-3 個', '4 個以上'] }
+    },
+    automation: { text: '希望自動化到什麼程度？', options: ['手動觸發，每次自己點執行', '半自動，關鍵步驟人工確認', '全自動，排程或觸發後無人值守'] },
+    integrations: { text: '需要連接幾個外部系統（如飛書、企業微信、資料庫）？', options: ['不需要', '1 個', '2-3 個', '4 個以上'] },
+    platform: { text: '對搭建平台有偏好嗎？', noPreference: '沒有偏好，聽顧問建議' },
+    integration: '外部系統',
+    features: [
+      ['核心流程搭建', '基礎提示詞調優', '使用說明文件'],
+      ['完整流程搭建', '提示詞精細調優', '連接常用外部系統', '使用說明文件'],
+      ['完整流程搭建與異常處理', '提示詞精細調優與效果評測', '連接全部所需外部系統', '部署協助與使用培訓']
+    ],
+    descs: ['適合先驗證想法', '適合日常穩定使用', '適合業務深度依賴'],
+    analysis: 'AI 顧問暫時繁忙，這份方案由系統按規則粗略估算，價格為參考區間，顧問確認需求細節後會給出正式報價。',
+    note: '粗略估算：本方案未經 AI 顧問分析，最終價格以顧問確認為準。'
+  },
+  en: {
+    size: {
+      content: { text: 'How many kinds of content do you need?', options: ['One kind (e.g. a single post format)', '2-3 kinds', '4 or more kinds'] },
+      automation: { text: 'Roughly how many steps does the process have?', options: ['Up to 3 steps', '4-8 steps', 'More than 8 steps'] },
+      'customer-service': { text: 'How much knowledge-base material is there?', options: ['A few dozen Q&As', 'Hundreds of Q&As or a few documents', 'Lots of documents that change often'] },
+      image: { text: 'How many kinds of images need processing?', options: ['One kind', '2-3 kinds', '4 or more, or fine-grained control'] },
+      data: { text: 'How many data sources need combining?', options: ['One', '2-3', '4 or more'] },
+      other: { text: 'Roughly how many main features does it need?', options: ['One', '2-3', '4 or more'] }
+    },
+    automation: { text: 'How automated should it be?', options: ['Manual — I start each run myself', 'Semi-automatic — I confirm key steps', 'Fully unattended on a schedule or trigger'] },
+    integrations: { text: 'How many external systems should it connect to (e.g. Lark, Slack, a database)?', options: ['None', 'One', '2-3', '4 or more'] },
+    platform: { text: 'Do you prefer a particular platform?', noPreference: 'No preference — follow the consultant\'s advice' },
+    integration: 'External system',
+    features: [
+      ['Core workflow build', 'Basic prompt tuning', 'User guide'],
+      ['Complete workflow build', 'Detailed prompt tuning', 'Connections to common external systems', 'User guide'],
+      ['Complete workflow with error handling', 'Prompt tuning with quality evaluation', 'Connections to every external system needed', 'Deployment help and training']
+    ],
+    descs: ['Good for trying out the idea', 'Good for stable daily use', 'Good when the business depends on it'],
+    analysis: 'Our AI consultant is busy right now, so this plan is a rough rule-based estimate. Prices are reference ranges; a consultant will confirm the details and send a final quote.',
+    note: 'Rough estimate: this plan was not analysed by the AI consultant. The final price is subject to the consultant\'s confirmation.'
+  }
+};
+
+const textsFor = (locale) => TEXTS[locale] || TEXTS[DEFAULT_LOCALE];
+
+// 按关键词命中次数挑类别，并列时取目录里靠前的；都没命中时归入最后一个类别
+export const detectCategory = (request, catalog) => {
+  const text = request.toLowerCase();
+  const [best] = catalog.categories
+    .map(category => ({
+      id: category.id,
+      hits: (CATEGORY_KEYWORDS[category.id] || []).filter(keyword => text.includes(keyword)).length
+    }))
+    .filter(item => item.hits > 0)
+    .sort((a, b) => b.hits - a.hits);
+  return best ? best.id : normalizeCategory(catalog, null);
+};
+
+// 带 key 的问题列表，key 决定回答如何换算成 scope；values 与 options 一一对应
+const buildQuestions = (request, catalog, locale) => {
+  const texts = textsFor(locale);
+  const category = detectCategory(request, catalog);
+  const rule = CATEGORY_RULES[category] || CATEGORY_RULES.other;
+  const platforms = Object.keys(catalog.pricing.platforms).filter(name => name !== '其他');
+
+  return {
+    category,
+    platform: rule.platform,
+    questions: [
+      { key: 'size', ...(texts.size[category] || texts.size.other), values: rule.nodes },
+      { key: 'automation', ...texts.automation, values: AUTOMATION_LEVELS },
+      { key: 'integrations', ...texts.integrations, values: INTEGRATION_COUNTS },
+      {
+        key: 'platform',
+        text: texts.platform.text,
+        options: [...platforms, texts.platform.noPreference],
+        values: [...platforms, rule.platform]
+      }
+    ]
+  };
+};
+
+// 第一轮的内置问题，格式与模型给出的相同
+export const buildFallbackQuestions = (request, catalog, locale = DEFAULT_LOCALE) => buildQuestions(request, catalog, locale)
+  .questions.map(({ text, options }, index) => ({ id: index + 1, text, options }));
+
+// 把回答换算成每个问题可能的取值：选了预设选项就是对应的值，其他回答或没问到的取所有可能的值
+const resolveAnswers = (questions, qa) => Object.fromEntries(questions.map(question => {
+  const answer = qa.find(item => item.question === question.text)?.answer;
+  const index = question.options.indexOf(answer);
+  return [question.key, index === -1 ? question.values : [question.values[index]]];
+}));
+
+const pick = (values, position) => values[Math.floor((values.length - 1) * position)];
+
+// 按回答估算报价：scope 取每个问题可能取值的中间值，range 为取值最小和最大时各档位的价格。
+// 返回结构与模型输出相同，之后照常经过 applyPricing 定价；estimate 为 true 表示这是粗略估算
+export const estimateQuote = (request, qa, catalog, locale = DEFAULT_LOCALE) => {
+  const texts = textsFor(locale);
+  const { category, platform, questions } = buildQuestions(request, catalog, locale);
+  const candidates = resolveAnswers(questions, qa);
+  const scopeAt = (position) => ({
+    category,
+    // 平台不影响区间，没选定时用该类别的默认平台
+    platform: candidates.platform.length === 1 ? candidates.platform[0] : platform,
+    nodeCount: pick(candidates.size, position),
+    automation: pick(candidates.automation, position),
+    integrations: Array.from({ length: pick(candidates.integrations, position) }, (_, i) => `${texts.integration} ${i + 1}`)
+  });
+
+  const answerTexts = qa.map(item => item.answer);
+  const low = computeTierPrices(scopeAt(0), answerTexts, catalog.pricing);
+  const high = computeTierPrices(scopeAt(1), answerTexts, catalog.pricing);
+
+  return {
+    scope: scopeAt(0.5),
+    tiers: catalog.pricing.tiers.map((_, index) => ({
+      features: texts.features[Math.min(index, texts.features.length - 1)],
+      desc: texts.descs[Math.min(index, texts.descs.length - 1)],
+      // 工作量多到转人工报价时没有上限
+      range: typeof low[index].price === 'number'
+        ? { min: low[index].price, max: typeof high[index].price === 'number' ? high[index].price : null }
+        : null
+    })),
+    notes: [texts.note],
+    analysis: texts.analysis,
+    estimate: true
+  };
+};
@@ -0,0 +1,43 @@
+// --- 多语言与币种 ---
+// 前后端共用：界面语言、模型输出语言和价格展示币种都以 locale 为准。
+// 价格在系统内一律以 base 币种（人民币）计算和保存，只在展示时按汇率换算。
+
+export const LOCALES = [
+  { code: 'zh-CN', label: '简体中文' },
+  { code: 'zh-TW', label: '繁體中文' },
+  { code: 'en', label: 'English' }
+];
+
+export const DEFAULT_LOCALE = 'zh-CN';
+
+export const isLocale = (value) => LOCALES.some(locale => locale.code === value);
+
+// 按浏览器语言列表挑选：繁体（台湾/香港/澳门）→ zh-TW，其他中文 → zh-CN，非中文 → en
+export const detectLocale = (languages = []) => {
+  for (const language of languages) {
+    const lower = String(language).toLowerCase();
+    if (/^zh-(tw|hk|mo|hant)/.test(lower)) return 'zh-TW';
+    if (lower.startsWith('zh')) return 'zh-CN';
+    if (lower.startsWith('en')) return 'en';
+  }
+  return languages.length > 0 ? 'en' : DEFAULT_LOCALE;
+};
+
+// 汇率表：1 单位 base 币种可兑换的数量；byLocale 为各语言展示的币种
+export const DEFAULT_CURRENCY = {
+  base: 'CNY',
+  rates: { CNY: 1, HKD: 1.08, USD: 0.14 },
+  byLocale: { 'zh-CN': 'CNY', 'zh-TW': 'HKD', en: 'USD' }
+};
+
+// amount 为 base 币种金额，换算后取整
+export const formatMoney = (amount, locale, currency = DEFAULT_CURRENCY) => {
+  const code = currency.byLocale[locale] || currency.base;
+  const rate = currency.rates[code] ?? 1;
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: code,
+    maximumFractionDigits: 0,
+    minimumFractionDigits: 0
+  }).format(Math.round(amount * rate));
+};
@@ -0,0 +1,23 @@
+// --- 线索状态 ---
+// NocoDB 里 Status 字段的取值，顺序即跟进流程：Generated → Contacted → Won / Lost；
+// 需求筛查没通过的线索以 NeedsReview / Declined 开始
+export const LEAD_STATUSES = [
+  { value: 'NeedsReview', label: '待审核' },
+  { value: 'Declined', label: '已婉拒' },
+  { value: 'Generated', label: '已生成' },
+  { value: 'Contacted', label: '已联系' },
+  { value: 'Won', label: '已成交' },
+  { value: 'Lost', label: '已流失' }
+];
+
+// 需求筛查的结论，按严格程度从低到高
+export const SCREENING_VERDICTS = ['deliverable', 'review', 'declined'];
+
+export const SCREENING_LEAD_STATUS = {
+  review: 'NeedsReview',
+  declined: 'Declined'
+};
+
+export const isLeadStatus = (value) => LEAD_STATUSES.some(status => status.value === value);
+
+export const getStatusLabel = (value) => LEAD_STATUSES.find(status => status.value === value)?.label || value;
@@ -0,0 +1,259 @@
+// --- 报价规则引擎 ---
+// 价格完全由这里的规则计算，模型只负责描述功能和评估工作量（scope）。
+// 前后端共用：服务端用它定价，前端用它展示明细。
+
+export const DEFAULT_PRICING_RULES = {
+  // 各平台的基础搭建费
+  platforms: {
+    Dify: { setup: 199 },
+    Coze: { setup: 149 },
+    n8n: { setup: 249 },
+    ComfyUI: { setup: 299 },
+    其他: { setup: 199 }
+  },
+  // 每个工作流节点、每个第三方集成的单价
+  perNode: 25,
+  perIntegration: 120,
+  // 自动化程度对复杂度部分的系数
+  automation: {
+    manual: 1,
+    semi: 1.2,
+    full: 1.5
+  },
+  // nodeFactor：该档位覆盖的节点比例；integrationFactor：覆盖的集成比例
+  // revisions：该档位包含的修改轮次
+  tiers: [
+    { name: '基础版', min: 199, max: 599, nodeFactor: 0.5, integrationFactor: 0, delivery: 50, revisions: 1 },
+    { name: '标准版', min: 599, max: 1299, nodeFactor: 1, integrationFactor: 0.5, delivery: 150, revisions: 2 },
+    { name: '高级版', min: 1499, max: 2599, nodeFactor: 1.5, integrationFactor: 1, delivery: 400, consultAbove: 1.5, revisions: 3 }
+  ],
+  // 交付排期：每个里程碑有基础天数，scale 为 nodes 的按节点数追加（每 nodesPerDay 个节点一天），
+  // 为 integrations 的按集成数追加（每个 daysPerIntegration 天）；档位的 nodeFactor / integrationFactor 同样生效
+  schedule: {
+    nodesPerDay: 6,
+    daysPerIntegration: 1,
+    milestones: [
+      { id: 'confirm', name: '需求确认', days: 1 },
+      { id: 'build', name: '搭建开发', days: 1, scale: 'nodes' },
+      { id: 'debug', name: '调试联调', days: 1, scale: 'integrations' },
+      { id: 'handover', name: '交付验收', days: 1 }
+    ]
+  },
+  // 付款：价格达到 depositAbove 时先付 depositPercent% 定金，验收后付尾款，否则一次付清。
+  // steps（一次付清）和 depositSteps（定金 + 尾款）是给客户看的闲鱼担保交易流程，
+  // {price} / {deposit} / {balance} 在展示时替换为对应金额
+  payment: {
+    depositPercent: 30,
+    depositAbove: 1000,
+    steps: [
+      '在闲鱼拍下 {price} 的链接，钱款由平台担保，我们开始搭建',
+      '交付并演示通过后，在闲鱼确认收货'
+    ],
+    depositSteps: [
+      '在闲鱼拍下 {deposit} 的定金链接，钱款由平台担保，我们开始搭建',
+      '交付并演示通过后，拍下 {balance} 的尾款链接',
+      '验收无误后，对两笔订单确认收货'
+    ]
+  },
+  // 根据客户回答的关键词调整工作量
+  answerRules: [
+    { keywords: ['全自动', '定时', '自动发布', '无人值守'], automation: 'full' },
+    { keywords: ['批量', '大量', '多个账号'], extraNodes: 4 },
+    { keywords: ['对接', '同步到', '推送到', '接入'], extraIntegrations: 1 }
+  ],
+  nodeRange: [1, 60],
+  maxIntegrations: 10,
+  // 定制方案时可加购的附加服务；maxQuantity 大于 1 的可以按份加购
+  extras: [
+    { id: 'deploy', name: '部署上线服务', price: 199, desc: '远程帮您部署到自己的服务器或平台账号' },
+    { id: 'tutorial', name: '使用教程视频', price: 99, desc: '针对您的工作流录制一份操作讲解视频' },
+    { id: 'revision', name: '额外修改轮次', price: 149, desc: '在包含的修改次数之外再加一轮修改', maxQuantity: 5 }
+  ]
+};
+
+export const CONSULT_PRICE = '咨询报价';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// 把模型给出的 scope 规整成引擎可用的参数
+export const normalizeScope = (scope = {}, rules = DEFAULT_PRICING_RULES) => {
+  const platformNames = Object.keys(rules.platforms);
+  const fallback = platformNames.includes('其他') ? '其他' : platformNames[0];
+  const platform = platformNames.find(name => name.toLowerCase() === String(scope.platform || '').toLowerCase()) || fallback;
+  const nodeCount = clamp(Math.round(Number(scope.nodeCount) || rules.nodeRange[0]), ...rules.nodeRange);
+  const integrations = (Array.isArray(scope.integrations) ? scope.integrations : [])
+    .filter(item => typeof item === 'string' && item.trim())
+    .slice(0, rules.maxIntegrations);
+  const automation = scope.automation in rules.automation ? scope.automation : 'semi';
+
+  return { platform, nodeCount, integrations, automation };
+};
+
+// 按回答内容套用 answerRules
+const applyAnswerRules = (scope, answerTexts, rules) => {
+  const text = answerTexts.join(' ');
+  let { automation } = scope;
+  let extraNodes = 0;
+  let extraIntegrations = 0;
+
+  rules.answerRules.forEach(rule => {
+    if (!rule.keywords.some(keyword => text.includes(keyword))) return;
+    if (rule.automation && rules.automation[rule.automation] > rules.automation[automation]) {
+      automation = rule.automation;
+    }
+    extraNodes += rule.extraNodes || 0;
+    extraIntegrations += rule.extraIntegrations || 0;
+  });
+
+  return {
+    ...scope,
+    automation,
+    nodeCount: clamp(scope.nodeCount + extraNodes, ...rules.nodeRange),
+    integrationCount: Math.min(scope.integrations.length + extraIntegrations, rules.maxIntegrations)
+  };
+};
+
+// 尾数取 9，比如 487 -> 489，并保证仍在档位区间内
+const roundPrice = (value, min, max) => clamp(Math.round(value / 10) * 10 - 1, min, max);
+
+// 单个档位的交付排期，天数向上取整
+const scheduleTier = (tierRule, scope, { nodesPerDay, daysPerIntegration, milestones }) => {
+  const extraDays = {
+    nodes: Math.ceil((scope.nodeCount * tierRule.nodeFactor) / nodesPerDay),
+    integrations: Math.ceil(scope.integrationCount * tierRule.integrationFactor * daysPerIntegration)
+  };
+  const items = milestones.map(({ id, name, days, scale }) => ({ id, name, days: days + (extraDays[scale] || 0) }));
+  return { milestones: items, totalDays: items.reduce((sum, item) => sum + item.days, 0) };
+};
+
+// 定金和尾款；价格不到 depositAbove 时一次付清，deposit 为 null
+export const splitPayment = (price, { depositPercent, depositAbove }) => {
+  if (price < depositAbove) return { deposit: null, balance: price };
+  const deposit = Math.round((price * depositPercent) / 100);
+  return { deposit, balance: price - deposit };
+};
+
+// 计算单个档位的价格、明细、排期和包含的修改轮次
+const priceTier = (tierRule, scope, rules) => {
+  const setup = rules.platforms[scope.platform].setup;
+  const raw = (scope.nodeCount * tierRule.nodeFactor * rules.perNode
+    + scope.integrationCount * tierRule.integrationFactor * rules.perIntegration)
+    * rules.automation[scope.automation];
+  const delivery = tierRule.delivery;
+  const total = setup + raw + delivery;
+
+  // 工作量明显超出档位上限时交给人工报价
+  const terms = { schedule: scheduleTier(tierRule, scope, rules.schedule), revisions: tierRule.revisions ?? 1 };
+  if (tierRule.consultAbove && total > tierRule.max * tierRule.consultAbove) {
+    return { name: tierRule.name, price: CONSULT_PRICE, breakdown: null, ...terms, payment: null };
+  }
+
+  const price = roundPrice(total, tierRule.min, tierRule.max);
+  // 取整和区间截断产生的差额计入复杂度；复杂度不够扣时再按比例压缩固定费用
+  let breakdown = { setup, complexity: price - setup - delivery, delivery };
+  if (breakdown.complexity < 0) {
+    const ratio = price / (setup + delivery);
+    const scaledSetup = Math.round(setup * ratio);
+    breakdown = { setup: scaledSetup, complexity: 0, delivery: price - scaledSetup };
+  }
+
+  return { name: tierRule.name, price, breakdown, ...terms, payment: splitPayment(price, rules.payment) };
+};
+
+// 计算所有档位价格
+export const computeTierPrices = (scope, answerTexts = [], rules = DEFAULT_PRICING_RULES) => {
+  const normalized = applyAnswerRules(normalizeScope(scope, rules), answerTexts, rules);
+  return rules.tiers.map(tierRule => priceTier(tierRule, normalized, rules));
+};
+
+// 价格不在对应档位区间内的档位名；咨询报价只允许出现在设置了 consultAbove 的档位，
+// 档位数多于规则时多出来的也算越界
+export const findOutOfBandTiers = (tiers, rules = DEFAULT_PRICING_RULES) => tiers.flatMap((tier, index) => {
+  const rule = rules.tiers[index];
+  const inBand = Boolean(rule) && (typeof tier?.price === 'number'
+    ? tier.price >= rule.min && tier.price <= rule.max
+    : tier?.price === CONSULT_PRICE && Boolean(rule.consultAbove));
+  return inBand ? [] : [tier?.name || String(index + 1)];
+});
+
+// 模型自己写出的价格不在对应档位区间内的档位名。提示词不让模型定价，正常输出里没有 price；
+// 写了而且越界，多半是需求里夹带的改价指令起了作用。价格可能写成"¥1"这样的文字，取其中的数字，
+// 没有数字的（如"面议"）不算；档位数多于规则时多出来的也算越界。
+// 引擎算出的价格已经截断在区间内，所以要在 applyPricing 之前检查
+export const findClaimedOutOfBandTiers = (tiers, rules = DEFAULT_PRICING_RULES) => tiers.flatMap((tier, index) => {
+  const claimed = tier?.price;
+  if (claimed === undefined || claimed === null || claimed === CONSULT_PRICE) return [];
+  const digits = typeof claimed === 'number' ? String(claimed) : String(claimed).replace(/[^\d.]/g, '');
+  if (!digits) return [];
+  const price = Number(digits);
+  const rule = rules.tiers[index];
+  return rule && price >= rule.min && price <= rule.max ? [] : [tier.name || String(index + 1)];
+});
+
+// 用引擎结果覆盖模型输出的档位：名称、价格、排期、修改轮次和付款以规则为准，功能描述沿用模型。
+// paymentTerms 为付款流程说明，随方案保存，展示时按各档位的金额填入
+export const applyPricing = (quote, answerTexts = [], rules = DEFAULT_PRICING_RULES) => {
+  const scope = normalizeScope(quote.scope, rules);
+  const modelTiers = Array.isArray(quote.tiers) ? quote.tiers : [];
+  const priced = computeTierPrices(scope, answerTexts, rules);
+  const { depositPercent, steps, depositSteps } = rules.payment;
+
+  return {
+    ...quote,
+    scope,
+    tiers: priced.map((tier, index) => ({
+      features: [],
+      desc: '',
+      ...modelTiers[index],
+      ...tier
+    })),
+    paymentTerms: { depositPercent, steps, depositSteps }
+  };
+};
+
+// 客户在某个档位基础上增删功能、加购附加服务后的价格。
+// selection: { tierIndex, features: 保留的功能下标, extras: { [附加服务 id]: 数量 } }
+// 去掉的功能按该档位的复杂度费用平均扣减，基础搭建和交付费用不减；
+// 咨询报价的档位没有基准价，返回 null。结果里带上规范化后的 selection，服务端可以据此重新核算。
+export const computeCustomQuote = (quote, selection, rules = DEFAULT_PRICING_RULES) => {
+  const tier = quote.tiers[selection.tierIndex];
+  if (!tier || typeof tier.price !== 'number' || !tier.breakdown) return null;
+
+  const { setup, complexity, delivery } = tier.breakdown;
+  const keptIndexes = new Set(selection.features);
+  const features = tier.features.filter((_, index) => keptIndexes.has(index));
+  const removedFeatures = tier.features.filter((_, index) => !keptIndexes.has(index));
+  const perFeature = tier.features.length ? complexity / tier.features.length : 0;
+  // 按 10 元取整，保持尾数 9
+  const deduction = Math.round(perFeature * removedFeatures.length / 10) * 10;
+  const basePrice = Math.max(setup + delivery, tier.price - deduction);
+
+  const extras = rules.extras
+    .filter(extra => selection.extras?.[extra.id] > 0)
+    .map(extra => {
+      const quantity = clamp(Math.round(selection.extras[extra.id]), 1, extra.maxQuantity || 1);
+      return { id: extra.id, name: extra.name, price: extra.price, quantity };
+    });
+  const extrasTotal = extras.reduce((sum, extra) => sum + extra.price * extra.quantity, 0);
+
+  // 排期沿用基础档位，修改轮次加上加购的轮次，定金按定制后的价格重新计算
+  const price = basePrice + extrasTotal;
+  const extraRevisions = extras.find(extra => extra.id === 'revision')?.quantity || 0;
+  return {
+    selection: {
+      tierIndex: selection.tierIndex,
+      features: tier.features.map((_, index) => index).filter(index => keptIndexes.has(index)),
+      extras: Object.fromEntries(extras.map(extra => [extra.id, extra.quantity]))
+    },
+    baseTier: tier.name,
+    tierPrice: tier.price,
+    features,
+    removedFeatures,
+    deduction: tier.price - basePrice,
+    extras,
+    price,
+    schedule: tier.schedule,
+    revisions: tier.revisions + extraRevisions,
+    payment: splitPayment(price, rules.payment)
+  };
+};
@@ -0,0 +1,215 @@
+// --- 模型输出的结构校验 ---
+// 轻量 schema：校验必填字段、补齐可选字段默认值，并做少量无歧义的类型修正
+// （数字字符串转数字、单个字符串按行拆成数组）。前后端共用。
+//
+// 节点写法：
+//   { type: 'object', properties: { ... } }
+//   { type: 'array', items: <节点>, minItems }
+//   { type: 'string' | 'number' | 'id' }
+// 任何节点都可以带 default：字段缺失时使用默认值，否则视为必填。
+
+const describe = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+const cloneDefault = (value) => (typeof value === 'object' && value !== null ? structuredClone(value) : value);
+
+const checkNode = (schema, value, path, errors) => {
+  if (value === undefined || value === null) {
+    if ('default' in schema) return cloneDefault(schema.default);
+    errors.push(`${path || '根节点'} 缺失`);
+    return undefined;
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value === 'string') return value;
+      if (typeof value === 'number') return String(value);
+      break;
+
+    case 'number': {
+      const number = typeof value === 'string' ? Number(value) : value;
+      if (typeof number === 'number' && Number.isFinite(number)) return number;
+      break;
+    }
+
+    case 'id':
+      if (typeof value === 'string' || typeof value === 'number') return value;
+      break;
+
+    case 'array': {
+      let list = value;
+      // 模型偶尔把字符串数组写成一整段文字
+      if (typeof list === 'string' && schema.items.type === 'string') {
+        list = list.split('\n').map(line => line.replace(/^\s*(?:[-*•]|\d+[.、)])\s*/, '').trim()).filter(Boolean);
+      }
+      if (!Array.isArray(list)) break;
+      const items = list
+        .map((item, index) => checkNode(schema.items, item, `${path}[${index}]`, errors))
+        .filter(item => item !== undefined);
+      if (schema.minItems && items.length < schema.minItems) {
+        errors.push(`${path} 至少需要 ${schema.minItems} 项`);
+      }
+      return items;
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) break;
+      const result = { ...value };
+      Object.entries(schema.properties).forEach(([key, child]) => {
+        const checked = checkNode(child, value[key], path ? `${path}.${key}` : key, errors);
+        if (checked !== undefined) result[key] = checked;
+      });
+      return result;
+    }
+
+    default:
+      return value;
+  }
+
+  errors.push(`${path || '根节点'} 应为 ${schema.type}，实际为 ${describe(value)}`);
+  return 'default' in schema ? cloneDefault(schema.default) : undefined;
+};
+
+// 返回 { value, errors }；errors 为空表示通过
+export const validate = (schema, data) => {
+  const errors = [];
+  const value = checkNode(schema, data, '', errors);
+  return { value, errors };
+};
+
+// --- 问题 / 报价的结构定义 ---
+
+export const QUESTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    questions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'id', default: null },
+          text: { type: 'string' },
+          options: { type: 'array', minItems: 2, items: { type: 'string' } }
+        }
+      }
+    },
+    // 0-1，模型对"已经能准确报价"的把握
+    confidence: { type: 'number', default: 0 }
+  }
+};
+
+// 追问轮：信息足够时 questions 可以为空
+export const FOLLOW_UP_SCHEMA = {
+  type: 'object',
+  properties: {
+    questions: {
+      ...QUESTIONS_SCHEMA.properties.questions,
+      minItems: 0,
+      default: []
+    },
+    confidence: { type: 'number' },
+    reason: { type: 'string', default: '' }
+  }
+};
+
+export const QUOTE_SCHEMA = {
+  type: 'object',
+  properties: {
+    scope: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', default: '' },
+        platform: { type: 'string', default: '' },
+        nodeCount: { type: 'number' },
+        integrations: { type: 'array', items: { type: 'string' }, default: [] },
+        automation: { type: 'string', default: 'semi' }
+      }
+    },
+    tiers: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', default: '' },
+          features: { type: 'array', minItems: 1, items: { type: 'string' } },
+          desc: { type: 'string', default: '' }
+        }
+      }
+    },
+    notes: { type: 'array', items: { type: 'string' }, default: [] },
+    analysis: { type: 'string', default: '' }
+  }
+};
+
+// 需求筛查：verdict 取值见 shared/leads.js 的 SCREENING_VERDICTS
+export const SCREENING_SCHEMA = {
+  type: 'object',
+  properties: {
+    verdict: { type: 'string' },
+    reasons: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+};
+
+// 附件摘要：summary 会并入之后的提问和报价提示词
+export const ATTACHMENT_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' }
+  }
+};
+
+// 交付规格书：节点 type 取值见 shared/spec.js 的 SPEC_NODE_TYPES，不认识的按 code 处理
+const NAMED_ITEM = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    desc: { type: 'string', default: '' }
+  }
+};
+
+export const SPEC_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    summary: { type: 'string', default: '' },
+    inputs: { type: 'array', items: NAMED_ITEM, default: [] },
+    outputs: { type: 'array', items: NAMED_ITEM, default: [] },
+    nodes: {
+      type: 'array',
+      minItems: 2,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          type: { type: 'string', default: 'code' },
+          desc: { type: 'string', default: '' }
+        }
+      }
+    },
+    services: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          purpose: { type: 'string', default: '' },
+          credential: { type: 'string', default: '' }
+        }
+      }
+    },
+    acceptance: { type: 'array', minItems: 1, items: { type: 'string' } }
+  }
+};
+
+// 缺失或重复的问题 id 按顺序补齐，保证答案能一一对应
+export const ensureQuestionIds = (questions) => {
+  const seen = new Set();
+  return questions.map((q, index) => {
+    let id = q.id ?? index + 1;
+    while (seen.has(id)) id = `${id}-${index + 1}`;
+    seen.add(id);
+    return { ...q, id };
+  });
+};
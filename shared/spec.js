@@ -0,0 +1,212 @@
+// --- 交付规格书 ---
+// 客户接受报价后，由模型把需求、问答和选定档位整理成规格书（结构见 shared/schema.js 的 SPEC_SCHEMA），
+// 这里负责导出：Markdown 文档，以及可以直接导入平台的 Dify DSL / n8n 工作流骨架。
+// 骨架只按顺序串起节点、写好说明，模型、接口地址和凭证在平台里补齐。
+
+// 节点类型，及其在 Dify / n8n 里对应的节点
+export const SPEC_NODE_TYPES = ['trigger', 'llm', 'knowledge', 'http', 'code', 'condition', 'output'];
+
+export const SPEC_NODE_LABELS = {
+  trigger: '触发',
+  llm: '大模型',
+  knowledge: '知识库',
+  http: '外部接口',
+  code: '代码',
+  condition: '条件',
+  output: '输出'
+};
+
+// 不认识的类型按 code 处理
+export const normalizeSpec = (spec) => ({
+  ...spec,
+  nodes: spec.nodes.map(node => ({ ...node, type: SPEC_NODE_TYPES.includes(node.type) ? node.type : 'code' }))
+});
+
+// --- Markdown ---
+
+const bulletList = (items, format) => (items.length ? items.map(item => `- ${format(item)}`).join('\n') : '- 无');
+
+// context：{ request, qa, tier: { name, features }, platform }
+export const specToMarkdown = (spec, { request, qa, tier, platform }) => [
+  `# ${spec.title}`,
+  spec.summary,
+  '## 客户需求',
+  request,
+  qa.map(item => `- **${item.question}** ${item.answer}`).join('\n'),
+  `## 交付范围：${tier.name}（${platform}）`,
+  bulletList(tier.features, feature => feature),
+  '## 输入',
+  bulletList(spec.inputs, item => `\`${item.name}\`：${item.desc}`),
+  '## 输出',
+  bulletList(spec.outputs, item => `\`${item.name}\`：${item.desc}`),
+  '## 工作流节点',
+  spec.nodes.map((node, index) => `${index + 1}. **${node.name}**（${SPEC_NODE_LABELS[node.type]}）${node.desc ? `：${node.desc}` : ''}`).join('\n'),
+  '## 第三方服务与凭证',
+  spec.services.length
+    ? ['| 服务 | 用途 | 凭证 |', '| --- | --- | --- |', ...spec.services.map(item => `| ${item.name} | ${item.purpose} | ${item.credential} |`)].join('\n')
+    : '无',
+  '## 验收标准',
+  spec.acceptance.map(item => `- [ ] ${item}`).join('\n')
+].filter(Boolean).join('\n\n') + '\n';
+
+// --- YAML ---
+// Dify DSL 是 YAML，这里只需要输出：对象、数组和标量；字符串一律用双引号（JSON 的转义写法在 YAML 里同样合法）
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const yamlScalar = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (Array.isArray(value)) return '[]';
+  if (isPlainObject(value)) return '{}';
+  return String(value);
+};
+
+const isEmptyCollection = (value) => (Array.isArray(value) ? value.length === 0 : isPlainObject(value) && Object.keys(value).length === 0);
+
+const isNested = (value) => (Array.isArray(value) || isPlainObject(value)) && !isEmptyCollection(value);
+
+export const toYaml = (value, indent = '') => {
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (!isNested(item)) return `${indent}- ${yamlScalar(item)}`;
+      // 数组里的对象：第一个键跟在 "- " 后面，其余键对齐
+      const body = toYaml(item, `${indent}  `);
+      return `${indent}- ${body.slice(indent.length + 2)}`;
+    }).join('\n');
+  }
+  return Object.entries(value).map(([key, item]) => (
+    isNested(item)
+      ? `${indent}${key}:\n${toYaml(item, Array.isArray(item) ? indent : `${indent}  `)}`
+      : `${indent}${key}: ${yamlScalar(item)}`
+  )).join('\n');
+};
+
+// --- Dify DSL ---
+
+const DIFY_DSL_VERSION = '0.1.5';
+const NODE_SPACING = 320;
+
+const difyNodeData = (node, spec) => {
+  const base = { title: node.name, desc: node.desc, selected: false };
+  switch (node.type) {
+    case 'trigger':
+      return {
+        ...base,
+        type: 'start',
+        // 变量名只能是字母、数字和下划线，中文名改用序号，原名放在 label
+        variables: spec.inputs.map((input, index) => ({
+          variable: /^[A-Za-z_]\w*$/.test(input.name) ? input.name : `input_${index + 1}`,
+          label: input.name,
+          type: 'paragraph',
+          required: true,
+          max_length: 4096,
+          options: []
+        }))
+      };
+    case 'llm':
+      return {
+        ...base,
+        type: 'llm',
+        model: { provider: '', name: '', mode: 'chat', completion_params: { temperature: 0.7 } },
+        prompt_template: [{ role: 'system', text: node.desc }],
+        context: { enabled: false, variable_selector: [] },
+        vision: { enabled: false }
+      };
+    case 'knowledge':
+      return { ...base, type: 'knowledge-retrieval', dataset_ids: [], retrieval_mode: 'multiple', query_variable_selector: [] };
+    case 'http':
+      return {
+        ...base,
+        type: 'http-request',
+        method: 'get',
+        url: '',
+        authorization: { type: 'no-auth', config: null },
+        headers: '',
+        params: '',
+        body: { type: 'none', data: null },
+        timeout: { max_connect_timeout: 0, max_read_timeout: 0, max_write_timeout: 0 }
+      };
+    case 'condition':
+      return { ...base, type: 'if-else', cases: [] };
+    case 'output':
+      return { ...base, type: 'end', outputs: [] };
+    default:
+      return {
+        ...base,
+        type: 'code',
+        code_language: 'python3',
+        code: `# ${node.desc}\ndef main() -> dict:\n    return {"result": ""}\n`,
+        variables: [],
+        outputs: { result: { type: 'string', children: null } }
+      };
+  }
+};
+
+// 节点按顺序横向排开并依次连线；条件分支的出口在平台里自行连接
+export const toDifyDsl = (spec) => {
+  const nodes = spec.nodes.map((node, index) => ({
+    id: `${index + 1}`,
+    type: 'custom',
+    position: { x: 80 + index * NODE_SPACING, y: 280 },
+    data: difyNodeData(node, spec)
+  }));
+  const edges = nodes.slice(1).map((node, index) => ({
+    id: `${nodes[index].id}-${node.id}`,
+    source: nodes[index].id,
+    target: node.id,
+    sourceHandle: 'source',
+    targetHandle: 'target',
+    type: 'custom',
+    data: { sourceType: nodes[index].data.type, targetType: node.data.type }
+  }));
+
+  return `${toYaml({
+    app: { name: spec.title, mode: 'workflow', icon: '🤖', icon_background: '#EFF1F5', description: spec.summary },
+    kind: 'app',
+    version: DIFY_DSL_VERSION,
+    workflow: {
+      environment_variables: [],
+      conversation_variables: [],
+      features: {},
+      graph: { nodes, edges, viewport: { x: 0, y: 0, zoom: 1 } }
+    }
+  })}\n`;
+};
+
+// --- n8n ---
+
+const N8N_NODES = {
+  trigger: { type: 'n8n-nodes-base.manualTrigger', typeVersion: 1 },
+  llm: { type: '@n8n/n8n-nodes-langchain.openAi', typeVersion: 1 },
+  knowledge: { type: 'n8n-nodes-base.noOp', typeVersion: 1 },
+  http: { type: 'n8n-nodes-base.httpRequest', typeVersion: 4.2 },
+  code: { type: 'n8n-nodes-base.code', typeVersion: 2 },
+  condition: { type: 'n8n-nodes-base.if', typeVersion: 2 },
+  output: { type: 'n8n-nodes-base.noOp', typeVersion: 1 }
+};
+
+// n8n 用节点名做连线的键，重名时加序号
+export const toN8nWorkflow = (spec) => {
+  const used = new Set();
+  const nodes = spec.nodes.map((node, index) => {
+    let name = node.name;
+    for (let n = 2; used.has(name); n++) name = `${node.name} ${n}`;
+    used.add(name);
+    return {
+      id: `node-${index + 1}`,
+      name,
+      ...N8N_NODES[node.type],
+      position: [index * 240, 0],
+      parameters: {},
+      notes: node.desc,
+      notesInFlow: true
+    };
+  });
+  const connections = Object.fromEntries(nodes.slice(0, -1).map((node, index) => [
+    node.name,
+    { main: [[{ node: nodes[index + 1].name, type: 'main', index: 0 }]] }
+  ]));
+
+  return { name: spec.title, nodes, connections, settings: { executionOrder: 'v1' }, pinData: {} };
+};
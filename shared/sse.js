@@ -0,0 +1,26 @@
+// --- Server-Sent Events 解析 ---
+// 前后端共用：服务端解析上游模型的流，前端解析 /api 的流。
+// 每收到一个完整事件调用 onEvent({ event, data })，data 为原始字符串。
+export const createSseParser = (onEvent) => {
+  let buffer = '';
+
+  const flush = (block) => {
+    let event = 'message';
+    const dataLines = [];
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+    });
+    if (dataLines.length > 0) onEvent({ event, data: dataLines.join('\n') });
+  };
+
+  return (chunk) => {
+    buffer += chunk.replace(/\r\n/g, '\n');
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      flush(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  };
+};
@@ -1,176 +1,276 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import {
-  MessageSquare, CheckCircle, Calculator, ChevronRight, Copy, RefreshCw, AlertCircle, ShieldCheck, Sparkles, Bot,
-  PenTool, Database
+  MessageSquare, CheckCircle, Calculator, ChevronRight, Copy, RefreshCw, AlertCircle, Sparkles, Bot,
+  PenTool, Database, X, History, RotateCcw, ShieldAlert, ShieldX, CloudOff
 } from 'lucide-react';
 
-// --- NocoDB 配置 ---
-// 从环境变量读取配置
-const NOCODB_CONFIG = {
-  baseUrl: import.meta.env.VITE_NOCODB_BASE_URL,
-  tableId: import.meta.env.VITE_NOCODB_TABLE_ID,
-  apiToken: import.meta.env.VITE_NOCODB_API_TOKEN
-};
-
-// --- OpenAI API 调用 ---
-const generateContent = async (prompt, systemInstruction) => {
-  const apiKey = import.meta.env.VITE_OPENAI_API_KEY;
-  const apiUrl = import.meta.env.VITE_OPENAI_API_URL || "https://api.openai.com/v1";
-  const model = import.meta.env.VITE_OPENAI_MODEL_ID || "gpt-3.5-turbo";
-
-  if (!apiKey) {
-    throw new Error("OpenAI API Key 未配置，请在环境变量中设置 VITE_OPENAI_API_KEY");
-  }
-
-  try {
-    const response = await fetch(
-      `${apiUrl}/chat/completions`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-          model: model,
-          messages: [
-            { role: "system", content: systemInstruction },
-            { role: "user", content: prompt }
-          ],
-          response_format: { type: "json_object" } // 强制 JSON 输出，需模型支持
-        }),
-      }
-    );
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.error?.message || `API Error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    let content = data.choices?.[0]?.message?.content;
-
-    if (!content) {
-      throw new Error("Empty response from model");
-    }
-
-    // 尝试提取 JSON 部分 (从第一个 { 到 最后一个 })
-    const firstBrace = content.indexOf('{');
-    const lastBrace = content.lastIndexOf('}');
-
-    if (firstBrace !== -1 && lastBrace !== -1) {
-      content = content.substring(firstBrace, lastBrace + 1);
-    }
-
-    try {
-      return JSON.parse(content);
-    } catch (e) {
-      console.error("JSON Parse Error. Raw content:", content);
-      throw new Error(`JSON 解析失败: ${e.message}`);
-    }
-  } catch (error) {
-    console.error("OpenAI API Error:", error);
-    throw error;
-  }
-};
+import {
+  buildShareUrl, fetchCatalog, fetchQuestions, fetchQuote, formatQA, isAbortError, isRetryableError, reportCopied, saveCustomQuote,
+  saveLead, screenRequest
+} from './api.js';
+import QuoteView from './components/QuoteView.jsx';
+import ExportMenu from './components/ExportMenu.jsx';
+import CustomQuoteBuilder from './components/CustomQuoteBuilder.jsx';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import LanguageSwitcher from './components/LanguageSwitcher.jsx';
+import AttachmentPicker from './components/AttachmentPicker.jsx';
+import ContactForm from './components/ContactForm.jsx';
+import ChatPanel from './components/ChatPanel.jsx';
+import { useI18n } from './i18n/index.jsx';
+import {
+  addToHistory, clearSession, enqueueLead, loadHistory, loadLeadQueue, loadSession, removeFromHistory, removeQueuedLead, saveSession,
+  updateHistory
+} from './lib/storage.js';
+import { extractCompleteItems, extractCompleteObject } from './lib/partialJson.js';
+import { track } from './lib/analytics.js';
+import { DEFAULT_PRICING_RULES, computeCustomQuote, computeTierPrices } from '../shared/pricing.js';
+import { DEFAULT_PRESENTATION } from '../shared/experiments.js';
+import {
+  INJECTION_CODE, MAX_ANSWER_LENGTH, MAX_REQUEST_LENGTH, PROOF_REQUIRED_CODE, QUOTA_EXCEEDED_CODE
+} from '../shared/abuse.js';
 
-// --- NocoDB 保存逻辑 ---
-const saveToNocoDB = async (request, qaData, quoteData) => {
-  if (!NOCODB_CONFIG.apiToken || !NOCODB_CONFIG.baseUrl || !NOCODB_CONFIG.tableId) {
-    console.warn("NocoDB 配置不完整，跳过保存。");
-    return;
-  }
-
-  try {
-    // 构造 QA 字符串以便阅读
-    const qaFormatted = qaData.questions.map(q => ({
-      question: q.text,
-      answer: qaData.answers[q.id]
-    }));
+// --- 组件部分 ---
 
-    const payload = {
-      "User_Request": request,
-      "Questions_Answers": JSON.stringify(qaFormatted, null, 2),
-      "Quote_Details": JSON.stringify(quoteData, null, 2),
-      "Status": "Generated"
-    };
-
-    const response = await fetch(
-      `${NOCODB_CONFIG.baseUrl}/api/v2/tables/${NOCODB_CONFIG.tableId}/records`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "xc-token": NOCODB_CONFIG.apiToken
-        },
-        body: JSON.stringify(payload)
-      }
-    );
+// 暂存在本机的线索多久重试一次；连不上网时另外在恢复联网时立即重试
+const LEAD_RETRY_INTERVAL_MS = 60 * 1000;
 
-    if (!response.ok) {
-      console.error("NocoDB Save Failed:", await response.text());
-    } else {
-      console.log("Data saved to NocoDB successfully");
-    }
-  } catch (error) {
-    console.error("NocoDB Error:", error);
-  }
-};
+// 早期保存的问题没有 round 字段，统一视为第一轮
+const roundOf = (q) => q.round || 1;
 
-// --- 组件部分 ---
+// 随请求发给服务端的只有上传成功的附件
+const readyAttachments = (attachments) => attachments
+  .filter(item => item.status === 'ready')
+  .map(({ name, kind, summary, file }) => ({ name, kind, summary, file }));
 
 const App = () => {
-  const [step, setStep] = useState('input'); // input, analyzing, questions, calculating, quote
+  const { locale, t, formatPrice, joinList } = useI18n();
+  const [step, setStep] = useState('input'); // input, screening, screened, analyzing, questions, refining, calculating, quote
+  // wizard：表单逐页填写；chat：对话逐个提问。两种模式共用同一套步骤和接口
+  const [mode, setMode] = useState('wizard');
+  // 需求筛查未通过时的结论 { verdict, reasons }
+  const [screening, setScreening] = useState(null);
   const [userRequest, setUserRequest] = useState('');
+  // 客户上传的参考附件，见 AttachmentPicker
+  const [attachments, setAttachments] = useState([]);
   const [questions, setQuestions] = useState([]);
   const [answers, setAnswers] = useState({});
   const [customInputModes, setCustomInputModes] = useState({});
   const [quoteData, setQuoteData] = useState(null);
+  // 多轮追问：当前轮次、上限、模型给出的把握度和追问原因
+  const [round, setRound] = useState(1);
+  const [maxRounds, setMaxRounds] = useState(1);
+  const [confidence, setConfidence] = useState(0);
+  const [followUpReason, setFollowUpReason] = useState('');
   const [error, setError] = useState('');
   const [isSaving, setIsSaving] = useState(false);
+  const [isSavingCustom, setIsSavingCustom] = useState(false);
+  // 保存成功后得到的分享 ID，对应 /q/:id
+  const [shareId, setShareId] = useState(null);
+  // 客户是否已在当前方案下留过联系方式
+  const [contactSubmitted, setContactSubmitted] = useState(false);
+  // 流式生成过程中已经完整输出的问题/方案，用于逐个展示
+  const [streamPreview, setStreamPreview] = useState([]);
+  const abortRef = useRef(null);
+  // 上次未完成的评估，等待用户选择继续还是重新开始
+  const [savedSession, setSavedSession] = useState(() => loadSession());
+  const [history, setHistory] = useState(() => loadHistory());
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  // 当前方案在历史记录中的 id，用于回填分享链接
+  const [historyId, setHistoryId] = useState(null);
+  const historyIdRef = useRef(null);
+  // 保存失败、等待重试的线索，见 lib/storage.js
+  const [leadQueue, setLeadQueue] = useState(() => loadLeadQueue());
+  // 后台发布的报价规则，用于流式预估价格；取不到时用内置默认值
+  const [pricingRules, setPricingRules] = useState(DEFAULT_PRICING_RULES);
+
+  useEffect(() => {
+    fetchCatalog(locale)
+      .then(catalog => setPricingRules(catalog.pricing))
+      .catch(() => {});
+  }, [locale]);
+
+  useEffect(() => {
+    historyIdRef.current = historyId;
+  }, [historyId]);
+
+  // 线索保存成功后回填分享链接；客户可能已经开始了新的评估，只有还在看这份方案时才更新页面
+  const applySavedLead = useCallback((entryId, id) => {
+    if (entryId === historyIdRef.current) setShareId(id);
+    if (id) setHistory(updateHistory(entryId, { shareId: id }));
+  }, []);
+
+  // 按顺序重试暂存的线索：仍然连不上就停下等下次，不会再成功的（如价格校验不通过）直接丢弃
+  const flushingRef = useRef(false);
+  const flushLeadQueue = useCallback(async () => {
+    if (flushingRef.current) return;
+    flushingRef.current = true;
+    try {
+      for (const item of loadLeadQueue()) {
+        try {
+          const { id } = await saveLead(item.lead);
+          setLeadQueue(removeQueuedLead(item.id));
+          applySavedLead(item.id, id);
+        } catch (e) {
+          if (isRetryableError(e)) break;
+          console.error("NocoDB Error:", e);
+          setLeadQueue(removeQueuedLead(item.id));
+        }
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+  }, [applySavedLead]);
+
+  useEffect(() => {
+    flushLeadQueue();
+    window.addEventListener('online', flushLeadQueue);
+    return () => window.removeEventListener('online', flushLeadQueue);
+  }, [flushLeadQueue]);
+
+  // 服务端暂时出错时不会有 online 事件，队列不空就定时重试
+  const hasQueuedLeads = leadQueue.length > 0;
+  useEffect(() => {
+    if (!hasQueuedLeads) return;
+    const timer = setInterval(flushLeadQueue, LEAD_RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasQueuedLeads, flushLeadQueue]);
+
+  // 限流、额度用完、人机验证失败和输入被拦截时给出当前语言的提示，其他错误附上服务端返回的原因
+  const describeError = (key, e) => {
+    if (e.code === QUOTA_EXCEEDED_CODE) return t('errors.quota');
+    if (e.code === INJECTION_CODE) return t('errors.injection');
+    if (e.code === PROOF_REQUIRED_CODE) return t('errors.verification');
+    return e.status === 429 ? t('errors.rateLimited') : t(key) + e.message;
+  };
+
+  // 请求失败：提示客户，同时记一条埋点
+  const showRequestError = (key, e) => {
+    track('request_error', { stage: key.replace('errors.', ''), status: e.status ?? null, message: e.message });
+    setError(describeError(key, e));
+  };
+
+  // 记录每次步骤切换和在上一步停留的时间
+  const stepRef = useRef({ step: null, since: Date.now() });
+  useEffect(() => {
+    const previous = stepRef.current;
+    if (previous.step === step) return;
+    track('step_change', { from: previous.step, to: step, duration: previous.step ? Date.now() - previous.since : null });
+    stepRef.current = { step, since: Date.now() };
+  }, [step]);
+
+  // 每次状态变化都存一份；用户还没决定是否恢复时不写，以免覆盖上次的进度
+  useEffect(() => {
+    if (savedSession) return;
+    saveSession({
+      step, mode, userRequest, questions, answers, customInputModes, quoteData, shareId, historyId,
+      round, maxRounds, confidence, followUpReason, screening, attachments, contactSubmitted
+    });
+  }, [savedSession, step, mode, userRequest, questions, answers, customInputModes, quoteData, shareId, historyId,
+    round, maxRounds, confidence, followUpReason, screening, attachments, contactSubmitted]);
+
+  const restoreSnapshot = (snapshot) => {
+    setStep(snapshot.step);
+    if (snapshot.mode) setMode(snapshot.mode);
+    setUserRequest(snapshot.userRequest || '');
+    setQuestions(snapshot.questions || []);
+    setAnswers(snapshot.answers || {});
+    setCustomInputModes(snapshot.customInputModes || {});
+    setQuoteData(snapshot.quoteData || null);
+    setShareId(snapshot.shareId || null);
+    setContactSubmitted(Boolean(snapshot.contactSubmitted));
+    setHistoryId(snapshot.historyId || null);
+    setRound(snapshot.round || 1);
+    setMaxRounds(snapshot.maxRounds || 1);
+    setConfidence(snapshot.confidence || 0);
+    setFollowUpReason(snapshot.followUpReason || '');
+    setScreening(snapshot.screening || null);
+    // 中断时还在上传的附件无法继续，只恢复已经就绪的
+    setAttachments((snapshot.attachments || []).filter(item => item.status === 'ready'));
+    setError('');
+  };
+
+  const resumeSession = () => {
+    restoreSnapshot(savedSession);
+    setSavedSession(null);
+  };
+
+  const discardSession = () => {
+    clearSession();
+    setSavedSession(null);
+  };
+
+  // 从历史记录重新打开某个方案
+  const openHistoryEntry = (entry) => {
+    cancelGeneration();
+    setSavedSession(null);
+    restoreSnapshot({ ...entry, step: 'quote', historyId: entry.id });
+    setIsHistoryOpen(false);
+  };
+
+  const deleteHistoryEntry = (id) => {
+    setHistory(removeFromHistory(id));
+  };
+
+  // 开始一次可取消的生成请求
+  const beginStream = () => {
+    abortRef.current?.abort();
+    abortRef.current = new AbortController();
+    setStreamPreview([]);
+    return abortRef.current.signal;
+  };
+
+  const cancelGeneration = () => {
+    abortRef.current?.abort();
+    abortRef.current = null;
+  };
+
+  // 数量变化时才更新，避免每个字符都重新渲染
+  const updatePreview = (items) => {
+    setStreamPreview(prev => (items.length === prev.length ? prev : items));
+  };
 
   // 1. 获取需求，生成问题
   const handleAnalyzeRequest = async () => {
     if (!userRequest.trim()) return;
-    setStep('analyzing');
+    // 直接开始新的评估，视为放弃上次的进度
+    setSavedSession(null);
+    setStep('screening');
+    setScreening(null);
     setError('');
 
-    const systemPrompt = `
-      你是一个专业的 AI 解决方案顾问。现在有一位客户想要定制 AI 工具或工作流（如 Dify, Coze, n8n, ComfyUI 等）。
-
-      任务：
-      1. 理解客户的想法。
-      2. 为了给出准确的方案和报价，生成 3 到 5 个关键的选择题询问细节。
-      3. 语气要亲切、专业、以服务为导向。不要使用技术黑话，除非非常有必要。
-      4. 问题旨在厘清：输入是什么？输出要什么？是否需要全自动？
-      5. **重要**: 输出纯净的 JSON 格式。所有字符串内部的换行符必须转义为 \\n，双引号必须转义为 \\" 。严禁输出 Markdown 代码块标记。
-
-      JSON 结构示例：
-      {
-        "questions": [
-          {
-            "id": 1,
-            "text": "您手头已经有整理好的素材内容吗？",
-            "options": ["有现成的文档/文字稿", "只有视频链接，需要提取", "什么都没有，需要AI自动生成"]
-          }
-        ]
+    try {
+      // 先确认需求是否在服务范围内，不承接或需人工确认的不再继续提问
+      const signal = beginStream();
+      const verdict = await screenRequest({ request: userRequest, locale, attachments: readyAttachments(attachments) }, { signal });
+      if (verdict.verdict !== 'deliverable') {
+        setScreening(verdict);
+        setStep('screened');
+        return;
       }
-    `;
 
-    try {
-      // 移除 apiKey 参数，直接在函数内读取 env
-      const result = await generateContent(userRequest, systemPrompt);
+      setStep('analyzing');
+      const result = await fetchQuestions({ request: userRequest, locale, attachments: readyAttachments(attachments) }, {
+        signal,
+        onText: (text) => updatePreview(extractCompleteItems(text, 'questions'))
+      });
       if (result && result.questions) {
         setQuestions(result.questions);
         const initialAnswers = {};
         result.questions.forEach(q => initialAnswers[q.id] = null);
         setAnswers(initialAnswers);
+        setCustomInputModes({});
+        setRound(result.round);
+        setMaxRounds(result.maxRounds);
+        setConfidence(result.confidence);
+        setFollowUpReason('');
         setStep('questions');
       } else {
-        throw new Error("格式解析失败，请重试");
+        throw new Error(t('errors.format'));
       }
     } catch (e) {
-      setError("网络有点拥堵，请重试或简化描述。" + e.message);
+      if (!isAbortError(e)) {
+        showRequestError('errors.analyze', e);
+      }
       setStep('input');
     }
   };
@@ -196,92 +296,223 @@ const App = () => {
     }));
   };
 
-  // 3. 提交答案，生成报价，并保存到 NocoDB
-  const handleGenerateQuote = async () => {
-    const allAnswered = questions.every(q => {
-      if (customInputModes[q.id]) {
-        return answers[q.id] && answers[q.id].trim().length > 0;
+  // 对话模式答完最后一题时状态还没更新，由调用方直接传入最新的回答
+  const isAnswered = (q, current = answers, modes = customInputModes) => {
+    if (modes[q.id]) {
+      return current[q.id] && current[q.id].trim().length > 0;
+    }
+    return current[q.id];
+  };
+
+  // 3. 提交本轮答案：未到轮次上限时先让模型判断是否需要追问，信息足够再生成报价
+  const handleSubmitAnswers = async (current = answers, modes = customInputModes) => {
+    if (!questions.filter(q => roundOf(q) === round).every(q => isAnswered(q, current, modes))) {
+      setError(t('questions.answerAll'));
+      return;
+    }
+    // 客户自己填写的答案说明预设选项没覆盖到，记下来用于改进提问
+    questions
+      .filter(q => roundOf(q) === round && modes[q.id])
+      .forEach(q => track('custom_answer', { question: q.text, answer: current[q.id], mode }));
+
+    if (round >= maxRounds) {
+      handleGenerateQuote(current, modes);
+      return;
+    }
+
+    setStep('refining');
+    setError('');
+
+    try {
+      const result = await fetchQuestions({
+        request: userRequest,
+        qa: formatQA(questions, current),
+        round: round + 1,
+        locale,
+        attachments: readyAttachments(attachments)
+      }, {
+        signal: beginStream(),
+        onText: (text) => updatePreview(extractCompleteItems(text, 'questions'))
+      });
+      setConfidence(result.confidence);
+      if (result.done) {
+        handleGenerateQuote(current, modes);
+        return;
       }
-      return answers[q.id];
-    });
+      setQuestions(prev => [...prev, ...result.questions]);
+      setAnswers(prev => ({ ...prev, ...Object.fromEntries(result.questions.map(q => [q.id, null])) }));
+      setRound(result.round);
+      setFollowUpReason(result.reason);
+      setStep('questions');
+    } catch (e) {
+      if (!isAbortError(e)) {
+        showRequestError('errors.network', e);
+      }
+      setStep('questions');
+    }
+  };
 
-    if (!allAnswered) {
-      setError("请先完成所有选项（包括“其他”补充），以便我们为您定制方案");
+  // 4. 生成报价，并保存到 NocoDB
+  const handleGenerateQuote = async (current = answers, modes = customInputModes) => {
+    if (!questions.every(q => isAnswered(q, current, modes))) {
+      setError(t('questions.answerAll'));
       return;
     }
 
     setStep('calculating');
     setError('');
 
-    const formattedQA = questions.map(q => `问：${q.text}\n答：${answers[q.id]}`).join('\n');
-
-    const systemPrompt = `
-      你是一个真诚的 AI 服务商。根据客户的需求和回答，为他生成一份**一次性交付（一口价）的预览报价方案**。
-
-      原则：
-      1. **定价策略**：采用一口价（One-time fee）交付工作流文件，**绝不要按月收费**。
-      - 参考价格档位：
-        * 基础版：约 199-599 元
-        * 标准版：约 599-1299 元
-        * 高级版：约 1499-2599 元
-      2. **价值导向**：解释每个方案能帮客户省多少时间，或解决什么问题。
-      3. **免责与说明**：
-      - **费用说明**：报价不含服务器及 AI API 调用费用。
-      - **仅供参考**：此方案仅供参考，不代表最终成交价。
-      - **交付标准**：参考对标案例，相似度 80% 即视为交付成功。
-      - **售后界限**：AI 具有随机性，不支持无限次修改。
-      4. 输出 JSON 格式。**重要**: 严禁使用 Markdown 代码块。确保所有字符串内部的特殊字符（如换行符、双引号）都已正确转义（例如使用 \\n 和 \\"）。
-
-      JSON 结构示例：
-      {
-        "tiers": [
-          {
-            "name": "基础版",
-            "price": "599",
-            "features": ["功能A", "功能B"],
-            "desc": "描述"
-          }
-        ],
-        "notes": ["注意事项1"],
-        "analysis": "分析内容..."
-      }
-    `;
+    const qa = formatQA(questions, current);
 
-    const fullPrompt = `客户需求：${userRequest}\n\n确认细节：\n${formattedQA}`;
+    const answerTexts = qa.map(item => item.answer);
+    const uploaded = readyAttachments(attachments);
 
     try {
-      const result = await generateContent(fullPrompt, systemPrompt);
+      const result = await fetchQuote({ request: userRequest, qa, locale, attachments: uploaded }, {
+        signal: beginStream(),
+        onText: (text) => {
+          const tiers = extractCompleteItems(text, 'tiers');
+          const scope = extractCompleteObject(text, 'scope');
+          // scope 先于 tiers 输出，拿到后即可用同一套规则预先算出价格
+          const prices = scope ? computeTierPrices(scope, answerTexts, pricingRules) : [];
+          updatePreview(tiers.map((tier, index) => ({ ...tier, ...prices[index] })));
+        }
+      });
       if (result && result.tiers) {
         setQuoteData(result);
         setStep('quote');
-
-        // 异步保存到 NocoDB，不阻塞 UI
+        const prices = result.tiers.map(tier => tier.price).filter(price => typeof price === 'number');
+        track('quote_ready', {
+          mode,
+          estimate: Boolean(result.estimate),
+          category: result.scope?.category ?? null,
+          minPrice: prices.length ? Math.min(...prices) : null,
+          maxPrice: prices.length ? Math.max(...prices) : null
+        });
+
+        const entryId = String(Date.now());
+        setHistoryId(entryId);
+        setHistory(addToHistory({
+          id: entryId,
+          createdAt: Date.now(),
+          userRequest,
+          questions,
+          answers: current,
+          customInputModes: modes,
+          quoteData: result,
+          shareId: null
+        }));
+
+        // 异步保存到 NocoDB，不阻塞 UI；暂时保存不了的先放进本机队列，稍后重试
         setIsSaving(true);
-        saveToNocoDB(userRequest, { questions, answers }, result)
-          .then(() => setIsSaving(false))
-          .catch(() => setIsSaving(false));
+        setShareId(null);
+        setContactSubmitted(false);
+        const lead = { request: userRequest, qa, quote: result, locale, attachments: uploaded };
+        saveLead(lead)
+          .then(({ id }) => applySavedLead(entryId, id))
+          .catch((e) => {
+            console.error("NocoDB Error:", e);
+            if (isRetryableError(e)) setLeadQueue(enqueueLead({ id: entryId, lead }));
+          })
+          .finally(() => setIsSaving(false));
 
       } else {
-        throw new Error("生成方案失败");
+        throw new Error(t('errors.format'));
       }
     } catch (e) {
-      setError("生成方案时遇到问题，请重试。" + e.message);
+      if (!isAbortError(e)) {
+        showRequestError('errors.quote', e);
+      }
       setStep('questions');
     }
   };
 
+  // 对话模式的回答：点选项或直接打字，本轮最后一题答完就自动提交
+  const handleChatAnswer = (questionId, value, isCustom) => {
+    const current = { ...answers, [questionId]: value };
+    const modes = { ...customInputModes, [questionId]: isCustom };
+    setAnswers(current);
+    setCustomInputModes(modes);
+    setError('');
+    if (questions.filter(q => roundOf(q) === round).every(q => current[q.id])) {
+      handleSubmitAnswers(current, modes);
+    }
+  };
+
+  const switchMode = (next) => {
+    if (next === mode) return;
+    track('mode_change', { mode: next });
+    setMode(next);
+  };
+
+  // 客户确认定制方案：有分享链接时由服务端核算并写入线索；否则先在本地计算，
+  // 线索还在重试队列里的话一并更新，保存时服务端按其中的 selection 重新核算
+  const confirmCustomQuote = async (selection) => {
+    setIsSavingCustom(true);
+    setError('');
+    try {
+      const custom = shareId
+        ? await saveCustomQuote(shareId, selection, locale)
+        : computeCustomQuote(quoteData, selection, pricingRules);
+      const next = { ...quoteData, custom };
+      setQuoteData(next);
+      if (historyId) setHistory(updateHistory(historyId, { quoteData: next }));
+      const queued = !shareId && loadLeadQueue().find(item => item.id === historyId);
+      if (queued) setLeadQueue(enqueueLead({ id: historyId, lead: { ...queued.lead, quote: next } }));
+    } catch (e) {
+      showRequestError('errors.custom', e);
+    } finally {
+      setIsSavingCustom(false);
+    }
+  };
+
+  const submitContact = () => {
+    track('contact_submit');
+    setContactSubmitted(true);
+    if (historyId) setHistory(updateHistory(historyId, { contactSubmitted: true }));
+  };
+
   const copyToClipboard = () => {
     if (!quoteData) return;
+    track('copy_click');
+    if (shareId) reportCopied(shareId);
 
-    let text = `👋 您好，我在您的【自助报价页】生成了一个方案：\n\n📌 需求：${userRequest.substring(0, 15)}...\n`;
+    let text = `${t('copy.greeting')}\n\n${t('copy.request', { request: userRequest.substring(0, 15) })}\n`;
     questions.forEach(q => {
       text += `• ${q.text.substring(0, 10)}... : ${answers[q.id]}\n`;
     });
-    text += `\n💰 我比较感兴趣的方案：\n`;
-    quoteData.tiers.forEach(tier => {
-      text += `【${tier.name}】 ¥${tier.price}\n`;
-    });
-    text += `\n麻烦您看一下能不能做？`;
+    const { custom } = quoteData;
+    // 早期保存的方案没有排期和付款
+    const termsOf = (item) => (item.schedule ? t('copy.tierTerms', { days: item.schedule.totalDays, revisions: item.revisions }) : '');
+    if (custom) {
+      text += `\n${t('copy.custom', { tier: custom.baseTier, price: formatPrice(custom.price) })}${termsOf(custom)}\n`;
+      text += `${t('copy.features', { list: joinList(custom.features) })}\n`;
+      if (custom.removedFeatures.length > 0) {
+        text += `${t('copy.removed', { list: joinList(custom.removedFeatures) })}\n`;
+      }
+      custom.extras.forEach(extra => {
+        text += `${t('copy.extra', { name: extra.name })}${extra.quantity > 1 ? ` × ${extra.quantity}` : ''}\n`;
+      });
+    } else {
+      text += `\n${t('copy.tiers')}\n`;
+      quoteData.tiers.forEach(tier => {
+        text += `【${tier.name}】 ${formatPrice(tier.price)}${termsOf(tier)}\n`;
+      });
+    }
+    // 付款方式：定制方案按定制价格，否则按推荐档位
+    const { recommendedTier } = quoteData.presentation || DEFAULT_PRESENTATION;
+    const payable = custom ? { ...custom, name: custom.baseTier } : quoteData.tiers[recommendedTier ?? 0];
+    if (payable?.payment) {
+      const { deposit, balance } = payable.payment;
+      const terms = deposit
+        ? t('timeline.deposit', { percent: quoteData.paymentTerms.depositPercent, deposit: formatPrice(deposit), balance: formatPrice(balance) })
+        : t('timeline.full', { price: formatPrice(payable.price) });
+      text += `${t('copy.payment', { tier: payable.name, terms })}\n`;
+    }
+    if (shareId) {
+      text += `\n${t('copy.link', { url: buildShareUrl(shareId) })}\n`;
+    }
+    text += `\n${t('copy.closing')}`;
 
     const textArea = document.createElement("textarea");
     textArea.value = text;
@@ -292,10 +523,10 @@ const App = () => {
       const contactUrl = import.meta.env.VITE_CONTACT_SELLER_URL;
       if (contactUrl) {
         // 如果配置了跳转链接，则直接跳转
-        alert("方案已复制！正在为您跳转到客服页面...");
+        alert(t('copy.copiedRedirect'));
         window.open(contactUrl, '_blank');
       } else {
-        alert("已复制！请直接粘贴发送给卖家客服。");
+        alert(t('copy.copied'));
       }
     } catch (err) {
       console.error('Unable to copy', err);
@@ -304,14 +535,49 @@ const App = () => {
   };
 
   const restart = () => {
+    cancelGeneration();
     setStep('input');
     setUserRequest('');
+    setAttachments([]);
     setQuestions([]);
     setAnswers({});
     setCustomInputModes({});
     setQuoteData(null);
+    setShareId(null);
+    setContactSubmitted(false);
+    setHistoryId(null);
+    setRound(1);
+    setMaxRounds(1);
+    setConfidence(0);
+    setFollowUpReason('');
+    setScreening(null);
   };
 
+  // 筛查未通过后回到输入页修改描述
+  const editRequest = () => {
+    setScreening(null);
+    setStep('input');
+  };
+
+  const canStart = Boolean(userRequest.trim()) && !attachments.some(item => item.status === 'uploading');
+
+  const chatPanel = (
+    <ChatPanel
+      step={step}
+      userRequest={userRequest}
+      onRequestChange={setUserRequest}
+      onStart={handleAnalyzeRequest}
+      canStart={canStart}
+      questions={questions}
+      answers={answers}
+      round={round}
+      followUpReason={followUpReason}
+      onAnswer={handleChatAnswer}
+      onRetry={() => handleSubmitAnswers()}
+      onCancel={cancelGeneration}
+    />
+  );
+
   // --- 界面渲染 ---
 
   return (
@@ -325,21 +591,33 @@ const App = () => {
             <Bot size={20} />
           </div>
           <div>
-            <h1 className="font-bold text-lg text-slate-900 tracking-tight">AI 方案自助评估</h1>
-            <p className="text-[10px] text-slate-400">智能匹配最适合您的方案</p>
+            <h1 className="font-bold text-lg text-slate-900 tracking-tight">{t('app.title')}</h1>
+            <p className="text-[10px] text-slate-400">{t('app.subtitle')}</p>
           </div>
         </div>
         <div className="flex items-center gap-3">
           {/* 仅作展示，提示数据是否在保存 */}
           {isSaving && (
             <div className="text-xs text-blue-500 flex items-center gap-1 animate-pulse">
-              <Database size={12} /> 保存中...
+              <Database size={12} /> {t('app.saving')}
             </div>
           )}
+          {leadQueue.length > 0 && (
+            <div className="text-xs text-amber-600 flex items-center gap-1">
+              <CloudOff size={12} /> {t('app.pendingSync', { count: leadQueue.length })}
+            </div>
+          )}
+          {history.length > 0 && (
+            <button onClick={() => setIsHistoryOpen(true)}
+              className="text-slate-400 hover:text-blue-600 transition-colors flex items-center gap-1 text-sm font-medium">
+              <History size={16} /> {t('app.history')}
+            </button>
+          )}
+          <LanguageSwitcher />
           {step !== 'input' && (
             <button onClick={restart}
               className="text-slate-400 hover:text-blue-600 transition-colors flex items-center gap-1 text-sm font-medium">
-              <RefreshCw size={16} /> 重置
+              <RefreshCw size={16} /> {t('app.reset')}
             </button>
           )}
         </div>
@@ -356,65 +634,177 @@ const App = () => {
           </div>
         )}
 
+        {/* 上次未完成的评估 */}
+        {savedSession && step === 'input' && (
+          <div className="mb-6 max-w-2xl mx-auto p-4 bg-blue-50 rounded-xl border border-blue-100 flex flex-col md:flex-row md:items-center gap-3">
+            <div className="flex-1 text-sm text-blue-900">
+              <span className="font-bold block">{t('resume.title')}</span>
+              <span className="text-blue-700 line-clamp-1">{savedSession.userRequest}</span>
+            </div>
+            <div className="flex gap-2 shrink-0">
+              <button onClick={discardSession}
+                className="px-4 py-2 rounded-lg text-sm font-medium text-slate-500 hover:bg-white transition-colors">
+                {t('resume.discard')}
+              </button>
+              <button onClick={resumeSession}
+                className="px-4 py-2 rounded-lg text-sm font-bold bg-blue-600 text-white hover:bg-blue-700 flex items-center gap-1 transition-colors">
+                <RotateCcw size={14} /> {t('resume.resume')}
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Step 1: Input */}
         {step === 'input' && (
           <div className="space-y-8 animate-in fade-in slide-in-from-bottom-4 duration-500 max-w-2xl mx-auto mt-10">
             <div className="space-y-3 text-center md:text-left">
-              <h2 className="text-3xl font-bold text-slate-900">您想做一个什么工具？</h2>
-              <p className="text-slate-500 text-lg">简单描述您的想法，AI 顾问将为您评估实现难度并预估费用。</p>
+              <h2 className="text-3xl font-bold text-slate-900">{t('input.title')}</h2>
+              <p className="text-slate-500 text-lg">{t('input.subtitle')}</p>
             </div>
 
-            <div className="relative group shadow-sm rounded-xl">
-              <textarea
-                className="w-full h-48 p-6 bg-white border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-4 focus:ring-blue-500/10 transition-all text-lg resize-none placeholder-slate-300"
-                placeholder="例如：我想做一个能模仿我喜欢的博主风格自动写小红书文案的工具；或者想实现闲鱼自动发货机器人..." value={userRequest} onChange={(e) => setUserRequest(e.target.value)}
-              />
-              <div className="absolute bottom-4 right-4 text-sm text-slate-400 group-focus-within:text-blue-500 font-medium">
-                {userRequest.length} 字
-              </div>
+            {/* 表单 / 对话模式切换 */}
+            <div className="inline-flex bg-slate-100 rounded-xl p-1 text-sm font-medium">
+              {['wizard', 'chat'].map(item => (
+                <button key={item} onClick={() => switchMode(item)} aria-pressed={mode === item}
+                  className={`px-4 py-2 rounded-lg flex items-center gap-1.5 transition-colors ${mode === item ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}>
+                  {item === 'chat' ? <MessageSquare size={16} /> : <PenTool size={16} />} {t(`mode.${item}`)}
+                </button>
+              ))}
             </div>
 
+            {mode === 'chat' ? chatPanel : (
+              <div className="relative group shadow-sm rounded-xl">
+                <textarea
+                  className="w-full h-48 p-6 bg-white border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-4 focus:ring-blue-500/10 transition-all text-lg resize-none placeholder-slate-300"
+                  placeholder={t('input.placeholder')} value={userRequest} onChange={(e) => setUserRequest(e.target.value)}
+                  maxLength={MAX_REQUEST_LENGTH}
+                />
+                <div className="absolute bottom-4 right-4 text-sm text-slate-400 group-focus-within:text-blue-500 font-medium">
+                  {t('input.count', { count: userRequest.length, max: MAX_REQUEST_LENGTH })}
+                </div>
+              </div>
+            )}
+
+            <AttachmentPicker attachments={attachments} onChange={setAttachments} />
+
             <div className="bg-white p-6 rounded-xl flex gap-4 items-start border border-blue-100 shadow-sm">
               <div className="bg-blue-100 p-2 rounded-lg">
                 <Sparkles className="text-blue-600" size={24} />
               </div>
               <div className="text-sm text-blue-900 leading-relaxed">
-                <span className="font-bold block mb-1 text-base">为什么使用自助评估？</span>
-                直接咨询由于信息不对称，往往需要沟通很久。使用此工具，您只需 1 分钟即可获得针对您需求的**定制方案**和**透明报价**。
+                <span className="font-bold block mb-1 text-base">{t('input.whyTitle')}</span>
+                {t('input.whyBody')}
               </div>
             </div>
           </div>
         )}
 
+        {/* 对话模式：从筛查到生成方案都留在同一个对话里 */}
+        {mode === 'chat' && ['screening', 'analyzing', 'questions', 'refining', 'calculating'].includes(step) && (
+          <div className="max-w-2xl mx-auto mb-6 animate-in fade-in duration-500">{chatPanel}</div>
+        )}
+
         {/* Loading States */}
-        {(step === 'analyzing' || step === 'calculating') && (
-          <div className="flex flex-col items-center justify-center h-[60vh] space-y-6">
+        {mode === 'wizard' && (step === 'screening' || step === 'analyzing' || step === 'refining' || step === 'calculating') && (
+          <div className={`flex flex-col items-center space-y-6 ${streamPreview.length > 0 ? 'py-6' : 'justify-center h-[60vh]'}`}>
             <div className="relative">
               <div className="w-20 h-20 border-4 border-slate-100 rounded-full"></div>
               <div className="absolute top-0 left-0 w-20 h-20 border-4 border-blue-600 rounded-full animate-spin border-t-transparent"></div>
             </div>
             <p className="text-slate-500 font-medium animate-pulse text-lg">
-              {step === 'analyzing' ? '正在分析技术实现路径...' : '正在为您精算成本并配置方案...'}
+              {t(`loading.${step}`)}
             </p>
+            <button onClick={cancelGeneration}
+              className="text-slate-400 hover:text-red-500 transition-colors flex items-center gap-1 text-sm font-medium">
+              <X size={16} /> {t('loading.cancel')}
+            </button>
+          </div>
+        )}
+
+        {/* 流式预览：每生成完一个问题/方案就先展示出来 */}
+        {mode === 'wizard' && (step === 'analyzing' || step === 'refining') && streamPreview.length > 0 && (
+          <div className="space-y-4 max-w-3xl mx-auto">
+            {streamPreview.map((q, idx) => (
+              <div key={idx} className="bg-white rounded-2xl border border-slate-200 shadow-sm p-6 space-y-3 animate-in fade-in slide-in-from-bottom-2">
+                <h3 className="font-bold text-slate-800 leading-relaxed flex gap-3">
+                  <span className="bg-blue-100 text-blue-700 px-2.5 py-0.5 rounded-lg text-sm flex items-center h-fit mt-0.5">Q{idx + 1}</span>
+                  {q.text}
+                </h3>
+                <div className="flex flex-wrap gap-2 pl-0 md:pl-12">
+                  {(q.options || []).map((opt) => (
+                    <span key={opt} className="px-3 py-1.5 rounded-lg text-xs bg-slate-50 text-slate-500">{opt}</span>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {step === 'calculating' && streamPreview.length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 max-w-4xl mx-auto">
+            {streamPreview.map((tier, index) => (
+              <div key={index} className="bg-white rounded-2xl border-2 border-slate-100 shadow-md p-6 animate-in fade-in slide-in-from-bottom-2">
+                <h3 className="font-bold text-slate-900 text-lg">{tier.name}</h3>
+                <div className="text-2xl font-black text-slate-900 my-4 tracking-tight">
+                  {tier.price === undefined
+                    ? <span className="text-base text-slate-400 animate-pulse">{t('loading.pricing')}</span>
+                    : formatPrice(tier.price)}
+                </div>
+                <ul className="space-y-2">
+                  {(tier.features || []).map((feature, i) => (
+                    <li key={i} className="flex items-start gap-2 text-sm text-slate-600">
+                      <CheckCircle size={14} className="text-blue-500 mt-0.5 shrink-0" />
+                      <span className="leading-snug">{feature}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
           </div>
         )}
 
         {/* Step 2: Questions */}
-        {step === 'questions' && (
+        {mode === 'wizard' && step === 'questions' && (
           <div className="space-y-8 animate-in fade-in slide-in-from-right-8 duration-500 max-w-3xl mx-auto">
-            <div className="flex items-center justify-between border-b border-slate-200 pb-4">
-              <div>
-                <h2 className="text-2xl font-bold text-slate-900">请确认定制细节</h2>
-                <p className="text-slate-500 mt-1">为了确保方案可行，我们需要确认以下信息</p>
+            <div className="border-b border-slate-200 pb-4 space-y-4">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h2 className="text-2xl font-bold text-slate-900">{round === 1 ? t('questions.title') : t('questions.followUpTitle')}</h2>
+                  <p className="text-slate-500 mt-1">{round === 1 ? t('questions.subtitle') : followUpReason || t('questions.followUpSubtitle')}</p>
+                </div>
+                <span className="text-sm font-bold font-mono bg-blue-50 text-blue-600 px-3 py-1.5 rounded-lg border border-blue-100 shrink-0">
+                  {t('questions.step')}{maxRounds > 1 && t('questions.rounds', { round, max: maxRounds })}
+                </span>
+              </div>
+              {/* 方案把握度 */}
+              <div className="flex items-center gap-3 text-xs text-slate-500">
+                <span className="shrink-0">{t('questions.confidence')}</span>
+                <div className="flex-1 h-1.5 bg-slate-100 rounded-full overflow-hidden">
+                  <div className="h-full bg-blue-500 rounded-full transition-all duration-500" style={{ width: `${Math.round(confidence * 100)}%` }}></div>
+                </div>
+                <span className="font-mono shrink-0">{Math.round(confidence * 100)}%</span>
               </div>
-              <span className="text-sm font-bold font-mono bg-blue-50 text-blue-600 px-3 py-1.5 rounded-lg border border-blue-100">Step 2 / 3</span>
             </div>
 
+            {/* 前几轮已确认的内容 */}
+            {round > 1 && (
+              <div className="bg-white rounded-2xl border border-slate-200 p-5 space-y-2">
+                <p className="text-xs font-bold text-slate-400 uppercase tracking-wider">{t('questions.confirmed')}</p>
+                {questions.filter(q => roundOf(q) < round).map(q => (
+                  <div key={q.id} className="flex items-start gap-2 text-sm">
+                    <CheckCircle size={14} className="text-green-500 mt-0.5 shrink-0" />
+                    <span className="text-slate-500">{q.text}</span>
+                    <span className="text-slate-900 font-medium ml-auto text-right">{answers[q.id]}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <div className="space-y-8">
-              {questions.map((q, idx) => (
+              {questions.filter(q => roundOf(q) === round).map((q) => (
                 <div key={q.id} className="bg-white rounded-2xl border border-slate-200 shadow-sm p-6 space-y-4 hover:shadow-md transition-shadow">
                   <h3 className="font-bold text-slate-800 text-lg leading-relaxed flex gap-3">
-                    <span className="bg-blue-100 text-blue-700 px-2.5 py-0.5 rounded-lg text-sm flex items-center h-fit mt-1">Q{idx + 1}</span>
+                    <span className="bg-blue-100 text-blue-700 px-2.5 py-0.5 rounded-lg text-sm flex items-center h-fit mt-1">Q{questions.indexOf(q) + 1}</span>
                     {q.text}
                   </h3>
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-3 pl-0 md:pl-12">
@@ -440,7 +830,7 @@ const App = () => {
                         : 'bg-slate-50 border-transparent hover:bg-slate-100 text-slate-600 hover:border-slate-200'
                         }`}
                     >
-                      <span className="flex items-center gap-2"><PenTool size={14} /> 其他情况 (手动输入)</span>
+                      <span className="flex items-center gap-2"><PenTool size={14} /> {t('questions.other')}</span>
                       {customInputModes[q.id] && <CheckCircle size={18} className="text-blue-600 shrink-0 ml-2" />}
                     </button>
                   </div>
@@ -450,10 +840,11 @@ const App = () => {
                     <div className="pl-0 md:pl-12 animate-in fade-in slide-in-from-top-2">
                       <textarea
                         className="w-full p-3 border border-blue-200 rounded-lg focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500 text-sm bg-blue-50/30"
-                        placeholder="请具体描述您的情况..."
+                        placeholder={t('questions.otherPlaceholder')}
                         rows={2}
                         value={answers[q.id] || ''}
                         onChange={(e) => handleCustomInputChange(q.id, e.target.value)}
+                        maxLength={MAX_ANSWER_LENGTH}
                         autoFocus
                       />
                     </div>
@@ -464,111 +855,116 @@ const App = () => {
           </div>
         )}
 
-        {/* Step 3: Quote Proposal */}
-        {step === 'quote' && quoteData && (
-          <div className="space-y-8 animate-in zoom-in-95 duration-500 max-w-4xl mx-auto">
-
-            {/* 定价公式展示 */}
-            <div className="bg-slate-900 text-slate-300 p-6 rounded-2xl shadow-lg border border-slate-800">
-              <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-4 flex items-center gap-2">
-                <Calculator size={14} /> 报价构成逻辑（一次性交付）
-              </h3>
-              <div className="text-center font-mono text-sm md:text-lg space-y-2 md:space-y-0 md:space-x-2">
-                <span className="inline-block text-white font-bold">一口价</span>
-                <span className="inline-block">=</span>
-                <span className="inline-block px-2 py-1 bg-slate-800 rounded text-blue-300">搭建费</span>
-                <span className="inline-block">+</span>
-                <span className="inline-block px-2 py-1 bg-slate-800 rounded text-purple-300">节点/复杂度</span>
-                <span className="inline-block">+</span>
-                <span className="inline-block px-2 py-1 bg-slate-800 rounded text-green-300">调试与交付</span>
+        {/* 需求筛查未通过 */}
+        {step === 'screened' && screening && (
+          <div className="max-w-2xl mx-auto mt-10 space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-8 space-y-5">
+              <div className="flex items-center gap-3">
+                <div className={`p-2 rounded-full ${screening.verdict === 'declined' ? 'bg-slate-100 text-slate-500' : 'bg-amber-100 text-amber-600'}`}>
+                  {screening.verdict === 'declined' ? <ShieldX size={24} /> : <ShieldAlert size={24} />}
+                </div>
+                <h2 className="text-xl font-bold text-slate-900">
+                  {screening.verdict === 'declined' ? t('screened.declinedTitle') : t('screened.reviewTitle')}
+                </h2>
               </div>
+              <p className="text-slate-600 leading-relaxed">
+                {screening.verdict === 'declined' ? t('screened.declinedBody') : t('screened.reviewBody')}
+              </p>
+              <ul className="space-y-2">
+                {screening.reasons.map((reason, i) => (
+                  <li key={i} className="flex items-start gap-2 text-sm text-slate-700 bg-slate-50 rounded-lg p-3">
+                    <AlertCircle size={16} className="text-slate-400 mt-0.5 shrink-0" />
+                    <span>{reason}</span>
+                  </li>
+                ))}
+              </ul>
+              {screening.verdict === 'review' && import.meta.env.VITE_CONTACT_SELLER_URL && (
+                <a href={import.meta.env.VITE_CONTACT_SELLER_URL} target="_blank" rel="noreferrer"
+                  className="inline-flex items-center gap-1 text-blue-600 font-bold text-sm hover:underline">
+                  <MessageSquare size={16} /> {t('screened.contact')}
+                </a>
+              )}
             </div>
+          </div>
+        )}
 
-            <div className="bg-green-50 p-6 rounded-2xl border border-green-100 flex gap-4 items-start">
-              <div className="bg-green-100 p-2 rounded-full shrink-0 text-green-700 mt-1">
-                <Bot size={20} />
-              </div>
-              <div>
-                <h3 className="font-bold text-green-800 mb-1">顾问建议</h3>
-                <p className="text-green-700 leading-relaxed text-sm md:text-base">
-                  {quoteData.analysis}
-                </p>
-              </div>
+        {/* Step 3: Quote Proposal */}
+        {step === 'quote' && quoteData && (
+          <div className="space-y-4">
+            <div className="max-w-4xl mx-auto flex justify-end">
+              <ExportMenu
+                quoteData={quoteData}
+                userRequest={userRequest}
+                quoteId={shareId || historyId}
+                createdAt={history.find(entry => entry.id === historyId)?.createdAt || Date.now()}
+              />
             </div>
-
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-              {quoteData.tiers.map((tier, index) => {
-                const isRecommended = index === 1; // 假定中间是推荐款
-                // Z-index bug fix: 推荐卡片保持z-10，但header是z-50，所以不会遮挡header。
-                // 另外，给非推荐卡片设置低层级，避免hover时的层级混乱
-                return (
-                  <div key={index} className={`relative rounded-2xl border-2 transition-all flex flex-col ${isRecommended
-                    ? 'bg-white border-blue-500 shadow-xl shadow-blue-500/10 z-10 scale-[1.02]'
-                    : 'bg-white border-slate-100 shadow-md grayscale-[0.1] hover:grayscale-0 z-0'
-                    }`}>
-                    {isRecommended && (
-                      <div className="absolute -top-3 left-1/2 -translate-x-1/2 bg-gradient-to-r from-blue-600 to-blue-500 text-white text-xs font-bold px-4 py-1.5 rounded-full shadow-sm">
-                        店长推荐
-                      </div>
-                    )}
-                    <div className="p-6 flex-1">
-                      <div className="mb-4">
-                        <h3 className="font-bold text-slate-900 text-lg">{tier.name}</h3>
-                        <p className="text-xs text-slate-500 mt-1 font-medium bg-slate-100 inline-block px-2 py-1 rounded">{tier.desc}</p>
-                      </div>
-                      <div className="text-3xl font-black text-slate-900 mb-6 tracking-tight">
-                        {tier.price === '咨询报价' ? <span className="text-2xl">咨询报价</span> : `¥${tier.price}`}
-                      </div>
-                      <div className="h-px bg-slate-100 mb-6"></div>
-                      <ul className="space-y-3">
-                        {tier.features.map((feature, i) => (
-                          <li key={i} className="flex items-start gap-3 text-sm text-slate-600">
-                            <CheckCircle size={16} className="text-blue-500 mt-0.5 shrink-0" />
-                            <span className="leading-snug">{feature}</span>
-                          </li>
-                        ))}
-                      </ul>
-                    </div>
-                  </div>
-                )
-              })}
+            <QuoteView quoteData={quoteData} onTierHover={(index) => track('tier_hover', { index })} />
+            {/* 等线索保存完再允许确认，定制配置才能写回同一条记录；换一份方案时重新开始定制 */}
+            <div className="max-w-4xl mx-auto">
+              <CustomQuoteBuilder
+                key={historyId}
+                quoteData={quoteData}
+                rules={pricingRules}
+                onConfirm={confirmCustomQuote}
+                isConfirming={isSavingCustom}
+                disabled={isSaving}
+                onSelectTier={(index) => track('tier_select', { index })}
+              />
             </div>
-
-            <div className="bg-slate-100 rounded-2xl p-6 space-y-3 border border-slate-200">
-              <div className="flex items-center gap-2 text-slate-800 text-sm font-bold uppercase tracking-wide">
-                <ShieldCheck size={16} />
-                服务保障与须知
+            {!shareId && leadQueue.some(item => item.id === historyId) && (
+              <div className="max-w-4xl mx-auto bg-amber-50 rounded-2xl border border-amber-100 p-4 flex items-center gap-2 text-sm text-amber-800">
+                <CloudOff size={18} className="text-amber-600 shrink-0" /> {t('quote.queued')}
               </div>
-              <ul className="text-sm text-slate-600 space-y-2 list-disc pl-5">
-                {quoteData.notes.map((note, i) => (
-                  <li key={i} className="pl-1">{note}</li>
-                ))}
-              </ul>
-            </div>
+            )}
+            {/* 联系方式要写进已保存的线索，没有分享链接时不显示 */}
+            {shareId && (
+              <div className="max-w-4xl mx-auto">
+                <ContactForm quoteId={shareId} submitted={contactSubmitted} onSubmitted={submitContact} />
+              </div>
+            )}
           </div>
         )}
 
       </main>
 
+      {isHistoryOpen && (
+        <HistoryPanel
+          history={history}
+          onOpen={openHistoryEntry}
+          onDelete={deleteHistoryEntry}
+          onClose={() => setIsHistoryOpen(false)}
+        />
+      )}
+
       {/* Footer Actions - 固定在底部 */}
       <footer className="bg-white border-t border-slate-100 p-4 md:p-6 z-40 sticky bottom-0">
         <div className="max-w-4xl mx-auto w-full">
-          {step === 'input' && (
+          {mode === 'wizard' && step === 'input' && (
             <button
               onClick={handleAnalyzeRequest}
-              disabled={!userRequest.trim()}
+              disabled={!canStart}
               className="w-full bg-slate-900 text-white font-bold py-4 rounded-xl shadow-lg hover:bg-slate-800 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 transition-all active:scale-[0.99] text-lg"
             >
-              开始评估 <ChevronRight size={20} />
+              {t('input.start')} <ChevronRight size={20} />
+            </button>
+          )}
+
+          {step === 'screened' && (
+            <button
+              onClick={editRequest}
+              className="w-full bg-slate-900 text-white font-bold py-4 rounded-xl shadow-lg hover:bg-slate-800 flex items-center justify-center gap-2 transition-all active:scale-[0.99] text-lg"
+            >
+              <PenTool size={20} /> {t('screened.edit')}
             </button>
           )}
 
-          {step === 'questions' && (
+          {mode === 'wizard' && step === 'questions' && (
             <button
-              onClick={handleGenerateQuote}
+              onClick={() => handleSubmitAnswers()}
               className="w-full bg-slate-900 text-white font-bold py-4 rounded-xl shadow-lg hover:bg-slate-800 flex items-center justify-center gap-2 transition-all active:scale-[0.99] text-lg"
             >
-              查看我的定制方案 <Calculator size={20} />
+              {t('questions.submit')} <Calculator size={20} />
             </button>
           )}
 
@@ -578,13 +974,15 @@ const App = () => {
                 onClick={restart}
                 className="flex-1 bg-slate-100 text-slate-700 font-bold py-4 rounded-xl hover:bg-slate-200 transition-colors"
               >
-                重新评估
+                {t('quote.restart')}
               </button>
+              {/* 等分享链接生成后再复制，保证卖家能打开完整方案 */}
               <button
                 onClick={copyToClipboard}
-                className="flex-[2] bg-blue-600 text-white font-bold py-4 rounded-xl shadow-blue-500/30 shadow-lg hover:bg-blue-700 flex items-center justify-center gap-2 transition-all active:scale-[0.99] text-lg"
+                disabled={isSaving}
+                className="flex-[2] bg-blue-600 text-white font-bold py-4 rounded-xl shadow-blue-500/30 shadow-lg hover:bg-blue-700 disabled:opacity-60 disabled:cursor-wait flex items-center justify-center gap-2 transition-all active:scale-[0.99] text-lg"
               >
-                复制方案联系卖家 <MessageSquare size={20} />
+                {isSaving ? t('quote.creatingLink') : <>{t('quote.copy')} <MessageSquare size={20} /></>}
               </button>
             </div>
           )}
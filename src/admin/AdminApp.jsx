@@ -0,0 +1,119 @@
+import React, { useCallback, useState } from 'react';
+import { Bot, Lock, LogOut, ChevronRight, AlertCircle } from 'lucide-react';
+import { clearToken, getToken, login } from './adminApi.js';
+import LeadList from './LeadList.jsx';
+import CatalogEditor from './CatalogEditor.jsx';
+import AnalyticsReport from './AnalyticsReport.jsx';
+
+// --- 卖家后台 /admin ---
+
+const TABS = [
+  { key: 'leads', label: '线索' },
+  { key: 'analytics', label: '数据' },
+  { key: 'catalog', label: '服务目录' }
+];
+
+const TAB_VIEWS = {
+  leads: LeadList,
+  analytics: AnalyticsReport,
+  catalog: CatalogEditor
+};
+
+const LoginForm = ({ onLogin }) => {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    try {
+      await login(password);
+      onLogin();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-sm mx-auto mt-24 bg-white rounded-2xl border border-slate-200 shadow-sm p-8 space-y-5">
+      <div className="flex items-center gap-2 text-slate-900 font-bold text-lg">
+        <Lock size={20} className="text-blue-600" /> 卖家后台登录
+      </div>
+      {error && (
+        <div className="p-3 bg-red-50 text-red-600 rounded-lg text-sm flex items-center gap-2 border border-red-100">
+          <AlertCircle size={16} /> {error}
+        </div>
+      )}
+      <input
+        type="password"
+        className="w-full p-3 border-2 border-slate-200 rounded-xl focus:border-blue-500 focus:ring-4 focus:ring-blue-500/10 transition-all"
+        placeholder="请输入后台密码"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        autoFocus
+      />
+      <button
+        type="submit"
+        disabled={!password || isSubmitting}
+        className="w-full bg-slate-900 text-white font-bold py-3 rounded-xl hover:bg-slate-800 disabled:opacity-50 flex items-center justify-center gap-2 transition-colors"
+      >
+        登录 <ChevronRight size={18} />
+      </button>
+    </form>
+  );
+};
+
+const AdminApp = () => {
+  const [isLoggedIn, setIsLoggedIn] = useState(Boolean(getToken()));
+  const [tab, setTab] = useState('leads');
+  const TabView = TAB_VIEWS[tab];
+
+  const logout = useCallback(() => {
+    clearToken();
+    setIsLoggedIn(false);
+  }, []);
+
+  return (
+    <div className="min-h-screen w-full bg-slate-50 text-slate-800 font-sans flex flex-col">
+      <header className="bg-white px-6 py-4 flex items-center justify-between border-b border-gray-100 z-50 sticky top-0 w-full shadow-sm">
+        <div className="flex items-center space-x-2">
+          <div className="bg-slate-900 text-white p-1.5 rounded-lg">
+            <Bot size={20} />
+          </div>
+          <div>
+            <h1 className="font-bold text-lg text-slate-900 tracking-tight">报价线索管理</h1>
+            <p className="text-[10px] text-slate-400">跟进客户自助生成的方案</p>
+          </div>
+        </div>
+        {isLoggedIn && (
+          <nav className="flex items-center gap-1 bg-slate-100 p-1 rounded-xl text-sm">
+            {TABS.map(item => (
+              <button key={item.key} onClick={() => setTab(item.key)}
+                className={`px-4 py-1.5 rounded-lg font-medium transition-colors ${tab === item.key ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-800'}`}>
+                {item.label}
+              </button>
+            ))}
+          </nav>
+        )}
+        {isLoggedIn && (
+          <button onClick={logout}
+            className="text-slate-400 hover:text-red-500 transition-colors flex items-center gap-1 text-sm font-medium">
+            <LogOut size={16} /> 退出
+          </button>
+        )}
+      </header>
+
+      <main className="flex-1 w-full max-w-6xl mx-auto p-4 md:p-8">
+        {isLoggedIn
+          ? <TabView onUnauthorized={logout} />
+          : <LoginForm onLogin={() => setIsLoggedIn(true)} />}
+      </main>
+    </div>
+  );
+};
+
+export default AdminApp;
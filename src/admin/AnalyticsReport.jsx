@@ -0,0 +1,237 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, RefreshCw } from 'lucide-react';
+import { getAnalytics } from './adminApi.js';
+import { formatDateTime, formatDuration, formatPercent } from './format.js';
+
+const STEP_LABELS = {
+  input: '填写需求',
+  screening: '需求筛查',
+  screened: '筛查未通过',
+  analyzing: '生成问题',
+  questions: '确认细节',
+  refining: '判断是否追问',
+  calculating: '生成方案',
+  quote: '查看方案'
+};
+
+const ERROR_STAGE_LABELS = {
+  analyze: '分析需求',
+  network: '追问',
+  quote: '生成方案',
+  custom: '确认定制方案'
+};
+
+const Card = ({ title, children }) => (
+  <section className="bg-white rounded-2xl border border-slate-200 shadow-sm p-5 space-y-4">
+    <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">{title}</h3>
+    {children}
+  </section>
+);
+
+const Empty = () => <p className="text-sm text-slate-400">暂无数据</p>;
+
+// 埋点汇总：各步骤的转化、各实验变体的联系率、停留时长、按类别的平均报价，以及失败请求和客户自填的答案
+const AnalyticsReport = ({ onUnauthorized }) => {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    getAnalytics(range)
+      .then(data => !cancelled && setReport(data))
+      .catch(err => {
+        if (cancelled) return;
+        if (err.status === 401) onUnauthorized();
+        setError(err.message);
+      })
+      .finally(() => !cancelled && setIsLoading(false));
+    return () => { cancelled = true; };
+  }, [range, reloadKey, onUnauthorized]);
+
+  const maxSessions = Math.max(1, ...(report?.funnel || []).map(stage => stage.sessions));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-4 flex flex-col md:flex-row md:items-center gap-3">
+        <div className="flex items-center gap-2 text-sm text-slate-400">
+          <input type="date" className="px-3 py-2 border border-slate-200 rounded-xl text-sm text-slate-700"
+            value={range.from} onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))} />
+          至
+          <input type="date" className="px-3 py-2 border border-slate-200 rounded-xl text-sm text-slate-700"
+            value={range.to} onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))} />
+        </div>
+        <span className="flex-1 text-sm text-slate-400">
+          {report && `${report.from} 至 ${report.to}，按访问会话统计`}
+        </span>
+        <button onClick={() => setReloadKey(key => key + 1)} className="text-sm text-slate-500 hover:text-blue-600 flex items-center gap-1">
+          <RefreshCw size={14} className={isLoading ? 'animate-spin' : ''} /> 刷新
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 text-red-600 rounded-xl text-sm flex items-center gap-2 border border-red-100">
+          <AlertCircle size={18} /> {error}
+        </div>
+      )}
+
+      {report && (
+        <>
+          <Card title="转化漏斗">
+            <div className="space-y-3">
+              {report.funnel.map((stage, index) => (
+                <div key={stage.key} className="grid grid-cols-[6rem_1fr_auto] items-center gap-3 text-sm">
+                  <span className="text-slate-600 font-medium">{stage.label}</span>
+                  <div className="h-6 bg-slate-100 rounded-lg overflow-hidden">
+                    <div className="h-full bg-blue-500 rounded-lg" style={{ width: `${(stage.sessions / maxSessions) * 100}%` }}></div>
+                  </div>
+                  <span className="font-mono text-slate-700 text-right w-48">
+                    {stage.sessions}
+                    {index > 0 && (
+                      <span className="text-xs text-slate-400 ml-2">
+                        上一步 {formatPercent(stage.fromPrevious)} · 总体 {formatPercent(stage.fromStart)}
+                      </span>
+                    )}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </Card>
+
+          {/* 实验进行中才有多个分组；联系率 = 复制方案或留下联系方式的会话 / 看到方案的会话 */}
+          {report.variants.some(item => item.variant) && (
+            <Card title="A/B 实验对比">
+              <table className="w-full text-sm">
+                <thead className="text-xs text-slate-400">
+                  <tr>
+                    <th className="text-left font-medium pb-2">分组</th>
+                    {report.funnel.map(stage => (
+                      <th key={stage.key} className="text-right font-medium pb-2">{stage.label}</th>
+                    ))}
+                    <th className="text-right font-medium pb-2">联系率</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {report.variants.map(item => (
+                    <tr key={item.variant ?? ''}>
+                      <td className="py-2 text-slate-600">
+                        {item.variant ? report.variantNames[item.variant] || item.variant : '未参与实验'}
+                      </td>
+                      {report.funnel.map(stage => (
+                        <td key={stage.key} className="py-2 text-right font-mono">{item.sessions[stage.key]}</td>
+                      ))}
+                      <td className="py-2 text-right font-mono text-slate-900 font-bold">{formatPercent(item.contactRate)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Card>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <Card title="各步骤平均停留">
+              {report.stepDurations.length === 0 ? <Empty /> : (
+                <table className="w-full text-sm">
+                  <tbody className="divide-y divide-slate-100">
+                    {report.stepDurations.map(item => (
+                      <tr key={item.step}>
+                        <td className="py-2 text-slate-600">{STEP_LABELS[item.step] || item.step}</td>
+                        <td className="py-2 text-right font-mono text-slate-900">{formatDuration(item.averageMs)}</td>
+                        <td className="py-2 text-right text-xs text-slate-400">{item.count} 次</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </Card>
+
+            <Card title="各类别平均报价">
+              {report.pricesByCategory.length === 0 ? <Empty /> : (
+                <table className="w-full text-sm">
+                  <thead className="text-xs text-slate-400">
+                    <tr>
+                      <th className="text-left font-medium pb-2">类别</th>
+                      <th className="text-right font-medium pb-2">方案数</th>
+                      <th className="text-right font-medium pb-2">平均起价</th>
+                      <th className="text-right font-medium pb-2">平均最高价</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {report.pricesByCategory.map(item => (
+                      <tr key={item.category}>
+                        <td className="py-2 text-slate-600">{report.categories[item.category] || item.category}</td>
+                        <td className="py-2 text-right font-mono">{item.count}</td>
+                        <td className="py-2 text-right font-mono text-slate-900">¥{item.averageMin}</td>
+                        <td className="py-2 text-right font-mono text-slate-900">{item.averageMax === null ? '-' : `¥${item.averageMax}`}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </Card>
+
+            <Card title="档位关注度">
+              {report.tiers.length === 0 ? <Empty /> : (
+                <table className="w-full text-sm">
+                  <thead className="text-xs text-slate-400">
+                    <tr>
+                      <th className="text-left font-medium pb-2">档位</th>
+                      <th className="text-right font-medium pb-2">查看</th>
+                      <th className="text-right font-medium pb-2">选作定制基础</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {report.tiers.map(item => (
+                      <tr key={item.index}>
+                        <td className="py-2 text-slate-600">{report.tierNames[item.index] || `第 ${item.index + 1} 档`}</td>
+                        <td className="py-2 text-right font-mono">{item.hovers}</td>
+                        <td className="py-2 text-right font-mono">{item.selections}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </Card>
+
+            <Card title="请求失败">
+              {report.errors.length === 0 ? <Empty /> : (
+                <table className="w-full text-sm">
+                  <tbody className="divide-y divide-slate-100">
+                    {report.errors.map(item => (
+                      <tr key={`${item.stage}-${item.status}`}>
+                        <td className="py-2 text-slate-600">{ERROR_STAGE_LABELS[item.stage] || item.stage}</td>
+                        <td className="py-2 text-xs text-slate-400">{item.status ? `HTTP ${item.status}` : '网络或格式错误'}</td>
+                        <td className="py-2 text-right font-mono text-red-500">{item.count}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </Card>
+          </div>
+
+          {/* 客户选"其他"时填写的内容，可以用来补充预设选项 */}
+          <Card title="客户自填的答案">
+            {report.customAnswers.length === 0 ? <Empty /> : (
+              <ul className="divide-y divide-slate-100">
+                {report.customAnswers.map((item, i) => (
+                  <li key={i} className="py-3 space-y-1 text-sm">
+                    <p className="text-slate-500">{item.question}</p>
+                    <p className="text-slate-900 font-medium">{item.answer}</p>
+                    <p className="text-xs text-slate-400">{formatDateTime(item.at)}</p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalyticsReport;
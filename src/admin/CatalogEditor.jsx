@@ -0,0 +1,341 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle, Eye, Play, RefreshCw, RotateCcw, Upload } from 'lucide-react';
+import { getCatalog, previewCatalog, publishCatalog } from './adminApi.js';
+import { DEFAULT_CATALOG, TEMPLATE_VARIABLES, validateCatalog } from '../../shared/catalog.js';
+import { DEFAULT_LOCALE, LOCALES } from '../../shared/i18n.js';
+import { describeVariants } from '../../shared/experiments.js';
+import QuoteView from '../components/QuoteView.jsx';
+import { formatDateTime } from './format.js';
+
+// --- 服务目录编辑 ---
+// 提示词模板和必附条款单独编辑，其余（人设、类别、报价规则、筛查规则、汇率、译文、示例需求、A/B 实验）以 JSON 编辑。
+// 修改先在右侧用示例需求试跑，确认无误再发布。
+
+const PROMPT_FIELDS = [
+  { key: 'screening', label: '需求筛查' },
+  { key: 'questions', label: '第一轮提问' },
+  { key: 'followUp', label: '追问' },
+  { key: 'quote', label: '报价方案' },
+  { key: 'attachment', label: '附件摘要' },
+  { key: 'spec', label: '需求规格书' }
+];
+
+// 目录拆成三块编辑
+const toDraft = (catalog) => {
+  const { prompts, notes, ...rest } = catalog;
+  return {
+    prompts: { ...prompts },
+    notesText: notes.join('\n'),
+    restText: JSON.stringify(rest, null, 2)
+  };
+};
+
+// 拼回完整目录；JSON 写错时返回 error
+const fromDraft = (draft) => {
+  try {
+    const rest = JSON.parse(draft.restText);
+    return {
+      catalog: {
+        ...rest,
+        notes: draft.notesText.split('\n').map(line => line.trim()).filter(Boolean),
+        prompts: draft.prompts
+      }
+    };
+  } catch (e) {
+    return { error: `JSON 格式错误：${e.message}` };
+  }
+};
+
+const SCREENING_LABELS = {
+  deliverable: '可以承接',
+  review: '需人工确认',
+  declined: '不承接'
+};
+
+// 试跑报价时用每个问题的第一个选项代替客户回答
+const autoAnswer = (questions) => questions.map(q => ({ question: q.text, answer: q.options[0] }));
+
+const CatalogEditor = ({ onUnauthorized }) => {
+  const [draft, setDraft] = useState(null);
+  const [published, setPublished] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [sampleRequest, setSampleRequest] = useState('');
+  const [previewLocale, setPreviewLocale] = useState(DEFAULT_LOCALE);
+  const [previewVariant, setPreviewVariant] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState('');
+  const [isPreviewing, setIsPreviewing] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError('');
+    getCatalog()
+      .then(data => {
+        if (cancelled) return;
+        setPublished({ version: data.version, publishedAt: data.publishedAt });
+        setDraft(toDraft(data.catalog));
+        setSampleRequest(data.catalog.samples?.[0] || '');
+      })
+      .catch(err => {
+        if (cancelled) return;
+        if (err.status === 401) onUnauthorized();
+        setError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [reloadKey, onUnauthorized]);
+
+  const handleError = (err, setter) => {
+    if (err.status === 401) onUnauthorized();
+    setter(err.message);
+  };
+
+  if (!draft) {
+    return error
+      ? <div className="p-4 bg-red-50 text-red-600 rounded-xl text-sm flex items-center gap-2 border border-red-100"><AlertCircle size={18} /> {error}</div>
+      : <div className="py-24 text-center text-slate-400 text-sm">加载中...</div>;
+  }
+
+  const built = fromDraft(draft);
+  const problems = built.error ? [built.error] : validateCatalog(built.catalog);
+  const samples = built.catalog?.samples || [];
+  const variantNames = problems.length === 0 ? describeVariants(built.catalog.experiments) : {};
+  // 草稿里删掉了正在试跑的变体时退回不应用实验
+  const variant = previewVariant in variantNames ? previewVariant : undefined;
+
+  const updatePrompt = (key, value) => setDraft(prev => ({ ...prev, prompts: { ...prev.prompts, [key]: value } }));
+
+  const runPreview = async ({ stage, dryRun }) => {
+    setIsPreviewing(true);
+    setPreviewError('');
+    try {
+      // 报价阶段需要问答，先用同一份草稿跑出问题再自动作答
+      let qa;
+      if (stage === 'quote' && !dryRun) {
+        const questions = preview?.stage === 'questions' && preview.result
+          ? preview.result.questions
+          : (await previewCatalog({ catalog: built.catalog, stage: 'questions', request: sampleRequest, locale: previewLocale, variant })).result.questions;
+        qa = autoAnswer(questions);
+      } else if (stage === 'quote') {
+        qa = [{ question: '（示例问题）', answer: '（示例回答）' }];
+      }
+      const data = await previewCatalog({ catalog: built.catalog, stage, request: sampleRequest, qa, dryRun, locale: previewLocale, variant });
+      setPreview({ ...data, stage, qa });
+    } catch (err) {
+      handleError(err, setPreviewError);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handlePublish = async () => {
+    if (!window.confirm('发布后新的报价会立即使用这份目录，确定发布吗？')) return;
+    setIsPublishing(true);
+    setError('');
+    setNotice('');
+    try {
+      const result = await publishCatalog(built.catalog);
+      setPublished(result);
+      setNotice(`已发布第 ${result.version} 版`);
+    } catch (err) {
+      handleError(err, setError);
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  const restoreDefaults = () => {
+    if (!window.confirm('用内置默认目录覆盖当前草稿？（发布前不会生效）')) return;
+    setDraft(toDraft(DEFAULT_CATALOG));
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 items-start">
+      <div className="space-y-6">
+        <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-5 flex flex-wrap items-center gap-3">
+          <div className="flex-1 text-sm text-slate-500">
+            {published?.version
+              ? <>当前线上：第 {published.version} 版 · {formatDateTime(published.publishedAt)}</>
+              : '当前线上：内置默认目录'}
+          </div>
+          <button onClick={() => setReloadKey(key => key + 1)}
+            className="text-sm text-slate-500 hover:text-blue-600 flex items-center gap-1">
+            <RefreshCw size={14} /> 放弃修改
+          </button>
+          <button onClick={restoreDefaults}
+            className="text-sm text-slate-500 hover:text-blue-600 flex items-center gap-1">
+            <RotateCcw size={14} /> 恢复默认
+          </button>
+          <button onClick={handlePublish} disabled={problems.length > 0 || isPublishing}
+            className="bg-slate-900 text-white text-sm font-bold px-4 py-2 rounded-xl hover:bg-slate-800 disabled:opacity-50 flex items-center gap-1 transition-colors">
+            <Upload size={14} /> 发布
+          </button>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-50 text-red-600 rounded-xl text-sm flex items-center gap-2 border border-red-100">
+            <AlertCircle size={18} /> {error}
+          </div>
+        )}
+        {notice && (
+          <div className="p-4 bg-green-50 text-green-700 rounded-xl text-sm flex items-center gap-2 border border-green-100">
+            <CheckCircle size={18} /> {notice}
+          </div>
+        )}
+        {problems.length > 0 && (
+          <ul className="p-4 bg-amber-50 text-amber-700 rounded-xl text-sm border border-amber-100 space-y-1 list-disc list-inside">
+            {problems.map(problem => <li key={problem}>{problem}</li>)}
+          </ul>
+        )}
+
+        <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-5 space-y-4">
+          <div>
+            <h3 className="font-bold text-slate-900">提示词模板</h3>
+            <p className="text-xs text-slate-400 mt-1">
+              可用变量：{TEMPLATE_VARIABLES.map(name => `{{${name}}}`).join(' ')}
+            </p>
+          </div>
+          {PROMPT_FIELDS.map(field => (
+            <label key={field.key} className="block">
+              <span className="text-sm font-medium text-slate-600">{field.label}</span>
+              <textarea
+                className="mt-1 w-full h-48 p-3 border border-slate-200 rounded-xl text-xs font-mono focus:border-blue-500 focus:ring-2 focus:ring-blue-500/10"
+                value={draft.prompts[field.key]}
+                onChange={(e) => updatePrompt(field.key, e.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-5 space-y-2">
+          <h3 className="font-bold text-slate-900">必附条款</h3>
+          <p className="text-xs text-slate-400">每行一条，附在每份方案的注意事项末尾</p>
+          <textarea
+            className="w-full h-32 p-3 border border-slate-200 rounded-xl text-sm focus:border-blue-500 focus:ring-2 focus:ring-blue-500/10"
+            value={draft.notesText}
+            onChange={(e) => setDraft(prev => ({ ...prev, notesText: e.target.value }))}
+          />
+        </div>
+
+        <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-5 space-y-2">
+          <h3 className="font-bold text-slate-900">人设、服务类别、报价规则、筛查规则、示例需求与 A/B 实验</h3>
+          <textarea
+            className="w-full h-96 p-3 border border-slate-200 rounded-xl text-xs font-mono focus:border-blue-500 focus:ring-2 focus:ring-blue-500/10"
+            value={draft.restText}
+            spellCheck={false}
+            onChange={(e) => setDraft(prev => ({ ...prev, restText: e.target.value }))}
+          />
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-5 space-y-4 lg:sticky lg:top-24">
+        <h3 className="font-bold text-slate-900">草稿预览</h3>
+        {samples.length > 0 && (
+          <select
+            className="w-full px-3 py-2.5 border border-slate-200 rounded-xl text-sm bg-white"
+            value={samples.includes(sampleRequest) ? sampleRequest : ''}
+            onChange={(e) => setSampleRequest(e.target.value)}
+          >
+            <option value="">自定义需求</option>
+            {samples.map(sample => <option key={sample} value={sample}>{sample}</option>)}
+          </select>
+        )}
+        {/* 按客户语言试跑，检查 translations 里的译文和输出语言要求 */}
+        <select
+          className="w-full px-3 py-2.5 border border-slate-200 rounded-xl text-sm bg-white"
+          value={previewLocale}
+          onChange={(e) => setPreviewLocale(e.target.value)}
+        >
+          {LOCALES.map(locale => <option key={locale.code} value={locale.code}>{locale.label}</option>)}
+        </select>
+        {/* 试跑某个实验变体覆盖后的提示词和档位展示 */}
+        {Object.keys(variantNames).length > 0 && (
+          <select
+            className="w-full px-3 py-2.5 border border-slate-200 rounded-xl text-sm bg-white"
+            value={variant || ''}
+            onChange={(e) => setPreviewVariant(e.target.value)}
+          >
+            <option value="">不应用实验</option>
+            {Object.entries(variantNames).map(([key, name]) => <option key={key} value={key}>{name}</option>)}
+          </select>
+        )}
+        <textarea
+          className="w-full h-24 p-3 border border-slate-200 rounded-xl text-sm focus:border-blue-500 focus:ring-2 focus:ring-blue-500/10"
+          placeholder="输入一条示例需求"
+          value={sampleRequest}
+          onChange={(e) => setSampleRequest(e.target.value)}
+        />
+        <div className="flex flex-wrap gap-2">
+          {[
+            { stage: 'screening', dryRun: false, label: '试跑筛查', icon: Play },
+            { stage: 'questions', dryRun: true, label: '查看提问提示词', icon: Eye },
+            { stage: 'quote', dryRun: true, label: '查看报价提示词', icon: Eye },
+            { stage: 'questions', dryRun: false, label: '试跑提问', icon: Play },
+            { stage: 'quote', dryRun: false, label: '试跑报价', icon: Play }
+          ].map(({ stage, dryRun, label, icon: Icon }) => (
+            <button key={label} onClick={() => runPreview({ stage, dryRun })}
+              disabled={problems.length > 0 || !sampleRequest.trim() || isPreviewing}
+              className="text-sm border border-slate-200 px-3 py-1.5 rounded-lg hover:border-blue-400 hover:text-blue-600 disabled:opacity-50 flex items-center gap-1 transition-colors">
+              <Icon size={14} /> {label}
+            </button>
+          ))}
+        </div>
+
+        {isPreviewing && (
+          <div className="text-sm text-slate-400 flex items-center gap-2">
+            <RefreshCw size={14} className="animate-spin" /> 正在调用模型...
+          </div>
+        )}
+        {previewError && (
+          <div className="p-3 bg-red-50 text-red-600 rounded-lg text-sm flex items-center gap-2 border border-red-100">
+            <AlertCircle size={16} /> {previewError}
+          </div>
+        )}
+
+        {preview && (
+          <div className="space-y-4">
+            <details>
+              <summary className="text-sm font-medium text-slate-600 cursor-pointer">系统提示词</summary>
+              <pre className="mt-2 p-3 bg-slate-50 rounded-lg text-xs whitespace-pre-wrap max-h-96 overflow-auto">{preview.systemPrompt}</pre>
+            </details>
+            <details>
+              <summary className="text-sm font-medium text-slate-600 cursor-pointer">用户消息</summary>
+              <pre className="mt-2 p-3 bg-slate-50 rounded-lg text-xs whitespace-pre-wrap">{preview.prompt}</pre>
+            </details>
+            {preview.result && preview.stage === 'screening' && (
+              <div className="space-y-2 text-sm">
+                <div className="font-bold text-slate-800">结论：{SCREENING_LABELS[preview.result.verdict]}</div>
+                <ul className="list-disc pl-5 text-slate-600 space-y-1">
+                  {preview.result.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                </ul>
+              </div>
+            )}
+            {preview.result && preview.stage === 'questions' && (
+              <div className="space-y-3">
+                <ol className="space-y-3 text-sm list-decimal list-inside">
+                  {preview.result.questions.map(q => (
+                    <li key={q.id} className="text-slate-800">
+                      {q.text}
+                      <div className="text-xs text-slate-500 mt-1 ml-5">{q.options.join(' / ')}</div>
+                    </li>
+                  ))}
+                </ol>
+                <p className="text-xs text-slate-400">模型把握度：{Math.round(preview.result.confidence * 100)}%</p>
+              </div>
+            )}
+            {preview.result && preview.stage === 'quote' && (
+              <div className="text-xs">
+                <QuoteView quoteData={preview.result} />
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CatalogEditor;
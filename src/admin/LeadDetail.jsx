@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import { X, CheckCircle, Bot, ShieldCheck, Save, AlertCircle, ShieldAlert, Paperclip, UserRound } from 'lucide-react';
+import { updateLead } from './adminApi.js';
+import { LEAD_STATUSES } from '../../shared/leads.js';
+import { LOCALES } from '../../shared/i18n.js';
+import { STATUS_STYLES, formatDateTime } from './format.js';
+import CustomQuoteSummary from '../components/CustomQuoteSummary.jsx';
+import SpecGenerator from './SpecGenerator.jsx';
+
+const CONTACT_LABELS = { xianyu: '闲鱼', wechat: '微信', email: '邮箱' };
+
+// 单条线索详情：问答、方案、状态流转和成交价
+const LeadDetail = ({ lead, onClose, onUpdated, onUnauthorized }) => {
+  const [finalPrice, setFinalPrice] = useState(lead.finalPrice ?? '');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const save = async (fields) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await updateLead(lead.id, fields);
+      onUpdated(lead.id, fields);
+    } catch (err) {
+      if (err.status === 401) onUnauthorized();
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const saveFinalPrice = () => {
+    save({ finalPrice: finalPrice === '' ? null : Number(finalPrice) });
+  };
+
+  const quote = lead.quote || {};
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-slate-900/30" onClick={onClose}>
+      <aside className="w-full max-w-2xl h-full bg-slate-50 overflow-y-auto shadow-2xl animate-in slide-in-from-right-8 duration-300"
+        onClick={(e) => e.stopPropagation()}>
+        <div className="sticky top-0 bg-white border-b border-slate-100 px-6 py-4 flex items-center justify-between z-10">
+          <div>
+            <h2 className="font-bold text-slate-900">线索 #{lead.id}</h2>
+            <p className="text-xs text-slate-400">
+              {formatDateTime(lead.createdAt)}
+              {lead.locale && <span className="ml-2">{LOCALES.find(locale => locale.code === lead.locale)?.label || lead.locale}</span>}
+              {lead.variant && <span className="ml-2">实验分组 {lead.variant}</span>}
+              {lead.quoteId && (
+                <a href={`/q/${lead.quoteId}`} target="_blank" rel="noreferrer" className="ml-2 text-blue-500 hover:underline">
+                  查看客户看到的方案
+                </a>
+              )}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-700"><X size={20} /></button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {error && (
+            <div className="p-3 bg-red-50 text-red-600 rounded-lg text-sm flex items-center gap-2 border border-red-100">
+              <AlertCircle size={16} /> {error}
+            </div>
+          )}
+
+          {/* 跟进状态与成交价 */}
+          <section className="bg-white rounded-2xl border border-slate-200 p-5 space-y-4">
+            <div className="flex flex-wrap gap-2">
+              {LEAD_STATUSES.map(status => (
+                <button key={status.value} disabled={isSaving} onClick={() => save({ status: status.value })}
+                  className={`px-3 py-1.5 rounded-lg text-sm font-bold border-2 transition-all ${lead.status === status.value
+                    ? `${STATUS_STYLES[status.value]} border-current`
+                    : 'bg-white border-slate-100 text-slate-400 hover:border-slate-300'
+                    }`}>
+                  {status.label}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-3">
+              <span className="text-sm text-slate-500 shrink-0">成交价 ¥</span>
+              <input type="number" min="0"
+                className="flex-1 px-3 py-2 border border-slate-200 rounded-xl text-sm font-mono focus:border-blue-500"
+                placeholder="谈妥后填写"
+                value={finalPrice}
+                onChange={(e) => setFinalPrice(e.target.value)}
+              />
+              <button onClick={saveFinalPrice} disabled={isSaving}
+                className="bg-slate-900 text-white text-sm font-bold px-4 py-2 rounded-xl hover:bg-slate-800 disabled:opacity-50 flex items-center gap-1">
+                <Save size={14} /> 保存
+              </button>
+            </div>
+          </section>
+
+          {/* 客户在报价页主动留下的联系方式 */}
+          {lead.contact && (
+            <section className="bg-blue-50 p-5 rounded-2xl border border-blue-100 space-y-2">
+              <div className="flex items-center gap-2 text-blue-900 text-sm font-bold">
+                <UserRound size={14} /> 联系方式
+                <span className="text-xs font-normal text-blue-500">{formatDateTime(lead.contact.consentAt)} 同意联系</span>
+              </div>
+              <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+                {Object.entries(CONTACT_LABELS).filter(([key]) => lead.contact[key]).map(([key, label]) => (
+                  <React.Fragment key={key}>
+                    <dt className="text-blue-500">{label}</dt>
+                    <dd className="text-blue-900 font-medium select-all">{lead.contact[key]}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            </section>
+          )}
+
+          <section className="space-y-2">
+            <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">客户需求</h3>
+            <p className="bg-white rounded-2xl border border-slate-200 p-5 text-slate-800 whitespace-pre-wrap leading-relaxed">{lead.request}</p>
+          </section>
+
+          {/* 客户上传的附件：摘要来自模型，原文件存在 NocoDB */}
+          {((lead.attachments || []).length > 0 || (lead.files || []).length > 0) && (
+            <section className="space-y-2">
+              <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">参考附件</h3>
+              <div className="bg-white rounded-2xl border border-slate-200 divide-y divide-slate-100">
+                {(lead.attachments || []).map((item, i) => (
+                  <div key={i} className="p-4 space-y-1">
+                    <p className="text-sm font-medium text-slate-800 flex items-center gap-1"><Paperclip size={12} /> {item.name}</p>
+                    <p className="text-sm text-slate-500 leading-relaxed">{item.summary || '（无摘要）'}</p>
+                  </div>
+                ))}
+                {(lead.files || []).length > 0 && (
+                  <div className="p-4 flex flex-wrap gap-3">
+                    {/* 只给 http(s) 地址加链接，其他的只显示文件名 */}
+                    {lead.files.map((file, i) => (/^https?:\/\//i.test(file.url || '')
+                      ? (
+                        <a key={i} href={file.url} target="_blank" rel="noreferrer" className="text-sm text-blue-500 hover:underline">
+                          {file.title || `附件 ${i + 1}`}
+                        </a>
+                      )
+                      : <span key={i} className="text-sm text-slate-400">{file.title || `附件 ${i + 1}`}</span>))}
+                  </div>
+                )}
+              </div>
+            </section>
+          )}
+
+          {/* 需求筛查没通过的线索：没有问答和方案，只有筛查结论 */}
+          {lead.screening && (
+            <section className="bg-amber-50 p-5 rounded-2xl border border-amber-100 space-y-2">
+              <div className="flex items-center gap-2 text-amber-800 text-sm font-bold">
+                <ShieldAlert size={14} /> 需求筛查：{lead.screening.verdict === 'declined' ? '不承接' : '需人工确认'}
+              </div>
+              <ul className="text-sm text-amber-700 space-y-1 list-disc pl-5">
+                {(lead.screening.reasons || []).map((reason, i) => <li key={i}>{reason}</li>)}
+              </ul>
+            </section>
+          )}
+
+          {(lead.qa || []).length > 0 && (
+            <section className="space-y-2">
+              <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">确认细节</h3>
+              <div className="bg-white rounded-2xl border border-slate-200 divide-y divide-slate-100">
+                {(lead.qa || []).map((item, i) => (
+                  <div key={i} className="p-4 space-y-1">
+                    <p className="text-sm text-slate-500">Q{i + 1}. {item.question}</p>
+                    <p className="text-slate-900 font-medium">{item.answer}</p>
+                  </div>
+                ))}
+              </div>
+            </section>
+          )}
+
+          {quote.analysis && (
+            <section className="bg-green-50 p-5 rounded-2xl border border-green-100 flex gap-3 items-start">
+              <Bot size={18} className="text-green-700 shrink-0 mt-0.5" />
+              <p className="text-green-800 text-sm leading-relaxed">{quote.analysis}</p>
+            </section>
+          )}
+
+          {lead.quote && (
+            <section className="space-y-2">
+              <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">
+                生成的方案
+                {/* 模型不可用时按规则估算的方案，需要人工复核后再正式报价 */}
+                {quote.estimate && <span className="ml-2 px-2 py-0.5 rounded bg-amber-100 text-amber-700 normal-case">规则估算，待复核</span>}
+              </h3>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                {(quote.tiers || []).map((tier, index) => (
+                  <div key={index} className="bg-white rounded-2xl border border-slate-200 p-4 space-y-3">
+                    <div className="flex items-baseline justify-between">
+                      <h4 className="font-bold text-slate-900">{tier.name}</h4>
+                      <span className="font-black text-slate-900">{typeof tier.price === 'number' ? `¥${tier.price}` : tier.price}</span>
+                    </div>
+                    {tier.range && tier.range.min !== tier.range.max && (
+                      <p className="text-xs text-amber-700">估算区间 ¥{tier.range.min} – {tier.range.max === null ? '咨询报价' : `¥${tier.range.max}`}</p>
+                    )}
+                    {tier.schedule && (
+                      <p className="text-xs text-slate-400">
+                        {tier.schedule.totalDays} 天交付 · {tier.revisions} 轮修改
+                        {tier.payment?.deposit && ` · 定金 ¥${tier.payment.deposit}`}
+                      </p>
+                    )}
+                    <ul className="space-y-1.5">
+                      {(tier.features || []).map((feature, i) => (
+                        <li key={i} className="flex items-start gap-2 text-xs text-slate-600">
+                          <CheckCircle size={12} className="text-blue-500 mt-0.5 shrink-0" />
+                          <span>{feature}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            </section>
+          )}
+
+          {quote.custom && <CustomQuoteSummary custom={quote.custom} />}
+
+          {lead.quote && (lead.qa || []).length > 0 && <SpecGenerator lead={lead} onUnauthorized={onUnauthorized} />}
+
+          {(quote.notes || []).length > 0 && (
+            <section className="bg-slate-100 rounded-2xl p-5 space-y-2 border border-slate-200">
+              <div className="flex items-center gap-2 text-slate-800 text-sm font-bold"><ShieldCheck size={14} /> 须知</div>
+              <ul className="text-sm text-slate-600 space-y-1 list-disc pl-5">
+                {quote.notes.map((note, i) => <li key={i}>{note}</li>)}
+              </ul>
+            </section>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default LeadDetail;
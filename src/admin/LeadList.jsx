@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from 'react';
+import { Search, ChevronLeft, ChevronRight, AlertCircle, RefreshCw } from 'lucide-react';
+import { listLeads } from './adminApi.js';
+import { LEAD_STATUSES, getStatusLabel } from '../../shared/leads.js';
+import LeadDetail from './LeadDetail.jsx';
+import { STATUS_STYLES, formatDateTime, formatPriceRange } from './format.js';
+
+// 与服务端 listLeads 的默认分页大小一致
+const PAGE_SIZE = 20;
+
+const LeadList = ({ onUnauthorized }) => {
+  const [filters, setFilters] = useState({ search: '', status: '', from: '', to: '' });
+  const [query, setQuery] = useState({ ...filters, page: 1 });
+  const [result, setResult] = useState({ leads: [], total: 0 });
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    listLeads(query)
+      .then(data => !cancelled && setResult(data))
+      .catch(err => {
+        if (cancelled) return;
+        if (err.status === 401) onUnauthorized();
+        setError(err.message);
+      })
+      .finally(() => !cancelled && setIsLoading(false));
+    return () => { cancelled = true; };
+  }, [query, reloadKey, onUnauthorized]);
+
+  const applyFilters = (e) => {
+    e?.preventDefault();
+    setQuery({ ...filters, page: 1 });
+  };
+
+  const updateFilter = (key, value) => {
+    const next = { ...filters, [key]: value };
+    setFilters(next);
+    // 下拉框和日期选择即时生效，关键词需要回车/点击搜索
+    if (key !== 'search') setQuery({ ...next, page: 1 });
+  };
+
+  // 详情页保存后同步更新列表中的这一行
+  const handleLeadUpdated = (id, fields) => {
+    setResult(prev => ({
+      ...prev,
+      leads: prev.leads.map(lead => (lead.id === id ? { ...lead, ...fields } : lead))
+    }));
+  };
+
+  const totalPages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+  const selectedLead = result.leads.find(lead => lead.id === selectedId);
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={applyFilters} className="bg-white rounded-2xl border border-slate-200 shadow-sm p-4 flex flex-col md:flex-row gap-3">
+        <div className="flex-1 relative">
+          <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+          <input
+            className="w-full pl-9 pr-3 py-2.5 border border-slate-200 rounded-xl text-sm focus:border-blue-500 focus:ring-2 focus:ring-blue-500/10"
+            placeholder="搜索需求或问答内容，回车确认"
+            value={filters.search}
+            onChange={(e) => updateFilter('search', e.target.value)}
+          />
+        </div>
+        <select
+          className="px-3 py-2.5 border border-slate-200 rounded-xl text-sm bg-white"
+          value={filters.status}
+          onChange={(e) => updateFilter('status', e.target.value)}
+        >
+          <option value="">全部状态</option>
+          {LEAD_STATUSES.map(status => (
+            <option key={status.value} value={status.value}>{status.label}</option>
+          ))}
+        </select>
+        <div className="flex items-center gap-2 text-sm text-slate-400">
+          <input type="date" className="px-3 py-2 border border-slate-200 rounded-xl text-sm text-slate-700"
+            value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+          至
+          <input type="date" className="px-3 py-2 border border-slate-200 rounded-xl text-sm text-slate-700"
+            value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+        </div>
+        <button type="submit" className="bg-slate-900 text-white text-sm font-bold px-5 py-2.5 rounded-xl hover:bg-slate-800 transition-colors">
+          搜索
+        </button>
+      </form>
+
+      {error && (
+        <div className="p-4 bg-red-50 text-red-600 rounded-xl text-sm flex items-center gap-2 border border-red-100">
+          <AlertCircle size={18} /> {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden">
+        <div className="px-5 py-3 border-b border-slate-100 flex items-center justify-between text-sm text-slate-500">
+          <span>共 {result.total} 条线索</span>
+          <button onClick={() => setReloadKey(key => key + 1)} className="hover:text-blue-600 flex items-center gap-1">
+            <RefreshCw size={14} className={isLoading ? 'animate-spin' : ''} /> 刷新
+          </button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-50 text-slate-500 text-xs uppercase tracking-wide">
+              <tr>
+                <th className="text-left font-medium px-5 py-3">时间</th>
+                <th className="text-left font-medium px-5 py-3">客户需求</th>
+                <th className="text-left font-medium px-5 py-3">报价区间</th>
+                <th className="text-left font-medium px-5 py-3">成交价</th>
+                <th className="text-left font-medium px-5 py-3">状态</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {result.leads.map(lead => (
+                <tr key={lead.id} onClick={() => setSelectedId(lead.id)}
+                  className={`cursor-pointer hover:bg-blue-50/40 transition-colors ${lead.id === selectedId ? 'bg-blue-50/60' : ''}`}>
+                  <td className="px-5 py-3 text-slate-500 whitespace-nowrap">{formatDateTime(lead.createdAt)}</td>
+                  <td className="px-5 py-3 text-slate-800 max-w-md"><span className="line-clamp-2">{lead.request}</span></td>
+                  <td className="px-5 py-3 text-slate-600 whitespace-nowrap font-mono">{formatPriceRange(lead.quote)}</td>
+                  <td className="px-5 py-3 text-slate-900 whitespace-nowrap font-mono font-bold">
+                    {lead.finalPrice !== null ? `¥${lead.finalPrice}` : '-'}
+                  </td>
+                  <td className="px-5 py-3">
+                    <span className={`px-2 py-1 rounded-lg text-xs font-bold ${STATUS_STYLES[lead.status] || STATUS_STYLES.Generated}`}>
+                      {getStatusLabel(lead.status)}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+              {!isLoading && result.leads.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-5 py-12 text-center text-slate-400">没有符合条件的线索</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        <div className="px-5 py-3 border-t border-slate-100 flex items-center justify-end gap-3 text-sm text-slate-500">
+          <button disabled={query.page <= 1} onClick={() => setQuery(prev => ({ ...prev, page: prev.page - 1 }))}
+            className="p-1.5 rounded-lg hover:bg-slate-100 disabled:opacity-30">
+            <ChevronLeft size={16} />
+          </button>
+          <span>{query.page} / {totalPages}</span>
+          <button disabled={query.page >= totalPages} onClick={() => setQuery(prev => ({ ...prev, page: prev.page + 1 }))}
+            className="p-1.5 rounded-lg hover:bg-slate-100 disabled:opacity-30">
+            <ChevronRight size={16} />
+          </button>
+        </div>
+      </div>
+
+      {selectedLead && (
+        <LeadDetail
+          key={selectedLead.id}
+          lead={selectedLead}
+          onClose={() => setSelectedId(null)}
+          onUpdated={handleLeadUpdated}
+          onUnauthorized={onUnauthorized}
+        />
+      )}
+    </div>
+  );
+};
+
+export default LeadList;
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { AlertCircle, FileCode, FileText, Loader2, Wand2 } from 'lucide-react';
+import { generateSpec } from './adminApi.js';
+import { SPEC_NODE_LABELS, specToMarkdown, toDifyDsl, toN8nWorkflow } from '../../shared/spec.js';
+import { DEFAULT_PRESENTATION } from '../../shared/experiments.js';
+
+const download = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// 可选的交付范围：客户确认过定制方案时排在最前并默认选中，否则默认推荐档位
+const scopeOptions = (quote) => {
+  const options = (quote.tiers || []).map((tier, index) => ({ key: `tier-${index}`, label: tier.name, tier }));
+  if (quote.custom) {
+    const { baseTier, features } = quote.custom;
+    options.unshift({ key: 'custom', label: `定制方案（${baseTier}）`, tier: { name: baseTier, features } });
+  }
+  return options;
+};
+
+// 成交后把线索整理成交付规格书，导出 Markdown 和 Dify / n8n 骨架
+const SpecGenerator = ({ lead, onUnauthorized }) => {
+  const quote = lead.quote;
+  const options = scopeOptions(quote);
+  const { recommendedTier } = quote.presentation || DEFAULT_PRESENTATION;
+  const [selected, setSelected] = useState(quote.custom ? 'custom' : `tier-${recommendedTier ?? 0}`);
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const option = options.find(item => item.key === selected) || options[0];
+  const filename = `spec-${lead.id}`;
+
+  const generate = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      setResult(await generateSpec({
+        request: lead.request,
+        qa: lead.qa,
+        tier: { name: option.tier.name, features: option.tier.features },
+        platform: quote.scope?.platform
+      }));
+    } catch (err) {
+      if (err.status === 401) onUnauthorized();
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const exportMarkdown = () => download(
+    specToMarkdown(result.spec, { request: lead.request, qa: lead.qa, tier: option.tier, platform: result.platform }),
+    `${filename}.md`, 'text/markdown;charset=utf-8'
+  );
+  const exportDify = () => download(toDifyDsl(result.spec), `${filename}.dify.yml`, 'text/yaml;charset=utf-8');
+  const exportN8n = () => download(JSON.stringify(toN8nWorkflow(result.spec), null, 2), `${filename}.n8n.json`, 'application/json');
+
+  return (
+    <section className="bg-white rounded-2xl border border-slate-200 p-5 space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <h3 className="text-sm font-bold text-slate-900 flex items-center gap-2"><Wand2 size={14} /> 需求规格书</h3>
+        <select value={option.key} onChange={(e) => { setSelected(e.target.value); setResult(null); }}
+          className="ml-auto px-3 py-1.5 border border-slate-200 rounded-lg text-sm bg-white">
+          {options.map(item => <option key={item.key} value={item.key}>{item.label}</option>)}
+        </select>
+        <button onClick={generate} disabled={isLoading}
+          className="bg-slate-900 text-white text-sm font-bold px-4 py-1.5 rounded-lg hover:bg-slate-800 disabled:opacity-50 flex items-center gap-1">
+          {isLoading ? <><Loader2 size={14} className="animate-spin" /> 生成中</> : '生成需求规格书'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 text-red-600 rounded-lg text-sm flex items-center gap-2 border border-red-100">
+          <AlertCircle size={16} /> {error}
+        </div>
+      )}
+
+      {result && (
+        <div className="space-y-3">
+          <div>
+            <p className="font-bold text-slate-900">{result.spec.title}<span className="ml-2 text-xs font-normal text-slate-400">{result.platform}</span></p>
+            <p className="text-sm text-slate-500">{result.spec.summary}</p>
+          </div>
+          <ol className="text-sm text-slate-600 space-y-1 list-decimal pl-5">
+            {result.spec.nodes.map((node, i) => (
+              <li key={i}>
+                <span className="font-medium text-slate-800">{node.name}</span>
+                <span className="ml-1 text-xs text-slate-400">{SPEC_NODE_LABELS[node.type]}</span>
+                <span className="ml-2">{node.desc}</span>
+              </li>
+            ))}
+          </ol>
+          <div className="flex flex-wrap gap-2">
+            <button onClick={exportMarkdown} className="px-3 py-1.5 rounded-lg text-sm border border-slate-200 hover:bg-slate-50 flex items-center gap-1">
+              <FileText size={14} /> Markdown
+            </button>
+            <button onClick={exportDify} className="px-3 py-1.5 rounded-lg text-sm border border-slate-200 hover:bg-slate-50 flex items-center gap-1">
+              <FileCode size={14} /> Dify DSL
+            </button>
+            <button onClick={exportN8n} className="px-3 py-1.5 rounded-lg text-sm border border-slate-200 hover:bg-slate-50 flex items-center gap-1">
+              <FileCode size={14} /> n8n JSON
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default SpecGenerator;
@@ -0,0 +1,55 @@
+// --- 后台接口 ---
+import { requestJson } from '../api.js';
+
+const TOKEN_KEY = 'admin_token';
+
+export const getToken = () => sessionStorage.getItem(TOKEN_KEY);
+
+export const clearToken = () => sessionStorage.removeItem(TOKEN_KEY);
+
+// 带上登录令牌；令牌失效时清掉本地令牌，由页面回到登录框
+const adminRequest = async (path, options = {}) => {
+  try {
+    return await requestJson(path, {
+      ...options,
+      headers: { "Authorization": `Bearer ${getToken()}` }
+    });
+  } catch (error) {
+    if (error.status === 401) clearToken();
+    throw error;
+  }
+};
+
+export const login = async (password) => {
+  const { token } = await requestJson('/api/admin/login', { body: { password } });
+  sessionStorage.setItem(TOKEN_KEY, token);
+};
+
+export const listLeads = (filters) => {
+  const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+  return adminRequest(`/api/admin/leads?${query}`, { method: "GET" });
+};
+
+// fields: { status?, finalPrice? }
+export const updateLead = (id, fields) => adminRequest(`/api/admin/leads/${id}`, { method: "PATCH", body: fields });
+
+// 生成交付规格书，tier 为 { name, features }；返回 { spec, platform }
+export const generateSpec = ({ request, qa, tier, platform }) => adminRequest('/api/admin/spec', {
+  body: { request, qa, tier, platform }
+});
+
+// 返回 { catalog, version, publishedAt }
+export const getCatalog = () => adminRequest('/api/admin/catalog', { method: "GET" });
+
+export const publishCatalog = (catalog) => adminRequest('/api/admin/catalog', { method: "PUT", body: { catalog } });
+
+// 用草稿试跑：stage 为 questions 或 quote，dryRun 只渲染提示词
+export const previewCatalog = ({ catalog, stage, request, qa, dryRun, locale, variant }) => adminRequest('/api/admin/catalog/preview', {
+  body: { catalog, stage, request, qa, dryRun, locale, variant }
+});
+
+// 漏斗报表，from / to 为 YYYY-MM-DD，不传则为最近 30 天
+export const getAnalytics = (range) => {
+  const query = new URLSearchParams(Object.entries(range).filter(([, value]) => value));
+  return adminRequest(`/api/admin/analytics?${query}`, { method: "GET" });
+};
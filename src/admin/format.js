@@ -0,0 +1,28 @@
+// --- 后台展示用的格式化工具 ---
+
+export const STATUS_STYLES = {
+  NeedsReview: 'bg-amber-50 text-amber-700',
+  Declined: 'bg-slate-100 text-slate-400',
+  Generated: 'bg-slate-100 text-slate-600',
+  Contacted: 'bg-blue-50 text-blue-600',
+  Won: 'bg-green-50 text-green-700',
+  Lost: 'bg-red-50 text-red-500'
+};
+
+export const formatDateTime = (value) => (value ? new Date(value).toLocaleString('zh-CN', { hour12: false }) : '-');
+
+// 报价区间，例如 ¥299 - ¥1499
+export const formatPriceRange = (quote) => {
+  const prices = (quote?.tiers || []).map(tier => tier.price).filter(price => typeof price === 'number');
+  if (prices.length === 0) return '-';
+  return `¥${Math.min(...prices)} - ¥${Math.max(...prices)}`;
+};
+
+// 停留时长，例如 42 秒、3.5 分钟
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < 60 * 1000) return `${Math.round(ms / 1000)} 秒`;
+  return `${(ms / 60 / 1000).toFixed(1)} 分钟`;
+};
+
+export const formatPercent = (ratio) => (ratio === null || ratio === undefined ? '-' : `${(ratio * 100).toFixed(1)}%`);
@@ -0,0 +1,180 @@
+// --- 后端接口调用 ---
+// 密钥、提示词和 NocoDB 写入都在服务端（server/），前端只和 /api 打交道。
+import { createSseParser } from '../shared/sse.js';
+import { getVisitorId } from './lib/storage.js';
+import { solveChallenge } from './lib/proofOfWork.js';
+import { PROOF_REQUIRED_CODE } from '../shared/abuse.js';
+import { FOLLOW_UP_SCHEMA, QUESTIONS_SCHEMA, QUOTE_SCHEMA, validate } from '../shared/schema.js';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || '';
+
+// 每个请求都带上访客 ID，服务端据此分配 A/B 实验变体
+const visitorHeaders = () => ({ "X-Visitor-Id": getVisitorId() });
+
+// 接口报错：status 为 HTTP 状态码，code 区分同一状态码下的不同原因（见 shared/abuse.js）
+const toApiError = (response, data) => {
+  const error = new Error(data.error || `API Error: ${response.status}`);
+  error.status = response.status;
+  error.code = data.code ?? null;
+  return error;
+};
+
+// 服务端要求人机验证（428）时，取一道题解完后带上答案重发一次
+const fetchWithProof = async (url, init) => {
+  const response = await fetch(url, init);
+  if (response.status !== 428) return response;
+  const data = await response.clone().json().catch(() => ({}));
+  if (data.code !== PROOF_REQUIRED_CODE) return response;
+
+  const challenge = await requestJson('/api/challenge', { method: "GET", signal: init.signal });
+  const proof = await solveChallenge(challenge, init.signal);
+  return fetch(url, { ...init, headers: { ...init.headers, "X-Proof": proof } });
+};
+
+export const requestJson = async (path, { method = "POST", body, headers, signal, keepalive } = {}) => {
+  const response = await fetchWithProof(`${API_BASE}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...visitorHeaders(), ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal,
+    keepalive
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw toApiError(response, data);
+  }
+  return data;
+};
+
+// 以 SSE 方式请求，onText(已收到的完整文本) 会随每个片段回调，
+// 最终返回服务端 done 事件中的结果。signal 用于取消。
+const postStream = async (path, body, { signal, onText } = {}) => {
+  const response = await fetchWithProof(`${API_BASE}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Accept": "text/event-stream", ...visitorHeaders() },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    throw toApiError(response, await response.json().catch(() => ({})));
+  }
+
+  let text = '';
+  let result;
+  let failure;
+  const push = createSseParser(({ event, data }) => {
+    const payload = JSON.parse(data);
+    if (event === 'delta') {
+      text += payload.text;
+      onText?.(text);
+    } else if (event === 'retry') {
+      // 上一次输出不合格，服务端正在让模型重写，清空已收到的内容
+      text = '';
+      onText?.(text);
+    } else if (event === 'done') {
+      result = payload;
+    } else if (event === 'error') {
+      failure = new Error(payload.error);
+    }
+  });
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    push(decoder.decode(value, { stream: true }));
+  }
+
+  if (failure) throw failure;
+  if (!result) throw new Error("连接中断，请重试");
+  return result;
+};
+
+// 把问题列表 + 答案整理成 [{ question, answer }]
+export const formatQA = (questions, answers) => questions.map(q => ({
+  question: q.text,
+  answer: answers[q.id]
+}));
+
+// 服务端已校验过，这里再兜底一次，保证界面拿到的数组字段一定是数组
+const ensureShape = (schema, data, message) => {
+  const { value, errors } = validate(schema, data);
+  if (errors.length > 0) {
+    console.error("Invalid API payload:", errors);
+    throw new Error(message);
+  }
+  return value;
+};
+
+// 以下接口的 locale 为客户的界面语言，服务端据此决定模型输出的语言和档位、条款的译文；
+// attachments 为 uploadAttachment 返回的附件 [{ name, kind, summary, file }]
+
+// 需求筛查，返回 { verdict, reasons }，verdict 为 deliverable / review / declined
+export const screenRequest = ({ request, locale, attachments }, { signal } = {}) => requestJson('/api/screen', {
+  body: { request, locale, attachments },
+  signal
+});
+
+// 第一轮只传 request；追问轮传累计的 qa 和轮次 round
+export const fetchQuestions = async ({ request, qa, round = 1, locale, attachments }, options) => ensureShape(
+  round === 1 ? QUESTIONS_SCHEMA : FOLLOW_UP_SCHEMA,
+  await postStream('/api/questions', round === 1
+    ? { request, locale, attachments }
+    : { request, qa, round, locale, attachments }, options),
+  "格式解析失败，请重试"
+);
+
+export const fetchQuote = async ({ request, qa, locale, attachments }, options) => ensureShape(
+  QUOTE_SCHEMA,
+  await postStream('/api/quote', { request, qa, locale, attachments }, options),
+  "生成方案失败"
+);
+
+// 返回 { id, expiresAt }，id 用于分享链接；服务端未配置存储时 id 为 null
+export const saveLead = ({ request, qa, quote, locale, attachments }) => requestJson('/api/leads', {
+  body: { request, qa, quote, locale, attachments }
+});
+
+// 上传附件（readAttachment 的结果），返回 { name, kind, summary, file }
+export const uploadAttachment = (attachment, { signal } = {}) => requestJson('/api/attachments', { body: attachment, signal });
+
+export const fetchSharedQuote = (id) => requestJson(`/api/quotes/${encodeURIComponent(id)}`, { method: "GET" });
+
+// 保存定制方案，返回服务端重新核算后的配置
+export const saveCustomQuote = (id, selection, locale) => requestJson(`/api/quotes/${encodeURIComponent(id)}/custom`, {
+  method: "PUT",
+  body: { ...selection, locale }
+});
+
+// 客户留下的联系方式 { xianyu, wechat, email, consent }，至少填一项且 consent 为 true
+export const saveContact = (id, contact) => requestJson(`/api/quotes/${encodeURIComponent(id)}/contact`, {
+  method: "PUT",
+  body: contact
+});
+
+// 告知服务端客户点了"复制方案"，用于提醒卖家；失败不影响复制
+export const reportCopied = (id) => requestJson(`/api/quotes/${encodeURIComponent(id)}/copied`).catch(() => {});
+
+// 服务目录的公开部分：服务类别、报价规则和汇率，按语言给出译文。
+// 同一语言只请求一次，界面语言和报价页共用；失败的请求不缓存
+const catalogRequests = new Map();
+
+export const fetchCatalog = (locale) => {
+  if (!catalogRequests.has(locale)) {
+    const request = requestJson(`/api/catalog?locale=${encodeURIComponent(locale)}`, { method: "GET" });
+    request.catch(() => catalogRequests.delete(locale));
+    catalogRequests.set(locale, request);
+  }
+  return catalogRequests.get(locale);
+};
+
+export const buildShareUrl = (id) => `${window.location.origin}/q/${id}`;
+
+// 用户点了取消
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// 连不上服务端（没有状态码）、服务端暂时出错或被限流，稍后重试可能成功
+export const isRetryableError = (error) => !isAbortError(error) && (!error?.status || error.status >= 500 || error.status === 429);
@@ -0,0 +1,119 @@
+import React, { useRef, useState } from 'react';
+import { Paperclip, FileText, Image, CheckCircle, AlertCircle, X } from 'lucide-react';
+import { uploadAttachment } from '../api.js';
+import { readAttachment } from '../lib/attachments.js';
+import { useI18n } from '../i18n/index.jsx';
+import { ACCEPTED_ATTACHMENTS, MAX_ATTACHMENTS, MAX_ATTACHMENT_BYTES, attachmentKind } from '../../shared/attachments.js';
+
+// 需求描述下方的附件区：拖入或选择文件后立即读取并上传，拿到摘要才算就绪。
+// attachments 的每一项为 { id, name, kind, status, summary, file, error }，status 为 uploading / ready / failed
+const AttachmentPicker = ({ attachments, onChange }) => {
+  const { t } = useI18n();
+  const inputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  const update = (id, fields) => {
+    onChange(prev => prev.map(item => (item.id === id ? { ...item, ...fields } : item)));
+  };
+
+  const upload = async (id, file) => {
+    try {
+      const result = await uploadAttachment(await readAttachment(file));
+      update(id, { ...result, status: 'ready' });
+    } catch (e) {
+      console.error("附件上传失败:", e);
+      update(id, { status: 'failed', error: t(`attachments.errors.${e.code || 'upload'}`) });
+    }
+  };
+
+  const addFiles = (fileList) => {
+    const files = Array.from(fileList);
+    const room = MAX_ATTACHMENTS - attachments.length;
+    setNotice(files.length > room ? t('attachments.tooMany', { max: MAX_ATTACHMENTS }) : '');
+
+    const added = files.slice(0, Math.max(room, 0)).map((file, index) => ({
+      id: `${Date.now()}-${index}`,
+      name: file.name,
+      kind: attachmentKind(file) || 'text',
+      status: 'uploading',
+      summary: '',
+      file: null
+    }));
+    onChange(prev => [...prev, ...added]);
+    added.forEach((item, index) => upload(item.id, files[index]));
+  };
+
+  const remove = (id) => {
+    setNotice('');
+    onChange(prev => prev.filter(item => item.id !== id));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div
+        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`rounded-xl border-2 border-dashed p-5 flex flex-col md:flex-row md:items-center gap-3 transition-colors ${isDragging
+          ? 'border-blue-500 bg-blue-50'
+          : 'border-slate-200 bg-white'
+          }`}
+      >
+        <div className="flex-1 text-sm">
+          <span className="font-bold text-slate-700 flex items-center gap-1"><Paperclip size={14} /> {t('attachments.title')}</span>
+          <span className="text-slate-400">
+            {t('attachments.hint', { max: MAX_ATTACHMENTS, size: MAX_ATTACHMENT_BYTES / 1024 / 1024 })}
+          </span>
+        </div>
+        <button type="button" onClick={() => inputRef.current?.click()}
+          disabled={attachments.length >= MAX_ATTACHMENTS}
+          className="px-4 py-2 rounded-lg text-sm font-bold bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-50 disabled:cursor-not-allowed shrink-0 transition-colors">
+          {t('attachments.choose')}
+        </button>
+        <input ref={inputRef} type="file" multiple accept={ACCEPTED_ATTACHMENTS} className="hidden"
+          onChange={(e) => { addFiles(e.target.files); e.target.value = ''; }} />
+      </div>
+
+      {notice && <p className="text-xs text-amber-600">{notice}</p>}
+
+      {attachments.length > 0 && (
+        <ul className="space-y-2">
+          {attachments.map(item => (
+            <li key={item.id} className="bg-white rounded-xl border border-slate-200 p-3 flex items-start gap-3 text-sm">
+              {item.kind === 'image'
+                ? <Image size={16} className="text-slate-400 mt-0.5 shrink-0" />
+                : <FileText size={16} className="text-slate-400 mt-0.5 shrink-0" />}
+              <div className="flex-1 min-w-0 space-y-0.5">
+                <p className="font-medium text-slate-800 truncate">{item.name}</p>
+                {item.status === 'uploading' && <p className="text-xs text-blue-500 animate-pulse">{t('attachments.uploading')}</p>}
+                {item.status === 'ready' && (
+                  <p className="text-xs text-slate-500 flex items-start gap-1">
+                    <CheckCircle size={12} className="text-green-500 mt-0.5 shrink-0" />
+                    <span className="line-clamp-2">{item.summary || t('attachments.noSummary')}</span>
+                  </p>
+                )}
+                {item.status === 'failed' && (
+                  <p className="text-xs text-red-500 flex items-center gap-1"><AlertCircle size={12} /> {item.error}</p>
+                )}
+              </div>
+              <button type="button" onClick={() => remove(item.id)}
+                aria-label={t('attachments.remove')}
+                className="text-slate-300 hover:text-red-500 shrink-0 transition-colors">
+                <X size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentPicker;
@@ -0,0 +1,132 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Bot, RotateCcw, Send, X } from 'lucide-react';
+import { useI18n } from '../i18n/index.jsx';
+import { MAX_ANSWER_LENGTH, MAX_REQUEST_LENGTH } from '../../shared/abuse.js';
+
+// 早期保存的问题没有 round 字段，统一视为第一轮
+const roundOf = (q) => q.round || 1;
+
+const Bubble = ({ from, children }) => (
+  <div className={`flex ${from === 'user' ? 'justify-end' : 'justify-start'} animate-in fade-in slide-in-from-bottom-2`}>
+    {from === 'assistant' && (
+      <div className="bg-blue-600 text-white p-1.5 rounded-lg h-fit mr-2 shrink-0"><Bot size={16} /></div>
+    )}
+    <div className={`max-w-[80%] px-4 py-3 rounded-2xl text-sm leading-relaxed whitespace-pre-wrap ${from === 'user'
+      ? 'bg-blue-600 text-white rounded-br-md'
+      : 'bg-white border border-slate-200 text-slate-800 rounded-bl-md shadow-sm'}`}>
+      {children}
+    </div>
+  </div>
+);
+
+// 对话模式：顾问一次只问一个问题，问题和选项与表单模式相同，选项作为快捷回复，也可以直接打字。
+// 只负责展示和收集回答，筛查、追问和生成报价仍由 App 的同一套流程完成。
+// step 为 input 时输入框填写的是需求描述，之后填写的是当前问题的回答。
+const ChatPanel = ({
+  step, userRequest, onRequestChange, onStart, canStart,
+  questions, answers, round, followUpReason, onAnswer, onRetry, onCancel
+}) => {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState('');
+  const endRef = useRef(null);
+
+  const isInput = step === 'input';
+  const busy = ['screening', 'analyzing', 'refining', 'calculating'].includes(step);
+  // 还没回答的第一个问题就是当前要问的
+  const current = step === 'questions' ? questions.find(q => !answers[q.id]) : null;
+  // 本轮都已回答却还停在问题页，说明提交失败或被取消了
+  const stalled = step === 'questions' && !current && questions.length > 0;
+
+  const answeredCount = questions.filter(q => answers[q.id]).length;
+  useEffect(() => {
+    endRef.current?.scrollIntoView?.({ block: 'end', behavior: 'smooth' });
+  }, [step, answeredCount]);
+
+  const value = isInput ? userRequest : draft;
+  const canSend = isInput ? canStart : Boolean(current && draft.trim());
+
+  const send = (e) => {
+    e.preventDefault();
+    if (!canSend) return;
+    if (isInput) {
+      onStart();
+      return;
+    }
+    onAnswer(current.id, draft.trim(), true);
+    setDraft('');
+  };
+
+  // 回车发送，Shift + 回车换行
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) send(e);
+  };
+
+  return (
+    <div className="bg-slate-100/60 rounded-2xl border border-slate-200 flex flex-col">
+      <div className="p-4 md:p-6 space-y-4 min-h-[16rem]">
+        <Bubble from="assistant">{t('chat.greeting')}</Bubble>
+        {!isInput && userRequest && <Bubble from="user">{userRequest}</Bubble>}
+
+        {questions.filter(q => answers[q.id] || q === current).map((q, index, shown) => (
+          <React.Fragment key={q.id}>
+            {/* 每轮追问开头说明为什么还要再问 */}
+            {roundOf(q) > 1 && roundOf(shown[index - 1] || q) !== roundOf(q) && (
+              <Bubble from="assistant">{roundOf(q) === round && followUpReason ? followUpReason : t('questions.followUpSubtitle')}</Bubble>
+            )}
+            <Bubble from="assistant">{q.text}</Bubble>
+            {answers[q.id] && <Bubble from="user">{answers[q.id]}</Bubble>}
+          </React.Fragment>
+        ))}
+
+        {current && (
+          <div className="flex flex-wrap gap-2 pl-9">
+            {current.options.map(opt => (
+              <button key={opt} onClick={() => onAnswer(current.id, opt, false)}
+                className="px-3 py-1.5 rounded-full text-sm bg-white border border-blue-200 text-blue-700 hover:bg-blue-50 hover:border-blue-400 transition-colors">
+                {opt}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {busy && (
+          <div className="flex items-center gap-3 pl-9 text-sm text-slate-500">
+            <span className="animate-pulse">{t(`loading.${step}`)}</span>
+            <button onClick={onCancel} className="text-slate-400 hover:text-red-500 transition-colors flex items-center gap-1">
+              <X size={14} /> {t('loading.cancel')}
+            </button>
+          </div>
+        )}
+
+        {stalled && (
+          <div className="pl-9">
+            <button onClick={onRetry}
+              className="px-4 py-2 rounded-lg text-sm font-bold bg-slate-900 text-white hover:bg-slate-800 flex items-center gap-1 transition-colors">
+              <RotateCcw size={14} /> {t('chat.retry')}
+            </button>
+          </div>
+        )}
+        <div ref={endRef} />
+      </div>
+
+      <form onSubmit={send} className="border-t border-slate-200 bg-white rounded-b-2xl p-3 flex items-end gap-2">
+        <textarea
+          rows={isInput ? 3 : 1}
+          className="flex-1 resize-none px-3 py-2 rounded-xl border border-slate-200 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/10 text-sm disabled:bg-slate-50"
+          placeholder={isInput ? t('input.placeholder') : t('chat.placeholder')}
+          value={value}
+          onChange={(e) => (isInput ? onRequestChange(e.target.value) : setDraft(e.target.value))}
+          onKeyDown={handleKeyDown}
+          maxLength={isInput ? MAX_REQUEST_LENGTH : MAX_ANSWER_LENGTH}
+          disabled={!isInput && !current}
+        />
+        <button type="submit" disabled={!canSend} aria-label={t('chat.send')}
+          className="bg-blue-600 text-white p-3 rounded-xl hover:bg-blue-700 disabled:opacity-40 disabled:cursor-not-allowed transition-colors">
+          <Send size={18} />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ChatPanel;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { CheckCircle, UserRound } from 'lucide-react';
+import { saveContact } from '../api.js';
+import { useI18n } from '../i18n/index.jsx';
+import { CONTACT_FIELDS, MAX_CONTACT_LENGTH, normalizeContact } from '../../shared/contact.js';
+
+// 报价页的联系方式表单（可选）：写入当前方案对应的线索，服务端会通知卖家
+const ContactForm = ({ quoteId, submitted, onSubmitted }) => {
+  const { t } = useI18n();
+  const [values, setValues] = useState({ xianyu: '', wechat: '', email: '' });
+  const [consent, setConsent] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  if (submitted) {
+    return (
+      <div className="bg-green-50 rounded-2xl border border-green-100 p-5 flex items-center gap-2 text-sm text-green-800">
+        <CheckCircle size={18} className="text-green-600 shrink-0" /> {t('contact.thanks')}
+      </div>
+    );
+  }
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const { error: invalid } = normalizeContact(values);
+    if (invalid || !consent) {
+      setError(t(`contact.errors.${invalid || 'consent'}`));
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+    try {
+      await saveContact(quoteId, { ...values, consent });
+      onSubmitted();
+    } catch (err) {
+      setError(t('contact.errors.failed') + err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="bg-white rounded-2xl border border-slate-200 shadow-sm p-6 space-y-4">
+      <div className="flex items-center gap-2 text-slate-900 font-bold">
+        <UserRound size={18} className="text-blue-600" /> {t('contact.title')}
+        <span className="text-xs font-normal text-slate-400">{t('contact.hint')}</span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {CONTACT_FIELDS.map(field => (
+          <input key={field} type={field === 'email' ? 'email' : 'text'} maxLength={MAX_CONTACT_LENGTH}
+            className="px-4 py-3 border border-slate-200 rounded-xl text-sm focus:border-blue-500 focus:ring-2 focus:ring-blue-500/10"
+            placeholder={t(`contact.${field}`)}
+            value={values[field]}
+            onChange={(e) => setValues(prev => ({ ...prev, [field]: e.target.value }))}
+          />
+        ))}
+      </div>
+
+      <label className="flex items-start gap-2 text-xs text-slate-500 leading-relaxed cursor-pointer">
+        <input type="checkbox" className="mt-0.5" checked={consent} onChange={(e) => setConsent(e.target.checked)} />
+        {t('contact.consent')}
+      </label>
+
+      {error && <p className="text-sm text-red-500">{error}</p>}
+
+      <button type="submit" disabled={isSubmitting}
+        className="bg-slate-900 text-white text-sm font-bold px-6 py-2.5 rounded-xl hover:bg-slate-800 disabled:opacity-50 transition-colors">
+        {isSubmitting ? t('contact.submitting') : t('contact.submit')}
+      </button>
+    </form>
+  );
+};
+
+export default ContactForm;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { Check, Minus, Plus, SlidersHorizontal } from 'lucide-react';
+import { useI18n } from '../i18n/index.jsx';
+import { computeCustomQuote } from '../../shared/pricing.js';
+import { DEFAULT_PRESENTATION } from '../../shared/experiments.js';
+
+// 方案页的定制器：选一个档位作为基础，勾选保留的功能、加购附加服务，价格实时重算。
+// onSelectTier 在客户切换基础档位时回调，用于埋点
+const CustomQuoteBuilder = ({ quoteData, rules, onConfirm, isConfirming, disabled, onSelectTier }) => {
+  const { t, formatPrice } = useI18n();
+  // 咨询报价的档位没有基准价，不能作为定制的基础
+  const selectableTiers = quoteData.tiers
+    .map((tier, index) => ({ tier, index }))
+    .filter(({ tier }) => typeof tier.price === 'number');
+  // 默认从推荐档位开始定制
+  const recommendedTier = (quoteData.presentation || DEFAULT_PRESENTATION).recommendedTier;
+  const initialTier = selectableTiers.find(({ index }) => index === recommendedTier) || selectableTiers[0];
+
+  const [tierIndex, setTierIndex] = useState(initialTier?.index ?? 0);
+  const [features, setFeatures] = useState(() => (initialTier ? initialTier.tier.features.map((_, i) => i) : []));
+  const [extras, setExtras] = useState({});
+
+  if (selectableTiers.length === 0) return null;
+
+  const tier = quoteData.tiers[tierIndex];
+  const selection = { tierIndex, features, extras };
+  const custom = computeCustomQuote(quoteData, selection, rules);
+  // 选择的档位在当前方案里不能定制时不渲染，不读空结果
+  if (!custom) return null;
+
+  const selectTier = (index) => {
+    onSelectTier?.(index);
+    setTierIndex(index);
+    setFeatures(quoteData.tiers[index].features.map((_, i) => i));
+  };
+
+  const toggleFeature = (index) => {
+    setFeatures(prev => (prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]));
+  };
+
+  const setExtraQuantity = (extra, quantity) => {
+    setExtras(prev => ({ ...prev, [extra.id]: Math.min(Math.max(quantity, 0), extra.maxQuantity || 1) }));
+  };
+
+  return (
+    <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-6 space-y-6">
+      <div className="flex items-center gap-2 text-slate-900 font-bold">
+        <SlidersHorizontal size={18} className="text-blue-600" /> {t('custom.title')}
+        <span className="text-xs font-normal text-slate-400">{t('custom.hint')}</span>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {selectableTiers.map(({ tier: item, index }) => (
+          <button key={index} onClick={() => selectTier(index)}
+            className={`px-4 py-2 rounded-xl text-sm font-bold border-2 transition-all ${index === tierIndex
+              ? 'border-blue-500 bg-blue-50 text-blue-700'
+              : 'border-slate-100 text-slate-500 hover:border-slate-300'}`}>
+            {item.name} · {formatPrice(item.price)}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-2">
+          <div className="text-xs font-bold text-slate-400">{t('custom.features')}</div>
+          {tier.features.map((feature, index) => {
+            const isOn = features.includes(index);
+            return (
+              <button key={index} onClick={() => toggleFeature(index)}
+                className={`w-full text-left flex items-start gap-3 p-3 rounded-xl border text-sm transition-all ${isOn
+                  ? 'border-blue-200 bg-blue-50/50 text-slate-800'
+                  : 'border-slate-100 text-slate-400 line-through'}`}>
+                <span className={`mt-0.5 w-4 h-4 rounded flex items-center justify-center shrink-0 ${isOn ? 'bg-blue-600 text-white' : 'border border-slate-300'}`}>
+                  {isOn && <Check size={12} />}
+                </span>
+                {feature}
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="space-y-2">
+          <div className="text-xs font-bold text-slate-400">{t('custom.extras')}</div>
+          {rules.extras.map(extra => {
+            const quantity = extras[extra.id] || 0;
+            return (
+              <div key={extra.id} className={`flex items-center gap-3 p-3 rounded-xl border text-sm ${quantity > 0 ? 'border-blue-200 bg-blue-50/50' : 'border-slate-100'}`}>
+                <div className="flex-1">
+                  <div className="font-medium text-slate-800">{extra.name} <span className="font-mono text-slate-500">+{formatPrice(extra.price)}</span></div>
+                  {extra.desc && <div className="text-xs text-slate-400">{extra.desc}</div>}
+                </div>
+                {(extra.maxQuantity || 1) > 1 ? (
+                  <div className="flex items-center gap-2">
+                    <button onClick={() => setExtraQuantity(extra, quantity - 1)} disabled={quantity === 0}
+                      className="p-1 rounded-lg border border-slate-200 disabled:opacity-30"><Minus size={12} /></button>
+                    <span className="w-4 text-center font-mono">{quantity}</span>
+                    <button onClick={() => setExtraQuantity(extra, quantity + 1)} disabled={quantity >= extra.maxQuantity}
+                      className="p-1 rounded-lg border border-slate-200 disabled:opacity-30"><Plus size={12} /></button>
+                  </div>
+                ) : (
+                  <input type="checkbox" className="w-4 h-4 accent-blue-600" checked={quantity > 0}
+                    onChange={(e) => setExtraQuantity(extra, e.target.checked ? 1 : 0)} />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 pt-4 border-t border-slate-100">
+        <div className="text-sm text-slate-500">
+          {t('custom.price')}
+          <span className="ml-2 text-3xl font-black text-slate-900">{formatPrice(custom.price)}</span>
+          {custom.deduction > 0 && <span className="ml-2 text-xs">{t('custom.deduction', { amount: formatPrice(custom.deduction) })}</span>}
+        </div>
+        <button onClick={() => onConfirm(selection)} disabled={disabled || isConfirming || features.length === 0}
+          className="bg-blue-600 text-white font-bold px-6 py-3 rounded-xl hover:bg-blue-700 disabled:opacity-50 transition-colors">
+          {isConfirming ? t('custom.saving') : t('custom.confirm')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CustomQuoteBuilder;
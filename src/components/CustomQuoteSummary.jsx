@@ -0,0 +1,48 @@
+import React from 'react';
+import { Settings2 } from 'lucide-react';
+import { useI18n } from '../i18n/index.jsx';
+
+// 客户确认过的定制方案，方案页、分享页和导出文档共用
+const CustomQuoteSummary = ({ custom }) => {
+  const { t, formatPrice, joinList } = useI18n();
+
+  return (
+    <div className="bg-blue-50 rounded-2xl p-6 border border-blue-100 space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2 text-blue-900 font-bold">
+          <Settings2 size={18} /> {t('custom.summaryTitle')}
+          <span className="text-xs font-medium text-blue-600 bg-white px-2 py-0.5 rounded">{t('custom.basedOn', { tier: custom.baseTier })}</span>
+        </div>
+        <div className="text-2xl font-black text-slate-900">{formatPrice(custom.price)}</div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+        <div className="space-y-1">
+          <div className="text-xs font-bold text-slate-400">{t('custom.included')}</div>
+          <ul className="list-disc pl-5 text-slate-700 space-y-1">
+            {custom.features.map((feature, i) => <li key={i}>{feature}</li>)}
+          </ul>
+          {custom.removedFeatures.length > 0 && (
+            <div className="text-xs text-slate-400 pt-1">
+              {t('custom.removed', { features: joinList(custom.removedFeatures), amount: formatPrice(custom.deduction) })}
+            </div>
+          )}
+        </div>
+        {custom.extras.length > 0 && (
+          <div className="space-y-1">
+            <div className="text-xs font-bold text-slate-400">{t('custom.extras')}</div>
+            <ul className="text-slate-700 space-y-1">
+              {custom.extras.map(extra => (
+                <li key={extra.id} className="flex justify-between gap-3">
+                  <span>{extra.name}{extra.quantity > 1 ? ` × ${extra.quantity}` : ''}</span>
+                  <span className="font-mono">+{formatPrice(extra.price * extra.quantity)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomQuoteSummary;
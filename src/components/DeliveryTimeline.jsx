@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { CalendarClock, Wallet } from 'lucide-react';
+import { useI18n } from '../i18n/index.jsx';
+import { DEFAULT_PRESENTATION } from '../../shared/experiments.js';
+
+// 交付排期、修改轮次和付款方式，全部来自报价规则（见 shared/pricing.js），不由模型生成。
+// 确认过定制方案时展示定制方案的，否则可以在各档位之间切换，默认显示推荐档位。
+// 早期保存的方案没有排期，不显示
+const DeliveryTimeline = ({ quoteData }) => {
+  const { t, formatPrice } = useI18n();
+  const { recommendedTier } = quoteData.presentation || DEFAULT_PRESENTATION;
+  const [selected, setSelected] = useState(recommendedTier ?? 0);
+
+  const { custom, paymentTerms } = quoteData;
+  const options = custom
+    ? [{ name: custom.baseTier, ...custom }]
+    : quoteData.tiers;
+  const current = options[selected] || options[0];
+  if (!current?.schedule || !paymentTerms) return null;
+
+  const { payment } = current;
+  const steps = payment?.deposit ? paymentTerms.depositSteps : paymentTerms.steps;
+  const amounts = payment && {
+    price: formatPrice(current.price),
+    deposit: formatPrice(payment.deposit),
+    balance: formatPrice(payment.balance)
+  };
+
+  // 各里程碑在整个排期里占第几天
+  let start = 1;
+  const milestones = current.schedule.milestones.map(item => {
+    const range = { ...item, from: start, to: start + item.days - 1 };
+    start += item.days;
+    return range;
+  });
+
+  return (
+    <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-6 space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-2 text-slate-900 font-bold">
+          <CalendarClock size={18} className="text-blue-600" /> {t('timeline.title')}
+        </div>
+        {!custom && options.length > 1 && (
+          <div className="flex bg-slate-100 rounded-lg p-0.5 text-xs">
+            {options.map((tier, index) => (
+              <button key={index} onClick={() => setSelected(index)}
+                className={`px-3 py-1 rounded-md transition-colors ${current === tier ? 'bg-white text-slate-900 font-bold shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}>
+                {tier.name}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <ol className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        {milestones.map((item, index) => (
+          <li key={item.id} className="relative md:pt-6">
+            {/* 横向时间轴：圆点连线，手机上改为竖排卡片 */}
+            <div className="hidden md:block absolute top-2 left-0 right-0 h-0.5 bg-slate-100"></div>
+            <div className={`hidden md:block absolute top-0.5 left-0 w-3.5 h-3.5 rounded-full border-2 border-white ${index === milestones.length - 1 ? 'bg-green-500' : 'bg-blue-500'}`}></div>
+            <div className="bg-slate-50 rounded-xl p-3 space-y-1">
+              <div className="text-sm font-bold text-slate-800">{item.name}</div>
+              <div className="text-xs text-slate-500">
+                {item.days === 1 ? t('timeline.day', { day: item.from }) : t('timeline.range', { from: item.from, to: item.to })}
+                <span className="ml-2 font-mono text-slate-400">{t('timeline.days', { days: item.days })}</span>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <div className="flex flex-wrap gap-2 text-xs font-medium">
+        <span className="bg-blue-50 text-blue-700 px-3 py-1.5 rounded-full">{t('timeline.total', { days: current.schedule.totalDays })}</span>
+        <span className="bg-slate-100 text-slate-600 px-3 py-1.5 rounded-full">{t('timeline.revisions', { count: current.revisions })}</span>
+      </div>
+
+      <div className="border-t border-slate-100 pt-5 space-y-3">
+        <div className="flex items-center gap-2 text-sm font-bold text-slate-800">
+          <Wallet size={16} className="text-blue-600" /> {t('timeline.payment')}
+          {payment && (
+            <span className="text-xs font-normal text-slate-500">
+              {payment.deposit
+                ? t('timeline.deposit', { percent: paymentTerms.depositPercent, deposit: amounts.deposit, balance: amounts.balance })
+                : t('timeline.full', { price: amounts.price })}
+            </span>
+          )}
+        </div>
+        {payment ? (
+          <ol className="text-sm text-slate-600 space-y-2 list-decimal pl-5">
+            {steps.map((step, i) => (
+              <li key={i} className="pl-1">{step.replace(/\{(price|deposit|balance)\}/g, (match, name) => amounts[name])}</li>
+            ))}
+          </ol>
+        ) : (
+          <p className="text-sm text-slate-500">{t('timeline.consult')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryTimeline;
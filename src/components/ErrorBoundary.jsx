@@ -0,0 +1,46 @@
+import React from 'react';
+import { AlertCircle, RefreshCw } from 'lucide-react';
+import { I18nContext } from '../i18n/index.jsx';
+
+// 渲染出错时的最后兜底，避免整页白屏
+class ErrorBoundary extends React.Component {
+  static contextType = I18nContext;
+
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error("Render Error:", error, info.componentStack);
+  }
+
+  render() {
+    if (!this.state.error) return this.props.children;
+    const { t } = this.context;
+
+    return (
+      <div className="min-h-screen w-full bg-slate-50 flex items-center justify-center p-6">
+        <div className="max-w-md w-full bg-white rounded-2xl border border-red-100 shadow-sm p-8 space-y-4 text-center">
+          <div className="mx-auto w-12 h-12 rounded-full bg-red-50 text-red-500 flex items-center justify-center">
+            <AlertCircle size={24} />
+          </div>
+          <h2 className="text-xl font-bold text-slate-900">{t('crash.title')}</h2>
+          <p className="text-sm text-slate-500 leading-relaxed">
+            {t('crash.body')}
+          </p>
+          <button onClick={() => window.location.reload()}
+            className="w-full bg-slate-900 text-white font-bold py-3 rounded-xl hover:bg-slate-800 flex items-center justify-center gap-2 transition-colors">
+            <RefreshCw size={16} /> {t('crash.reload')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+}
+
+export default ErrorBoundary;
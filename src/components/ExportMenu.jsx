@@ -0,0 +1,60 @@
+import React, { useRef, useState } from 'react';
+import { Download, FileText, Image } from 'lucide-react';
+import ProposalDocument from './ProposalDocument.jsx';
+import { exportPdf, exportPng } from '../lib/exportProposal.js';
+import { useI18n } from '../i18n/index.jsx';
+
+// "导出方案"：生成带品牌的 PDF 或长图
+const ExportMenu = ({ quoteData, userRequest, quoteId, createdAt }) => {
+  const { t } = useI18n();
+  const documentRef = useRef(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [exporting, setExporting] = useState(null); // 'pdf' | 'png' | null
+
+  const handleExport = async (format) => {
+    setIsOpen(false);
+    setExporting(format);
+    const filename = `${t('export.filename')}-${quoteId}`;
+    try {
+      if (format === 'pdf') {
+        await exportPdf(documentRef.current, filename);
+      } else {
+        await exportPng(documentRef.current, filename);
+      }
+    } catch (err) {
+      console.error('Export failed', err);
+      alert(t('export.failed'));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button onClick={() => setIsOpen(open => !open)} disabled={Boolean(exporting)}
+        className="text-sm font-medium text-slate-600 bg-white border border-slate-200 hover:border-blue-300 hover:text-blue-600 px-4 py-2 rounded-xl flex items-center gap-2 transition-colors disabled:opacity-60">
+        <Download size={16} /> {exporting ? t('export.exporting') : t('export.button')}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-44 bg-white rounded-xl border border-slate-200 shadow-lg overflow-hidden z-20">
+          <button onClick={() => handleExport('pdf')}
+            className="w-full text-left px-4 py-3 text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2">
+            <FileText size={16} className="text-red-500" /> {t('export.pdf')}
+          </button>
+          <button onClick={() => handleExport('png')}
+            className="w-full text-left px-4 py-3 text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2">
+            <Image size={16} className="text-green-600" /> {t('export.png')}
+          </button>
+        </div>
+      )}
+
+      {/* 导出用的文档放在屏幕外渲染，用户看不到 */}
+      <div className="fixed top-0 -left-[10000px] pointer-events-none" aria-hidden="true">
+        <ProposalDocument ref={documentRef} quoteData={quoteData} userRequest={userRequest} quoteId={quoteId} createdAt={createdAt} />
+      </div>
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { X, Trash2, Eye, GitCompare, CheckCircle, ChevronLeft } from 'lucide-react';
+import { useI18n } from '../i18n/index.jsx';
+
+const DATE_TIME_OPTIONS = { hour12: false, month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+// 方案对比：两个方案并排展示各档位
+const CompareView = ({ entries, onBack }) => {
+  const { t, formatPrice, formatDate } = useI18n();
+
+  return (
+    <div className="space-y-4">
+      <button onClick={onBack} className="text-sm text-slate-500 hover:text-blue-600 flex items-center gap-1">
+        <ChevronLeft size={16} /> {t('history.back')}
+      </button>
+      <div className="grid grid-cols-2 gap-4">
+        {entries.map(entry => (
+          <div key={entry.id} className="space-y-3 min-w-0">
+            <div className="bg-white rounded-xl border border-slate-200 p-3">
+              <p className="text-xs text-slate-400">{formatDate(entry.createdAt, DATE_TIME_OPTIONS)}</p>
+              <p className="text-sm text-slate-800 line-clamp-3 mt-1">{entry.userRequest}</p>
+            </div>
+            {entry.quoteData.tiers.map((tier, index) => (
+              <div key={index} className="bg-white rounded-xl border border-slate-200 p-3 space-y-2">
+                <div className="flex items-baseline justify-between gap-2">
+                  <span className="font-bold text-slate-900 text-sm">{tier.name}</span>
+                  <span className="font-black text-slate-900">{formatPrice(tier.price)}</span>
+                </div>
+                <ul className="space-y-1">
+                  {tier.features.map((feature, i) => (
+                    <li key={i} className="flex items-start gap-1.5 text-xs text-slate-600">
+                      <CheckCircle size={12} className="text-blue-500 mt-0.5 shrink-0" />
+                      <span>{feature}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// "我的历史方案"：本机生成过的方案，可重新打开、对比或删除
+const HistoryPanel = ({ history, onOpen, onDelete, onClose }) => {
+  const { t, formatPrice, formatDate } = useI18n();
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isComparing, setIsComparing] = useState(false);
+
+  // 最多选两个用于对比，再选时替换掉最早选的那个
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id)
+      ? prev.filter(item => item !== id)
+      : [...prev, id].slice(-2)));
+  };
+
+  const handleDelete = (id) => {
+    setSelectedIds(prev => prev.filter(item => item !== id));
+    onDelete(id);
+  };
+
+  const compared = history.filter(entry => selectedIds.includes(entry.id));
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-slate-900/30" onClick={onClose}>
+      <aside className="w-full max-w-2xl h-full bg-slate-50 overflow-y-auto shadow-2xl animate-in slide-in-from-right-8 duration-300"
+        onClick={(e) => e.stopPropagation()}>
+        <div className="sticky top-0 bg-white border-b border-slate-100 px-6 py-4 flex items-center justify-between z-10">
+          <div>
+            <h2 className="font-bold text-slate-900">{t('history.title')}</h2>
+            <p className="text-xs text-slate-400">{t('history.hint')}</p>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-700"><X size={20} /></button>
+        </div>
+
+        <div className="p-6">
+          {isComparing && compared.length === 2 ? (
+            <CompareView entries={compared} onBack={() => setIsComparing(false)} />
+          ) : (
+            <div className="space-y-3">
+              {history.length === 0 && (
+                <p className="text-center text-slate-400 py-12">{t('history.empty')}</p>
+              )}
+              {history.map(entry => {
+                const prices = entry.quoteData.tiers.map(tier => tier.price).filter(price => typeof price === 'number');
+                const isSelected = selectedIds.includes(entry.id);
+                return (
+                  <div key={entry.id}
+                    className={`bg-white rounded-2xl border-2 p-4 flex gap-3 items-start transition-colors ${isSelected ? 'border-blue-500' : 'border-slate-100'}`}>
+                    <input type="checkbox" checked={isSelected} onChange={() => toggleSelected(entry.id)}
+                      className="mt-1 w-4 h-4 accent-blue-600" aria-label={t('history.select')} />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-xs text-slate-400">{formatDate(entry.createdAt, DATE_TIME_OPTIONS)}</p>
+                      <p className="text-slate-800 line-clamp-2 mt-1">{entry.userRequest}</p>
+                      {prices.length > 0 && (
+                        <p className="text-sm font-mono font-bold text-slate-900 mt-2">
+                          {formatPrice(Math.min(...prices))} - {formatPrice(Math.max(...prices))}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex flex-col gap-2 shrink-0">
+                      <button onClick={() => onOpen(entry)}
+                        className="text-sm text-blue-600 hover:bg-blue-50 px-2 py-1 rounded-lg flex items-center gap-1">
+                        <Eye size={14} /> {t('history.open')}
+                      </button>
+                      <button onClick={() => handleDelete(entry.id)}
+                        className="text-sm text-slate-400 hover:text-red-500 hover:bg-red-50 px-2 py-1 rounded-lg flex items-center gap-1">
+                        <Trash2 size={14} /> {t('history.delete')}
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {!isComparing && history.length > 1 && (
+          <div className="sticky bottom-0 bg-white border-t border-slate-100 p-4">
+            <button onClick={() => setIsComparing(true)} disabled={selectedIds.length !== 2}
+              className="w-full bg-slate-900 text-white font-bold py-3 rounded-xl hover:bg-slate-800 disabled:opacity-40 flex items-center justify-center gap-2 transition-colors">
+              <GitCompare size={16} /> {selectedIds.length === 2 ? t('history.compare') : t('history.pickTwo')}
+            </button>
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { useI18n } from '../i18n/index.jsx';
+import { LOCALES } from '../../shared/i18n.js';
+
+// 页头的语言切换，选择会记在本机
+const LanguageSwitcher = () => {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <label className="text-slate-400 hover:text-blue-600 transition-colors flex items-center gap-1 text-sm font-medium cursor-pointer">
+      <Languages size={16} />
+      <select value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t('app.language')}
+        className="bg-transparent outline-none cursor-pointer">
+        {LOCALES.map(item => <option key={item.code} value={item.code}>{item.label}</option>)}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
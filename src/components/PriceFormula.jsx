@@ -0,0 +1,49 @@
+import React from 'react';
+import { Calculator } from 'lucide-react';
+import { useI18n } from '../i18n/index.jsx';
+
+// 报价构成：公式 + 各档位由规则引擎算出的明细
+const PriceFormula = ({ tiers }) => {
+  const { t, formatPrice } = useI18n();
+
+  return (
+    <div className="bg-slate-900 text-slate-300 p-6 rounded-2xl shadow-lg border border-slate-800">
+      <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-4 flex items-center gap-2">
+        <Calculator size={14} /> {t('formula.title')}
+      </h3>
+      <div className="text-center font-mono text-sm md:text-lg space-y-2 md:space-y-0 md:space-x-2">
+        <span className="inline-block text-white font-bold">{t('formula.total')}</span>
+        <span className="inline-block">=</span>
+        <span className="inline-block px-2 py-1 bg-slate-800 rounded text-blue-300">{t('formula.setup')}</span>
+        <span className="inline-block">+</span>
+        <span className="inline-block px-2 py-1 bg-slate-800 rounded text-purple-300">{t('formula.complexity')}</span>
+        <span className="inline-block">+</span>
+        <span className="inline-block px-2 py-1 bg-slate-800 rounded text-green-300">{t('formula.delivery')}</span>
+      </div>
+
+      {/* 各档位的真实明细，由规则引擎计算 */}
+      <div className="mt-5 pt-4 border-t border-slate-800 space-y-2 font-mono text-xs md:text-sm">
+        {tiers.map((tier, index) => (
+          <div key={index} className="flex flex-wrap items-center justify-center md:justify-between gap-x-2 gap-y-1">
+            <span className="text-slate-400 md:w-20">{tier.name}</span>
+            {tier.breakdown ? (
+              <span className="flex flex-wrap items-center justify-center gap-x-2">
+                <span className="text-white font-bold">{formatPrice(tier.price)}</span>
+                <span>=</span>
+                <span className="text-blue-300">{formatPrice(tier.breakdown.setup)}</span>
+                <span>+</span>
+                <span className="text-purple-300">{formatPrice(tier.breakdown.complexity)}</span>
+                <span>+</span>
+                <span className="text-green-300">{formatPrice(tier.breakdown.delivery)}</span>
+              </span>
+            ) : (
+              <span className="text-slate-400">{t('formula.manual')}</span>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PriceFormula;
@@ -0,0 +1,106 @@
+import React, { forwardRef } from 'react';
+import { Bot, CheckCircle, ShieldCheck } from 'lucide-react';
+import PriceFormula from './PriceFormula.jsx';
+import CustomQuoteSummary from './CustomQuoteSummary.jsx';
+import { useI18n } from '../i18n/index.jsx';
+
+// 导出用的方案文档：固定 750px 宽，适合在微信等聊天软件里以长图查看
+const ProposalDocument = forwardRef(({ quoteData, userRequest, quoteId, createdAt }, ref) => {
+  const { t, formatPrice, formatDate } = useI18n();
+
+  return (
+    <div ref={ref} className="w-[750px] bg-white text-slate-800 font-sans">
+      <div className="bg-blue-600 text-white px-10 py-8 flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className="bg-white/20 p-2 rounded-xl">
+            <Bot size={28} />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold tracking-tight">{t('proposal.title')}</h1>
+            <p className="text-blue-100 text-sm">{t('proposal.tagline')}</p>
+          </div>
+        </div>
+        <div className="text-right text-sm text-blue-100 font-mono">
+          <p>{t('proposal.number', { id: quoteId })}</p>
+          <p>{formatDate(createdAt)}</p>
+        </div>
+      </div>
+
+      <div className="px-10 py-8 space-y-8">
+        <section className="space-y-2">
+          <h2 className="text-xs font-bold text-slate-400 uppercase tracking-wider">{t('proposal.request')}</h2>
+          <p className="text-slate-700 leading-relaxed whitespace-pre-wrap">{userRequest}</p>
+        </section>
+
+        <section className="bg-green-50 p-6 rounded-2xl border border-green-100 space-y-1">
+          <h2 className="font-bold text-green-800">{t('quote.advice')}</h2>
+          <p className="text-green-700 leading-relaxed text-sm">{quoteData.analysis}</p>
+        </section>
+
+        <PriceFormula tiers={quoteData.tiers} />
+
+        <section className="space-y-4">
+          {quoteData.tiers.map((tier, index) => (
+            <div key={index} className="rounded-2xl border-2 border-slate-100 p-6">
+              <div className="flex items-baseline justify-between mb-1">
+                <h3 className="font-bold text-slate-900 text-lg">{tier.name}</h3>
+                <span className="text-2xl font-black text-slate-900">{formatPrice(tier.price)}</span>
+              </div>
+              {tier.desc && <p className="text-sm text-slate-500 mb-4">{tier.desc}</p>}
+              {tier.schedule && (
+                <p className="text-xs text-slate-400 mb-4">
+                  {t('timeline.total', { days: tier.schedule.totalDays })} · {t('timeline.revisions', { count: tier.revisions })}
+                </p>
+              )}
+              <ul className="space-y-2">
+                {tier.features.map((feature, i) => (
+                  <li key={i} className="flex items-start gap-2 text-sm text-slate-600">
+                    <CheckCircle size={16} className="text-blue-500 mt-0.5 shrink-0" />
+                    <span className="leading-snug">{feature}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </section>
+
+        {quoteData.custom && <CustomQuoteSummary custom={quoteData.custom} />}
+
+        {/* 截图可能跨域，导出时只列文字 */}
+        {quoteData.cases?.length > 0 && (
+          <section className="space-y-3">
+            <h2 className="text-xs font-bold text-slate-400 uppercase tracking-wider">{t('cases.title')}</h2>
+            {quoteData.cases.map(item => (
+              <div key={item.id} className="rounded-xl border border-slate-100 p-4">
+                <div className="flex items-baseline justify-between gap-3">
+                  <h3 className="font-bold text-slate-900 text-sm">{item.title}（{item.platform}）</h3>
+                  <span className="text-sm font-mono text-slate-600 shrink-0">{t('cases.finalPrice')} {formatPrice(item.finalPrice)}</span>
+                </div>
+                <p className="text-xs text-slate-500 mt-1 leading-relaxed">{item.description}</p>
+              </div>
+            ))}
+          </section>
+        )}
+
+        {quoteData.notes.length > 0 && (
+          <section className="bg-slate-100 rounded-2xl p-6 space-y-3 border border-slate-200">
+            <div className="flex items-center gap-2 text-slate-800 text-sm font-bold">
+              <ShieldCheck size={16} /> {t('quote.notes')}
+            </div>
+            <ul className="text-sm text-slate-600 space-y-2 list-disc pl-5">
+              {quoteData.notes.map((note, i) => <li key={i}>{note}</li>)}
+            </ul>
+          </section>
+        )}
+      </div>
+
+      <div className="px-10 py-5 border-t border-slate-100 text-center text-xs text-slate-400">
+        {t('proposal.disclaimer')}
+      </div>
+    </div>
+  );
+});
+
+ProposalDocument.displayName = 'ProposalDocument';
+
+export default ProposalDocument;
@@ -0,0 +1,127 @@
+import React, { useRef } from 'react';
+import { AlertTriangle, CheckCircle, ShieldCheck, Bot } from 'lucide-react';
+import PriceFormula from './PriceFormula.jsx';
+import SimilarCases from './SimilarCases.jsx';
+import CustomQuoteSummary from './CustomQuoteSummary.jsx';
+import DeliveryTimeline from './DeliveryTimeline.jsx';
+import { useI18n } from '../i18n/index.jsx';
+import { DEFAULT_PRESENTATION } from '../../shared/experiments.js';
+
+// 档位数随实验变体变化，类名写全才能被 Tailwind 扫描到
+const GRID_COLUMNS = { 1: 'md:grid-cols-1', 2: 'md:grid-cols-2', 3: 'md:grid-cols-3', 4: 'md:grid-cols-4' };
+
+// Step 3 的方案展示，报价页和分享链接页 /q/:id 共用。
+// 推荐哪个档位、推荐标记的文案和价格的显示方式由实验变体决定（presentation），早期保存的方案没有这个字段。
+// onTierHover 在鼠标第一次停到某个档位上时回调，用于埋点。
+// 模型不可用时的粗略估算（estimate）额外标出，并在每个档位下给出参考价格区间
+const QuoteView = ({ quoteData, onTierHover }) => {
+  const { t, formatPrice } = useI18n();
+  const hoveredRef = useRef(new Set());
+  const { recommendedTier, badge, priceDisplay } = quoteData.presentation || DEFAULT_PRESENTATION;
+
+  const handleTierHover = (index) => {
+    if (!onTierHover || hoveredRef.current.has(index)) return;
+    hoveredRef.current.add(index);
+    onTierHover(index);
+  };
+
+  return (
+    <div className="space-y-8 animate-in zoom-in-95 duration-500 max-w-4xl mx-auto">
+
+      {quoteData.estimate && (
+        <div className="bg-amber-50 p-4 rounded-2xl border border-amber-200 flex gap-3 items-start text-sm text-amber-800">
+          <AlertTriangle size={18} className="text-amber-600 mt-0.5 shrink-0" />
+          <div>
+            <span className="font-bold block">{t('quote.estimateTitle')}</span>
+            {t('quote.estimateBody')}
+          </div>
+        </div>
+      )}
+
+      {/* 定价公式展示 */}
+      <PriceFormula tiers={quoteData.tiers} />
+
+      <div className="bg-green-50 p-6 rounded-2xl border border-green-100 flex gap-4 items-start">
+        <div className="bg-green-100 p-2 rounded-full shrink-0 text-green-700 mt-1">
+          <Bot size={20} />
+        </div>
+        <div>
+          <h3 className="font-bold text-green-800 mb-1">{t('quote.advice')}</h3>
+          <p className="text-green-700 leading-relaxed text-sm md:text-base">
+            {quoteData.analysis}
+          </p>
+        </div>
+      </div>
+
+      <div className={`grid grid-cols-1 ${GRID_COLUMNS[quoteData.tiers.length] || 'md:grid-cols-3'} gap-6`}>
+        {quoteData.tiers.map((tier, index) => {
+          const isRecommended = index === recommendedTier;
+          // Z-index bug fix: 推荐卡片保持z-10，但header是z-50，所以不会遮挡header。
+          // 另外，给非推荐卡片设置低层级，避免hover时的层级混乱
+          return (
+            <div key={index} onMouseEnter={() => handleTierHover(index)} className={`relative rounded-2xl border-2 transition-all flex flex-col ${isRecommended
+              ? 'bg-white border-blue-500 shadow-xl shadow-blue-500/10 z-10 scale-[1.02]'
+              : 'bg-white border-slate-100 shadow-md grayscale-[0.1] hover:grayscale-0 z-0'
+              }`}>
+              {isRecommended && (
+                <div className="absolute -top-3 left-1/2 -translate-x-1/2 bg-gradient-to-r from-blue-600 to-blue-500 text-white text-xs font-bold px-4 py-1.5 rounded-full shadow-sm">
+                  {t(`quote.badges.${badge}`)}
+                </div>
+              )}
+              <div className="p-6 flex-1">
+                <div className="mb-4">
+                  <h3 className="font-bold text-slate-900 text-lg">{tier.name}</h3>
+                  <p className="text-xs text-slate-500 mt-1 font-medium bg-slate-100 inline-block px-2 py-1 rounded">{tier.desc}</p>
+                </div>
+                <div className="text-3xl font-black text-slate-900 mb-6 tracking-tight">
+                  {typeof tier.price !== 'number'
+                    ? <span className="text-2xl">{formatPrice(tier.price)}</span>
+                    : priceDisplay === 'from'
+                      ? <>{formatPrice(tier.price)}<span className="text-base font-bold text-slate-400 ml-1">{t('quote.priceFrom')}</span></>
+                      : formatPrice(tier.price)}
+                  {tier.range && tier.range.min !== tier.range.max && (
+                    <p className="text-xs font-medium text-amber-700 mt-1 tracking-normal">
+                      {tier.range.max === null
+                        ? t('quote.rangeFrom', { min: formatPrice(tier.range.min) })
+                        : t('quote.range', { min: formatPrice(tier.range.min), max: formatPrice(tier.range.max) })}
+                    </p>
+                  )}
+                </div>
+                <div className="h-px bg-slate-100 mb-6"></div>
+                <ul className="space-y-3">
+                  {tier.features.map((feature, i) => (
+                    <li key={i} className="flex items-start gap-3 text-sm text-slate-600">
+                      <CheckCircle size={16} className="text-blue-500 mt-0.5 shrink-0" />
+                      <span className="leading-snug">{feature}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )
+        })}
+      </div>
+
+      {quoteData.custom && <CustomQuoteSummary custom={quoteData.custom} />}
+
+      <DeliveryTimeline quoteData={quoteData} />
+
+      {/* 早期保存的方案没有 cases 字段 */}
+      {quoteData.cases?.length > 0 && <SimilarCases cases={quoteData.cases} />}
+
+      <div className="bg-slate-100 rounded-2xl p-6 space-y-3 border border-slate-200">
+        <div className="flex items-center gap-2 text-slate-800 text-sm font-bold uppercase tracking-wide">
+          <ShieldCheck size={16} />
+          {t('quote.notes')}
+        </div>
+        <ul className="text-sm text-slate-600 space-y-2 list-disc pl-5">
+          {quoteData.notes.map((note, i) => (
+            <li key={i} className="pl-1">{note}</li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default QuoteView;
@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from 'react';
+import { Bot, AlertCircle, ChevronRight, Clock } from 'lucide-react';
+import { fetchSharedQuote } from '../api.js';
+import QuoteView from './QuoteView.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import LanguageSwitcher from './LanguageSwitcher.jsx';
+import { useI18n } from '../i18n/index.jsx';
+
+// 分享链接 /q/:id：只读展示当时生成的完整方案
+const SharedQuotePage = ({ quoteId }) => {
+  const { t, formatDate } = useI18n();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchSharedQuote(quoteId)
+      .then(result => !cancelled && setData(result))
+      .catch(err => !cancelled && setError(err.message));
+    return () => { cancelled = true; };
+  }, [quoteId]);
+
+  return (
+    <div className="min-h-screen w-full bg-slate-50 text-slate-800 font-sans selection:bg-blue-200 flex flex-col">
+      <header className="bg-white px-6 py-4 flex items-center justify-between border-b border-gray-100 z-50 sticky top-0 w-full shadow-sm">
+        <div className="flex items-center space-x-2">
+          <div className="bg-blue-600 text-white p-1.5 rounded-lg">
+            <Bot size={20} />
+          </div>
+          <div>
+            <h1 className="font-bold text-lg text-slate-900 tracking-tight">{t('shared.title')}</h1>
+            <p className="text-[10px] text-slate-400">{t('shared.number', { id: quoteId })}</p>
+          </div>
+        </div>
+        <LanguageSwitcher />
+      </header>
+
+      <main className="flex-1 w-full max-w-5xl mx-auto p-4 md:p-8 pb-32 space-y-8">
+        {error && (
+          <div className="max-w-2xl mx-auto mt-10 p-6 bg-white rounded-2xl border border-red-100 text-center space-y-3">
+            <AlertCircle size={28} className="mx-auto text-red-400" />
+            <p className="text-slate-700 font-medium">{error}</p>
+          </div>
+        )}
+
+        {!data && !error && (
+          <div className="flex justify-center items-center h-[60vh]">
+            <div className="w-12 h-12 border-4 border-blue-600 rounded-full animate-spin border-t-transparent"></div>
+          </div>
+        )}
+
+        {data && (
+          <>
+            <section className="max-w-4xl mx-auto bg-white rounded-2xl border border-slate-200 shadow-sm p-6 space-y-4">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <h2 className="text-xl font-bold text-slate-900">{t('shared.request')}</h2>
+                <span className="text-xs text-slate-400 flex items-center gap-1">
+                  <Clock size={12} /> {t('shared.validity', { created: formatDate(data.createdAt), expires: formatDate(data.expiresAt) })}
+                </span>
+              </div>
+              <p className="text-slate-700 whitespace-pre-wrap leading-relaxed">{data.request}</p>
+              <div className="divide-y divide-slate-100 border-t border-slate-100">
+                {(data.qa || []).map((item, i) => (
+                  <div key={i} className="py-3 text-sm">
+                    <p className="text-slate-500">Q{i + 1}. {item.question}</p>
+                    <p className="text-slate-900 font-medium mt-1">{item.answer}</p>
+                  </div>
+                ))}
+              </div>
+            </section>
+
+            <div className="max-w-4xl mx-auto flex justify-end">
+              <ExportMenu quoteData={data.quote} userRequest={data.request} quoteId={data.id} createdAt={data.createdAt} />
+            </div>
+            <QuoteView quoteData={data.quote} />
+          </>
+        )}
+      </main>
+
+      <footer className="bg-white border-t border-slate-100 p-4 md:p-6 z-40 sticky bottom-0">
+        <div className="max-w-4xl mx-auto w-full">
+          <a href="/"
+            className="w-full bg-slate-900 text-white font-bold py-4 rounded-xl shadow-lg hover:bg-slate-800 flex items-center justify-center gap-2 transition-all active:scale-[0.99] text-lg">
+            {t('shared.cta')} <ChevronRight size={20} />
+          </a>
+        </div>
+      </footer>
+    </div>
+  );
+};
+
+export default SharedQuotePage;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { FolderCheck } from 'lucide-react';
+import { useI18n } from '../i18n/index.jsx';
+
+// 方案页的"类似案例"卡片：已交付的相近项目，对应须知里的"参考对标案例"
+const SimilarCases = ({ cases }) => {
+  const { t, formatPrice } = useI18n();
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2 text-slate-800 text-sm font-bold uppercase tracking-wide">
+        <FolderCheck size={16} />
+        {t('cases.title')}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {cases.map(item => (
+          <div key={item.id} className="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden flex flex-col">
+            <div className="p-4 flex-1 flex flex-col gap-2">
+              <div className="flex items-start justify-between gap-2">
+                <h4 className="font-bold text-slate-900 text-sm leading-snug">{item.title}</h4>
+                <span className="text-[10px] font-bold text-blue-600 bg-blue-50 px-2 py-0.5 rounded shrink-0">{item.platform}</span>
+              </div>
+              <p className="text-xs text-slate-500 leading-relaxed flex-1">{item.description}</p>
+              <div className="text-xs text-slate-400">
+                {t('cases.finalPrice')} <span className="font-mono font-bold text-slate-700">{formatPrice(item.finalPrice)}</span>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SimilarCases;
@@ -0,0 +1,221 @@
+// English
+export default {
+  app: {
+    title: 'AI Solution Estimator',
+    subtitle: 'Find the plan that fits your needs',
+    saving: 'Saving...',
+    history: 'My proposals',
+    reset: 'Reset',
+    language: 'Language',
+    pendingSync: '{count} plan(s) waiting to be saved — will retry once online'
+  },
+  resume: {
+    title: 'You have an unfinished estimate',
+    discard: 'Start over',
+    resume: 'Continue'
+  },
+  input: {
+    title: 'What would you like to build?',
+    subtitle: 'Describe your idea briefly and our AI consultant will assess the effort and estimate the cost.',
+    placeholder: 'e.g. A tool that writes social media posts in the style of my favourite blogger, or a bot that delivers digital goods automatically after payment...',
+    count: '{count} / {max} chars',
+    whyTitle: 'Why use the self-service estimate?',
+    whyBody: 'A direct consultation often takes a lot of back-and-forth. With this tool you get a **tailored plan** and a **transparent quote** for your request in about a minute.',
+    start: 'Start estimate'
+  },
+  mode: {
+    wizard: 'Form',
+    chat: 'Chat'
+  },
+  chat: {
+    greeting: 'Hi, I\'m your AI solution consultant. Tell me briefly what you\'d like to build — I\'ll check the details one by one, then give you a plan and a quote.',
+    placeholder: 'Tap an option above or type your own answer...',
+    send: 'Send',
+    retry: 'Try again'
+  },
+  attachments: {
+    title: 'Reference files (optional)',
+    hint: 'Drop or choose screenshots, PDFs or text files — up to {max}, {size}MB each',
+    choose: 'Choose files',
+    uploading: 'Reading...',
+    noSummary: 'Uploaded — a consultant will review it',
+    remove: 'Remove',
+    tooMany: 'You can attach up to {max} files',
+    errors: {
+      unsupported: 'This file type is not supported. Please upload an image, PDF or text file',
+      tooLarge: 'The file is too large. Please compress it and try again',
+      unreadable: 'This file could not be read',
+      upload: 'Upload failed, please try again'
+    }
+  },
+  loading: {
+    screening: 'Checking whether your request is within our scope...',
+    analyzing: 'Analysing how this could be built...',
+    refining: 'Checking whether anything is still missing...',
+    calculating: 'Working out costs and putting your plans together...',
+    pricing: 'Pricing...',
+    cancel: 'Cancel'
+  },
+  questions: {
+    title: 'Confirm the details',
+    followUpTitle: 'A few more details',
+    subtitle: 'We need a bit more information to make sure the plan works for you',
+    followUpSubtitle: 'Based on your answers, we would like to check a few more things',
+    step: 'Step 2 / 3',
+    rounds: ' · round {round}/{max}',
+    confidence: 'Confidence',
+    confirmed: 'Confirmed',
+    other: 'Something else (type it in)',
+    otherPlaceholder: 'Please describe your situation...',
+    answerAll: 'Please answer every question (including any "something else" details) so we can tailor your plan',
+    submit: 'See my tailored plan'
+  },
+  screened: {
+    declinedTitle: 'Sorry, we cannot take on this request',
+    reviewTitle: 'A consultant needs to review this request',
+    declinedBody: 'Thank you for your interest. We only build compliant AI workflows, and the following prevents us from offering a plan:',
+    reviewBody: 'We have recorded your request. For the reasons below an automatic quote may be inaccurate, so a consultant will confirm feasibility before quoting:',
+    contact: 'Contact a consultant',
+    edit: 'Edit my request'
+  },
+  quote: {
+    advice: 'Consultant\'s advice',
+    badges: {
+      recommended: 'Recommended',
+      popular: 'Most popular',
+      value: 'Best value'
+    },
+    priceFrom: 'and up',
+    consult: 'Quote on request',
+    notes: 'Service terms',
+    restart: 'Start again',
+    copy: 'Copy plan and contact us',
+    creatingLink: 'Creating your plan link...',
+    estimateTitle: 'Rough estimate',
+    estimateBody: 'Our AI consultant is unavailable right now. These prices are a rule-based estimate for reference only; a consultant will confirm the details and send a final quote.',
+    range: 'Likely {min} – {max}',
+    rangeFrom: 'From about {min}',
+    queued: 'Your connection dropped, so the plan is kept on this device. It will be saved and get a share link once you are back online.'
+  },
+  timeline: {
+    title: 'Delivery schedule & payment',
+    days: '{days} d',
+    range: 'Day {from}-{to}',
+    day: 'Day {day}',
+    total: 'Estimated delivery in {days} working days',
+    revisions: '{count} revision rounds included',
+    payment: 'Payment',
+    deposit: '{percent}% deposit: {deposit}, balance {balance} after acceptance',
+    full: '{price} in full after acceptance',
+    consult: 'This plan has a large scope; a consultant will confirm the schedule and payment'
+  },
+  formula: {
+    title: 'How the price is built (one-time delivery)',
+    total: 'Fixed price',
+    setup: 'Setup',
+    complexity: 'Nodes / complexity',
+    delivery: 'Testing & delivery',
+    manual: 'Large scope, needs a manual estimate'
+  },
+  cases: {
+    title: 'Similar projects',
+    finalPrice: 'Final price'
+  },
+  custom: {
+    title: 'Customise',
+    hint: 'Start from any plan, drop features you do not need or add extra services',
+    features: 'Features',
+    extras: 'Extra services',
+    price: 'Custom price',
+    deduction: '(features removed -{amount})',
+    saving: 'Saving...',
+    confirm: 'Use this custom plan',
+    summaryTitle: 'Custom plan',
+    basedOn: 'Based on {tier}',
+    included: 'Included features',
+    removed: 'Removed: {features} (-{amount})'
+  },
+  contact: {
+    title: 'Leave your contact details',
+    hint: 'So a consultant can reach out to confirm the details. Any one of these is enough',
+    xianyu: 'Xianyu nickname',
+    wechat: 'WeChat ID',
+    email: 'Email',
+    consent: 'I agree to share these contact details and this proposal with the provider, to be used only to discuss this request with me',
+    submit: 'Submit',
+    submitting: 'Submitting...',
+    thanks: 'Thanks — a consultant will contact you shortly',
+    errors: {
+      empty: 'Please fill in at least one contact method',
+      email: 'Please enter a valid email address',
+      tooLong: 'Contact details are too long',
+      consent: 'Please tick the consent box first',
+      failed: 'Could not submit: '
+    }
+  },
+  export: {
+    button: 'Export',
+    exporting: 'Exporting...',
+    pdf: 'PDF document',
+    png: 'Long image (for chat apps)',
+    failed: 'Export failed. Please try again later or take a screenshot.',
+    filename: 'AI-proposal'
+  },
+  proposal: {
+    title: 'AI Solution Proposal',
+    tagline: 'One-time delivery · Transparent pricing',
+    number: 'No. {id}',
+    request: 'Request',
+    disclaimer: 'This proposal was generated by an AI self-service estimate and is for reference only. The final price is subject to confirmation.'
+  },
+  history: {
+    title: 'My proposals',
+    hint: 'Stored only in this browser',
+    empty: 'No proposals yet',
+    select: 'Select to compare',
+    open: 'Open',
+    delete: 'Delete',
+    back: 'Back to list',
+    compare: 'Compare the two selected plans',
+    pickTwo: 'Select two proposals to compare'
+  },
+  shared: {
+    title: 'AI Solution Proposal',
+    number: 'Proposal {id}',
+    request: 'Request',
+    validity: 'Created {created} · valid until {expires}',
+    cta: 'Get my own estimate'
+  },
+  copy: {
+    greeting: '👋 Hi, I created a plan on your self-service quote page:',
+    request: '📌 Request: {request}...',
+    custom: '💰 My custom plan (based on {tier}): {price}',
+    features: '• Features: {list}',
+    removed: '• Not needed: {list}',
+    extra: '• Extra: {name}',
+    tiers: '💰 The plans I am interested in:',
+    tierTerms: ' (about {days} days, {revisions} revision rounds included)',
+    payment: '💳 Payment ({tier}): {terms}',
+    link: '🔗 Full proposal: {url}',
+    closing: 'Could you let me know if this works?',
+    copiedRedirect: 'Plan copied! Taking you to our support page...',
+    copied: 'Copied! Paste it into a message to us.'
+  },
+  errors: {
+    format: 'Could not read the response, please try again',
+    analyze: 'The network is busy. Please try again or shorten your description.',
+    network: 'The network is busy, please try again.',
+    quote: 'Something went wrong while generating your plan, please try again.',
+    custom: 'Could not save your custom plan, please try again.',
+    rateLimited: 'Too many requests, please try again later.',
+    quota: 'You have used up today\'s estimates. Please come back tomorrow or contact us for a manual quote.',
+    injection: 'Your request contains instructions we cannot process. Please just describe what you want to build.',
+    verification: 'Security check failed, please try again.'
+  },
+  crash: {
+    title: 'Something went wrong',
+    body: 'The AI response could not be displayed. Please reload and start a new estimate. If this keeps happening, contact us directly.',
+    reload: 'Reload page'
+  },
+  listSeparator: ', '
+};
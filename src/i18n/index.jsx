@@ -0,0 +1,72 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { fetchCatalog } from '../api.js';
+import { loadLocale, saveLocale } from '../lib/storage.js';
+import { DEFAULT_CURRENCY, DEFAULT_LOCALE, detectLocale, formatMoney, isLocale } from '../../shared/i18n.js';
+import { CONSULT_PRICE } from '../../shared/pricing.js';
+import zhCN from './zh-CN.js';
+import zhTW from './zh-TW.js';
+import en from './en.js';
+
+// --- 界面多语言 ---
+// 文案按 locale 取自同目录的字典，缺失的条目回退到简体中文。
+// 价格统一以人民币保存，展示时按服务目录里的汇率换算成当前语言对应的币种。
+
+const MESSAGES = { 'zh-CN': zhCN, 'zh-TW': zhTW, en };
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+const createI18n = (locale, currency) => {
+  // t('custom.basedOn', { tier }) 会替换文案中的 {tier}
+  const t = (key, variables = {}) => {
+    const message = lookup(MESSAGES[locale], key) ?? lookup(MESSAGES[DEFAULT_LOCALE], key) ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in variables ? variables[name] : match));
+  };
+
+  return {
+    locale,
+    t,
+    // 数字按币种换算；"咨询报价"是规则引擎给出的固定值，按当前语言展示
+    formatPrice: (price) => {
+      if (typeof price === 'number') return formatMoney(price, locale, currency);
+      return price === CONSULT_PRICE ? t('quote.consult') : price;
+    },
+    formatDate: (value, options = { year: 'numeric', month: 'numeric', day: 'numeric' }) => (
+      value ? new Date(value).toLocaleString(locale, options) : ''
+    ),
+    joinList: (items) => items.join(t('listSeparator'))
+  };
+};
+
+// 没有包在 I18nProvider 里时（如后台的方案预览）按简体中文展示
+const I18nContext = createContext({ ...createI18n(DEFAULT_LOCALE, DEFAULT_CURRENCY), setLocale: () => {} });
+
+// 首次访问按浏览器语言选择，之后以用户手动选择的为准
+const initialLocale = () => {
+  const stored = loadLocale();
+  return isLocale(stored) ? stored : detectLocale(navigator.languages || [navigator.language]);
+};
+
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocale] = useState(initialLocale);
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    saveLocale(locale);
+  }, [locale]);
+
+  // 汇率表可在后台修改，取不到时用内置默认值
+  useEffect(() => {
+    fetchCatalog(locale)
+      .then(catalog => catalog.currency && setCurrency(catalog.currency))
+      .catch(() => {});
+  }, [locale]);
+
+  const value = useMemo(() => ({ ...createI18n(locale, currency), setLocale }), [locale, currency]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => useContext(I18nContext);
+
+export { I18nContext };
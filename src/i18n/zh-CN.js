@@ -0,0 +1,222 @@
+// 简体中文（默认语言）。其他语言缺少的条目会回退到这里。
+export default {
+  app: {
+    title: 'AI 方案自助评估',
+    subtitle: '智能匹配最适合您的方案',
+    saving: '保存中...',
+    history: '我的历史方案',
+    reset: '重置',
+    language: '界面语言',
+    pendingSync: '{count} 份方案待保存，联网后自动重试'
+  },
+  resume: {
+    title: '检测到上次未完成的评估',
+    discard: '重新开始',
+    resume: '继续上次'
+  },
+  input: {
+    title: '您想做一个什么工具？',
+    subtitle: '简单描述您的想法，AI 顾问将为您评估实现难度并预估费用。',
+    placeholder: '例如：我想做一个能模仿我喜欢的博主风格自动写小红书文案的工具；或者想实现闲鱼自动发货机器人...',
+    count: '{count} / {max} 字',
+    whyTitle: '为什么使用自助评估？',
+    whyBody: '直接咨询由于信息不对称，往往需要沟通很久。使用此工具，您只需 1 分钟即可获得针对您需求的**定制方案**和**透明报价**。',
+    start: '开始评估'
+  },
+  mode: {
+    wizard: '表单填写',
+    chat: '对话咨询'
+  },
+  chat: {
+    greeting: '您好，我是 AI 方案顾问。请先简单说说您想做一个什么工具，我会逐个确认细节，再给您方案和报价。',
+    placeholder: '点上面的选项，或直接输入您的回答...',
+    send: '发送',
+    retry: '重新提交'
+  },
+  attachments: {
+    title: '参考资料（可选）',
+    hint: '拖入或选择截图、PDF、文本文件，最多 {max} 个，每个不超过 {size}MB',
+    choose: '选择文件',
+    uploading: '正在读取...',
+    noSummary: '已上传，将由顾问人工查看',
+    remove: '移除',
+    tooMany: '最多上传 {max} 个附件',
+    errors: {
+      unsupported: '不支持这种文件，请上传图片、PDF 或文本文件',
+      tooLarge: '文件太大，请压缩后再上传',
+      unreadable: '无法读取这个文件',
+      upload: '上传失败，请重试'
+    }
+  },
+  loading: {
+    screening: '正在确认需求是否在服务范围内...',
+    analyzing: '正在分析技术实现路径...',
+    refining: '正在根据您的回答确认是否还有遗漏...',
+    calculating: '正在为您精算成本并配置方案...',
+    pricing: '核算中...',
+    cancel: '取消'
+  },
+  questions: {
+    title: '请确认定制细节',
+    followUpTitle: '还需要补充几个细节',
+    subtitle: '为了确保方案可行，我们需要确认以下信息',
+    followUpSubtitle: '根据您的回答，我们想再确认一下',
+    step: 'Step 2 / 3',
+    rounds: ' · {round}/{max} 轮',
+    confidence: '方案把握度',
+    confirmed: '已确认',
+    other: '其他情况 (手动输入)',
+    otherPlaceholder: '请具体描述您的情况...',
+    answerAll: '请先完成所有选项（包括“其他”补充），以便我们为您定制方案',
+    submit: '查看我的定制方案'
+  },
+  screened: {
+    declinedTitle: '抱歉，这个需求我们暂时无法承接',
+    reviewTitle: '这个需求需要顾问人工确认',
+    declinedBody: '感谢您的信任。我们只承接合规的 AI 工作流定制，以下原因让我们无法为这个需求提供方案：',
+    reviewBody: '您的需求我们已经记录下来。由于以下原因，自动报价可能不准确，需要顾问先确认可行性后再为您报价：',
+    contact: '直接联系顾问',
+    edit: '修改需求描述'
+  },
+  quote: {
+    advice: '顾问建议',
+    badges: {
+      recommended: '店长推荐',
+      popular: '最受欢迎',
+      value: '性价比之选'
+    },
+    priceFrom: '起',
+    consult: '咨询报价',
+    notes: '服务保障与须知',
+    restart: '重新评估',
+    copy: '复制方案联系卖家',
+    creatingLink: '正在生成方案链接...',
+    estimateTitle: '粗略估算',
+    estimateBody: 'AI 顾问暂时不可用，以下价格由系统按规则估算，仅供参考，顾问确认需求后会给出正式报价。',
+    range: '参考区间 {min} – {max}',
+    rangeFrom: '参考价 {min} 起',
+    queued: '网络不稳定，方案已暂存在本机，恢复连接后会自动保存并生成分享链接。'
+  },
+  timeline: {
+    title: '交付排期与付款',
+    days: '{days} 天',
+    range: '第 {from}-{to} 天',
+    day: '第 {day} 天',
+    total: '预计 {days} 个工作日交付',
+    revisions: '含 {count} 轮修改',
+    payment: '付款方式',
+    deposit: '定金 {percent}%：{deposit}，验收后尾款 {balance}',
+    full: '验收后一次付清 {price}',
+    consult: '该档位工作量较大，排期和付款方式由顾问确认'
+  },
+  formula: {
+    title: '报价构成逻辑（一次性交付）',
+    total: '一口价',
+    setup: '搭建费',
+    complexity: '节点/复杂度',
+    delivery: '调试与交付',
+    manual: '工作量较大，需人工评估'
+  },
+  cases: {
+    title: '类似案例',
+    finalPrice: '成交价'
+  },
+  custom: {
+    title: '按需定制',
+    hint: '从任一档位出发，去掉不需要的功能或加购服务',
+    features: '功能',
+    extras: '附加服务',
+    price: '定制价格',
+    deduction: '（去掉功能 -{amount}）',
+    saving: '正在保存...',
+    confirm: '使用这个定制方案',
+    summaryTitle: '客户定制方案',
+    basedOn: '基于{tier}',
+    included: '包含功能',
+    removed: '已去掉：{features}（-{amount}）'
+  },
+  contact: {
+    title: '留下联系方式',
+    hint: '方便顾问主动联系您确认细节，填写任意一项即可',
+    xianyu: '闲鱼昵称',
+    wechat: '微信号',
+    email: '邮箱',
+    consent: '我同意将以上联系方式和本次方案提供给服务方，仅用于就本需求与我沟通',
+    submit: '提交',
+    submitting: '提交中...',
+    thanks: '已收到您的联系方式，顾问会尽快与您联系',
+    errors: {
+      empty: '请至少填写一种联系方式',
+      email: '邮箱格式不正确',
+      tooLong: '联系方式太长了',
+      consent: '请先勾选同意',
+      failed: '提交失败：'
+    }
+  },
+  export: {
+    button: '导出方案',
+    exporting: '正在导出...',
+    pdf: 'PDF 文档',
+    png: '长图（适合聊天转发）',
+    failed: '导出失败，请稍后重试或直接截图保存。',
+    filename: 'AI定制方案'
+  },
+  proposal: {
+    title: 'AI 定制方案',
+    tagline: '一次性交付 · 透明报价',
+    number: '编号 {id}',
+    request: '需求概述',
+    disclaimer: '本方案由 AI 自助评估生成，仅供参考，最终价格以沟通确认为准'
+  },
+  history: {
+    title: '我的历史方案',
+    hint: '仅保存在当前设备的浏览器中',
+    empty: '还没有生成过方案',
+    select: '选择对比',
+    open: '打开',
+    delete: '删除',
+    back: '返回列表',
+    compare: '对比选中的两个方案',
+    pickTwo: '勾选两个方案进行对比'
+  },
+  shared: {
+    title: 'AI 定制方案',
+    number: '方案编号 {id}',
+    request: '客户需求',
+    validity: '{created} 生成 · 有效期至 {expires}',
+    cta: '我也要评估一个方案'
+  },
+  copy: {
+    greeting: '👋 您好，我在您的【自助报价页】生成了一个方案：',
+    request: '📌 需求：{request}...',
+    custom: '💰 我定制的方案（基于{tier}）：{price}',
+    features: '• 功能：{list}',
+    removed: '• 不需要：{list}',
+    extra: '• 加购：{name}',
+    tiers: '💰 我比较感兴趣的方案：',
+    tierTerms: '（约 {days} 天交付，含 {revisions} 轮修改）',
+    payment: '💳 付款（{tier}）：{terms}',
+    link: '🔗 完整方案：{url}',
+    closing: '麻烦您看一下能不能做？',
+    copiedRedirect: '方案已复制！正在为您跳转到客服页面...',
+    copied: '已复制！请直接粘贴发送给卖家客服。'
+  },
+  errors: {
+    format: '格式解析失败，请重试',
+    analyze: '网络有点拥堵，请重试或简化描述。',
+    network: '网络有点拥堵，请重试。',
+    quote: '生成方案时遇到问题，请重试。',
+    custom: '保存定制方案失败，请重试。',
+    rateLimited: '操作太频繁了，请稍后再试。',
+    quota: '今天的评估次数已用完，请明天再来，或直接联系卖家人工报价。',
+    injection: '需求里包含我们无法处理的指令，请只描述您想实现的功能。',
+    verification: '安全验证未通过，请重试。'
+  },
+  crash: {
+    title: '页面出了点问题',
+    body: 'AI 返回的内容暂时无法展示，请刷新后重新评估。如果反复出现，请直接联系卖家客服。',
+    reload: '刷新页面'
+  },
+  // 列表连接符，如"功能A、功能B"
+  listSeparator: '、'
+};
@@ -0,0 +1,221 @@
+// 繁體中文
+export default {
+  app: {
+    title: 'AI 方案自助評估',
+    subtitle: '智慧匹配最適合您的方案',
+    saving: '儲存中...',
+    history: '我的歷史方案',
+    reset: '重設',
+    language: '介面語言',
+    pendingSync: '{count} 份方案待儲存，連網後自動重試'
+  },
+  resume: {
+    title: '偵測到上次未完成的評估',
+    discard: '重新開始',
+    resume: '繼續上次'
+  },
+  input: {
+    title: '您想做一個什麼工具？',
+    subtitle: '簡單描述您的想法，AI 顧問將為您評估實現難度並預估費用。',
+    placeholder: '例如：我想做一個能模仿我喜歡的博主風格自動寫社群貼文的工具；或者想實現二手平台自動發貨機器人...',
+    count: '{count} / {max} 字',
+    whyTitle: '為什麼使用自助評估？',
+    whyBody: '直接諮詢由於資訊不對稱，往往需要溝通很久。使用此工具，您只需 1 分鐘即可獲得針對您需求的**客製方案**和**透明報價**。',
+    start: '開始評估'
+  },
+  mode: {
+    wizard: '表單填寫',
+    chat: '對話諮詢'
+  },
+  chat: {
+    greeting: '您好，我是 AI 方案顧問。請先簡單說說您想做一個什麼工具，我會逐一確認細節，再給您方案和報價。',
+    placeholder: '點上面的選項，或直接輸入您的回答...',
+    send: '傳送',
+    retry: '重新提交'
+  },
+  attachments: {
+    title: '參考資料（可選）',
+    hint: '拖入或選擇截圖、PDF、文字檔，最多 {max} 個，每個不超過 {size}MB',
+    choose: '選擇檔案',
+    uploading: '正在讀取...',
+    noSummary: '已上傳，將由顧問人工查看',
+    remove: '移除',
+    tooMany: '最多上傳 {max} 個附件',
+    errors: {
+      unsupported: '不支援這種檔案，請上傳圖片、PDF 或文字檔',
+      tooLarge: '檔案太大，請壓縮後再上傳',
+      unreadable: '無法讀取這個檔案',
+      upload: '上傳失敗，請重試'
+    }
+  },
+  loading: {
+    screening: '正在確認需求是否在服務範圍內...',
+    analyzing: '正在分析技術實現路徑...',
+    refining: '正在根據您的回答確認是否還有遺漏...',
+    calculating: '正在為您精算成本並配置方案...',
+    pricing: '核算中...',
+    cancel: '取消'
+  },
+  questions: {
+    title: '請確認客製細節',
+    followUpTitle: '還需要補充幾個細節',
+    subtitle: '為了確保方案可行，我們需要確認以下資訊',
+    followUpSubtitle: '根據您的回答，我們想再確認一下',
+    step: 'Step 2 / 3',
+    rounds: ' · {round}/{max} 輪',
+    confidence: '方案把握度',
+    confirmed: '已確認',
+    other: '其他情況 (手動輸入)',
+    otherPlaceholder: '請具體描述您的情況...',
+    answerAll: '請先完成所有選項（包括「其他」補充），以便我們為您客製方案',
+    submit: '查看我的客製方案'
+  },
+  screened: {
+    declinedTitle: '抱歉，這個需求我們暫時無法承接',
+    reviewTitle: '這個需求需要顧問人工確認',
+    declinedBody: '感謝您的信任。我們只承接合規的 AI 工作流客製，以下原因讓我們無法為這個需求提供方案：',
+    reviewBody: '您的需求我們已經記錄下來。由於以下原因，自動報價可能不準確，需要顧問先確認可行性後再為您報價：',
+    contact: '直接聯絡顧問',
+    edit: '修改需求描述'
+  },
+  quote: {
+    advice: '顧問建議',
+    badges: {
+      recommended: '店長推薦',
+      popular: '最受歡迎',
+      value: '超值之選'
+    },
+    priceFrom: '起',
+    consult: '諮詢報價',
+    notes: '服務保障與須知',
+    restart: '重新評估',
+    copy: '複製方案聯絡賣家',
+    creatingLink: '正在產生方案連結...',
+    estimateTitle: '粗略估算',
+    estimateBody: 'AI 顧問暫時無法使用，以下價格由系統按規則估算，僅供參考，顧問確認需求後會給出正式報價。',
+    range: '參考區間 {min} – {max}',
+    rangeFrom: '參考價 {min} 起',
+    queued: '網路不穩定，方案已暫存在本機，恢復連線後會自動儲存並產生分享連結。'
+  },
+  timeline: {
+    title: '交付排程與付款',
+    days: '{days} 天',
+    range: '第 {from}-{to} 天',
+    day: '第 {day} 天',
+    total: '預計 {days} 個工作天交付',
+    revisions: '含 {count} 輪修改',
+    payment: '付款方式',
+    deposit: '訂金 {percent}%：{deposit}，驗收後尾款 {balance}',
+    full: '驗收後一次付清 {price}',
+    consult: '此方案工作量較大，排程與付款方式由顧問確認'
+  },
+  formula: {
+    title: '報價構成邏輯（一次性交付）',
+    total: '一口價',
+    setup: '搭建費',
+    complexity: '節點/複雜度',
+    delivery: '調試與交付',
+    manual: '工作量較大，需人工評估'
+  },
+  cases: {
+    title: '類似案例',
+    finalPrice: '成交價'
+  },
+  custom: {
+    title: '按需客製',
+    hint: '從任一檔位出發，去掉不需要的功能或加購服務',
+    features: '功能',
+    extras: '附加服務',
+    price: '客製價格',
+    deduction: '（去掉功能 -{amount}）',
+    saving: '正在儲存...',
+    confirm: '使用這個客製方案',
+    summaryTitle: '客戶客製方案',
+    basedOn: '基於{tier}',
+    included: '包含功能',
+    removed: '已去掉：{features}（-{amount}）'
+  },
+  contact: {
+    title: '留下聯絡方式',
+    hint: '方便顧問主動聯絡您確認細節，填寫任意一項即可',
+    xianyu: '閒魚暱稱',
+    wechat: '微信號',
+    email: '電子郵件',
+    consent: '我同意將以上聯絡方式和本次方案提供給服務方，僅用於就本需求與我溝通',
+    submit: '提交',
+    submitting: '提交中...',
+    thanks: '已收到您的聯絡方式，顧問會盡快與您聯絡',
+    errors: {
+      empty: '請至少填寫一種聯絡方式',
+      email: '電子郵件格式不正確',
+      tooLong: '聯絡方式太長了',
+      consent: '請先勾選同意',
+      failed: '提交失敗：'
+    }
+  },
+  export: {
+    button: '匯出方案',
+    exporting: '正在匯出...',
+    pdf: 'PDF 文件',
+    png: '長圖（適合聊天轉發）',
+    failed: '匯出失敗，請稍後重試或直接截圖保存。',
+    filename: 'AI客製方案'
+  },
+  proposal: {
+    title: 'AI 客製方案',
+    tagline: '一次性交付 · 透明報價',
+    number: '編號 {id}',
+    request: '需求概述',
+    disclaimer: '本方案由 AI 自助評估產生，僅供參考，最終價格以溝通確認為準'
+  },
+  history: {
+    title: '我的歷史方案',
+    hint: '僅保存在目前裝置的瀏覽器中',
+    empty: '還沒有產生過方案',
+    select: '選擇對比',
+    open: '開啟',
+    delete: '刪除',
+    back: '返回列表',
+    compare: '對比選中的兩個方案',
+    pickTwo: '勾選兩個方案進行對比'
+  },
+  shared: {
+    title: 'AI 客製方案',
+    number: '方案編號 {id}',
+    request: '客戶需求',
+    validity: '{created} 產生 · 有效期至 {expires}',
+    cta: '我也要評估一個方案'
+  },
+  copy: {
+    greeting: '👋 您好，我在您的【自助報價頁】產生了一個方案：',
+    request: '📌 需求：{request}...',
+    custom: '💰 我客製的方案（基於{tier}）：{price}',
+    features: '• 功能：{list}',
+    removed: '• 不需要：{list}',
+    extra: '• 加購：{name}',
+    tiers: '💰 我比較感興趣的方案：',
+    tierTerms: '（約 {days} 天交付，含 {revisions} 輪修改）',
+    payment: '💳 付款（{tier}）：{terms}',
+    link: '🔗 完整方案：{url}',
+    closing: '麻煩您看一下能不能做？',
+    copiedRedirect: '方案已複製！正在為您跳轉到客服頁面...',
+    copied: '已複製！請直接貼上發送給賣家客服。'
+  },
+  errors: {
+    format: '格式解析失敗，請重試',
+    analyze: '網路有點擁擠，請重試或簡化描述。',
+    network: '網路有點擁擠，請重試。',
+    quote: '產生方案時遇到問題，請重試。',
+    custom: '儲存客製方案失敗，請重試。',
+    rateLimited: '操作太頻繁了，請稍後再試。',
+    quota: '今天的評估次數已用完，請明天再來，或直接聯絡賣家人工報價。',
+    injection: '需求裡包含我們無法處理的指令，請只描述您想實現的功能。',
+    verification: '安全驗證未通過，請重試。'
+  },
+  crash: {
+    title: '頁面出了點問題',
+    body: 'AI 回傳的內容暫時無法顯示，請重新整理後重新評估。如果反覆出現，請直接聯絡賣家客服。',
+    reload: '重新整理頁面'
+  },
+  listSeparator: '、'
+};
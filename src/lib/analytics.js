@@ -0,0 +1,48 @@
+// --- 埋点上报 ---
+// 事件先攒在内存里，几秒一批发到自己的 /api/events，页面隐藏或关闭时立即发出。
+// 不接入任何第三方统计；上报失败直接丢弃，不影响客户使用。事件定义见 shared/analytics.js。
+import { requestJson } from '../api.js';
+import { MAX_EVENT_BATCH } from '../../shared/analytics.js';
+
+const SESSION_KEY = 'xq_analytics_session';
+const FLUSH_DELAY_MS = 5000;
+
+let queue = [];
+let timer = null;
+
+// 每个标签页一次访问算一个会话，漏斗按会话统计
+const getSessionId = () => {
+  let id = sessionStorage.getItem(SESSION_KEY);
+  if (!id) {
+    id = crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    sessionStorage.setItem(SESSION_KEY, id);
+  }
+  return id;
+};
+
+const flush = () => {
+  clearTimeout(timer);
+  timer = null;
+  if (queue.length === 0) return;
+
+  const events = queue.splice(0, MAX_EVENT_BATCH);
+  // keepalive 保证页面关闭时请求仍能发出；界面语言由 I18nProvider 写在 <html lang> 上
+  requestJson('/api/events', {
+    body: { sessionId: getSessionId(), locale: document.documentElement.lang || null, events },
+    keepalive: true
+  }).catch(() => {});
+  if (queue.length > 0) flush();
+};
+
+export const track = (name, props = {}) => {
+  queue.push({ name, props, at: Date.now() });
+  if (queue.length >= MAX_EVENT_BATCH) flush();
+  else if (!timer) timer = setTimeout(flush, FLUSH_DELAY_MS);
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', flush);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+}
@@ -0,0 +1,88 @@
+// --- 附件读取 ---
+// 在浏览器里把客户选的文件整理成上传格式：文本直接读取，PDF 用 pdf.js 提取文字，
+// 图片缩小到适合模型识别的尺寸。原文件（图片为缩小后的版本）以 base64 一并上传存档。
+import { MAX_ATTACHMENT_BYTES, MAX_ATTACHMENT_TEXT, attachmentKind } from '../../shared/attachments.js';
+
+// 图片最长边，足够看清截图里的文字
+const MAX_IMAGE_SIDE = 1600;
+const IMAGE_QUALITY = 0.85;
+
+// PDF 只读前几页，长文档的开头通常已经能说明问题
+const MAX_PDF_PAGES = 20;
+
+// code 用于前端显示对应语言的提示：unsupported / tooLarge / unreadable
+const attachmentError = (code) => {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+};
+
+const toBase64 = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+  reader.onerror = () => reject(attachmentError('unreadable'));
+  reader.readAsDataURL(blob);
+});
+
+// 已经够小的图片原样上传，否则缩放后转成 JPEG
+const shrinkImage = async (file) => {
+  const bitmap = await createImageBitmap(file).catch(() => {
+    throw attachmentError('unreadable');
+  });
+  const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(bitmap.width, bitmap.height));
+  if (scale === 1 && file.size <= MAX_ATTACHMENT_BYTES / 5) return file;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', IMAGE_QUALITY));
+};
+
+// pdf.js 体积较大，选了 PDF 才加载
+const extractPdfText = async (file) => {
+  const [pdfjs, { default: workerSrc }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  const pages = [];
+  for (let number = 1; number <= Math.min(pdf.numPages, MAX_PDF_PAGES); number++) {
+    const content = await (await pdf.getPage(number)).getTextContent();
+    pages.push(content.items.map(item => item.str).join(' '));
+    if (pages.join('\n').length >= MAX_ATTACHMENT_TEXT) break;
+  }
+  return pages.join('\n');
+};
+
+const readText = async (file, kind) => {
+  try {
+    return kind === 'pdf' ? await extractPdfText(file) : await file.text();
+  } catch (e) {
+    console.error("读取附件失败:", e);
+    throw attachmentError('unreadable');
+  }
+};
+
+// 返回 uploadAttachment 需要的 { name, type, data, text }
+export const readAttachment = async (file) => {
+  const kind = attachmentKind(file);
+  if (!kind) throw attachmentError('unsupported');
+
+  if (kind === 'image') {
+    const image = await shrinkImage(file);
+    if (image.size > MAX_ATTACHMENT_BYTES) throw attachmentError('tooLarge');
+    return { name: file.name, type: image.type, data: await toBase64(image), text: '' };
+  }
+
+  if (file.size > MAX_ATTACHMENT_BYTES) throw attachmentError('tooLarge');
+  const text = await readText(file, kind);
+  return {
+    name: file.name,
+    type: file.type || (kind === 'pdf' ? 'application/pdf' : 'text/plain'),
+    data: await toBase64(file),
+    text: text.slice(0, MAX_ATTACHMENT_TEXT)
+  };
+};
@@ -0,0 +1,43 @@
+// --- 方案导出 ---
+// 全部在浏览器里完成：html-to-image 把方案文档渲染成图片，jsPDF 再分页写入 A4 PDF。
+// 两个库体积较大，点击导出时才按需加载。
+
+const PIXEL_RATIO = 2;
+
+const download = (href, filename) => {
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+const renderToCanvas = async (node) => {
+  const { toCanvas } = await import('html-to-image');
+  return toCanvas(node, { pixelRatio: PIXEL_RATIO, backgroundColor: '#ffffff' });
+};
+
+// 长图：适合直接转发到聊天软件
+export const exportPng = async (node, filename) => {
+  const canvas = await renderToCanvas(node);
+  download(canvas.toDataURL('image/png'), `${filename}.png`);
+};
+
+// PDF：按 A4 宽度缩放，超出一页的部分依次切到下一页
+export const exportPdf = async (node, filename) => {
+  const [canvas, { jsPDF }] = await Promise.all([renderToCanvas(node), import('jspdf')]);
+
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'portrait' });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const imageHeight = canvas.height * pageWidth / canvas.width;
+  const image = canvas.toDataURL('image/jpeg', 0.92);
+
+  for (let offset = 0; offset < imageHeight; offset += pageHeight) {
+    if (offset > 0) pdf.addPage();
+    pdf.addImage(image, 'JPEG', 0, -offset, pageWidth, imageHeight);
+  }
+
+  pdf.save(`${filename}.pdf`);
+};
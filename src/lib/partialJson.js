@@ -0,0 +1,68 @@
+// --- 增量 JSON 解析 ---
+// 模型流式输出时 JSON 还没写完，这里从半截文本中取出已经完整的对象，
+// 让问题卡片、方案卡片可以逐个出现。
+
+// 从 start（必须是 "{"）开始扫描，返回对象结束后的位置；对象未写完返回 -1
+const scanObject = (text, start) => {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+};
+
+const findValueStart = (text, key, opener) => {
+  const match = new RegExp(`"${key}"\\s*:\\s*\\${opener}`).exec(text);
+  return match ? match.index + match[0].length - 1 : -1;
+};
+
+const tryParse = (json) => {
+  try {
+    return JSON.parse(json);
+  } catch {
+    return undefined;
+  }
+};
+
+// 返回数组 key 中已经完整输出的对象
+export const extractCompleteItems = (text, key) => {
+  const items = [];
+  const arrayStart = findValueStart(text, key, '[');
+  if (arrayStart === -1) return items;
+
+  let i = arrayStart + 1;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === ']') break;
+    if (char !== '{') {
+      i++;
+      continue;
+    }
+    const end = scanObject(text, i);
+    if (end === -1) break;
+    const item = tryParse(text.slice(i, end));
+    if (item !== undefined) items.push(item);
+    i = end;
+  }
+  return items;
+};
+
+// 返回对象 key 的值，尚未写完时返回 undefined
+export const extractCompleteObject = (text, key) => {
+  const start = findValueStart(text, key, '{');
+  if (start === -1) return undefined;
+  const end = scanObject(text, start);
+  return end === -1 ? undefined : tryParse(text.slice(start, end));
+};
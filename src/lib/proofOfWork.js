@@ -0,0 +1,27 @@
+// --- 人机验证：工作量证明 ---
+// 题目格式见 shared/abuse.js。逐个尝试 nonce，直到 SHA-256 摘要开头有足够多的 0；
+// 默认难度下平均要算几万次，一两秒内完成。signal 用于客户点取消时停下。
+// 非 HTTPS 页面没有 crypto.subtle，改用纯 JS 实现，慢几倍但仍能解出；正式部署仍建议用 HTTPS。
+import { leadingZeroBits, proofInput } from '../../shared/abuse.js';
+import { sha256 } from './sha256.js';
+
+// 每算这么多次让出一下主线程，避免页面卡住
+const BATCH_SIZE = 500;
+
+const digestOf = globalThis.crypto?.subtle
+  ? async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))
+  : sha256;
+
+export const solveChallenge = async ({ challenge, difficulty }, signal) => {
+  const encoder = new TextEncoder();
+  for (let nonce = 0; ; nonce++) {
+    if (nonce % BATCH_SIZE === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      signal?.throwIfAborted();
+    }
+    const digest = await digestOf(encoder.encode(proofInput(challenge, nonce)));
+    if (leadingZeroBits(digest) >= difficulty) {
+      return proofInput(challenge, nonce);
+    }
+  }
+};
@@ -0,0 +1,112 @@
+// --- 本地持久化 ---
+// 进行中的评估、历史方案、待保存的线索、界面语言和访客 ID 都只存在本机 localStorage，刷新或内置浏览器重载后可以恢复。
+
+const SESSION_KEY = 'xq_session_v1';
+const HISTORY_KEY = 'xq_history_v1';
+const LOCALE_KEY = 'xq_locale';
+const VISITOR_KEY = 'xq_visitor';
+const LEAD_QUEUE_KEY = 'xq_lead_queue_v1';
+const MAX_HISTORY = 20;
+const MAX_QUEUED_LEADS = 20;
+
+// 刷新时正在请求中的步骤无法继续，退回到请求前的步骤
+const RESUMABLE_STEP = {
+  screening: 'input',
+  analyzing: 'input',
+  refining: 'questions',
+  calculating: 'questions'
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    // 隐私模式或空间已满时静默失败，不影响主流程
+    console.warn("localStorage 写入失败:", e);
+  }
+};
+
+// --- 进行中的会话 ---
+
+export const loadSession = () => {
+  const session = readJson(SESSION_KEY, null);
+  if (!session || (!session.userRequest && session.step === 'input')) return null;
+  return { ...session, step: RESUMABLE_STEP[session.step] || session.step };
+};
+
+export const saveSession = (session) => writeJson(SESSION_KEY, { ...session, savedAt: Date.now() });
+
+export const clearSession = () => localStorage.removeItem(SESSION_KEY);
+
+// --- 历史方案 ---
+
+export const loadHistory = () => readJson(HISTORY_KEY, []);
+
+// 新方案插到最前面，超出上限的旧方案丢弃；返回新的列表
+export const addToHistory = (entry) => {
+  const history = [entry, ...loadHistory().filter(item => item.id !== entry.id)].slice(0, MAX_HISTORY);
+  writeJson(HISTORY_KEY, history);
+  return history;
+};
+
+export const updateHistory = (id, fields) => {
+  const history = loadHistory().map(item => (item.id === id ? { ...item, ...fields } : item));
+  writeJson(HISTORY_KEY, history);
+  return history;
+};
+
+export const removeFromHistory = (id) => {
+  const history = loadHistory().filter(item => item.id !== id);
+  writeJson(HISTORY_KEY, history);
+  return history;
+};
+
+// --- 待保存的线索 ---
+// 保存线索失败（连不上服务端或服务端暂时出错）时先暂存在本机，之后按顺序重试。
+// id 与历史方案的 id 相同，保存成功后据此回填分享链接；lead 为 saveLead 的参数
+
+export const loadLeadQueue = () => readJson(LEAD_QUEUE_KEY, []);
+
+// 同一份方案只留最新的一条，超出上限时丢弃最早的；返回新的队列
+export const enqueueLead = (item) => {
+  const queue = [...loadLeadQueue().filter(entry => entry.id !== item.id), { ...item, queuedAt: Date.now() }]
+    .slice(-MAX_QUEUED_LEADS);
+  writeJson(LEAD_QUEUE_KEY, queue);
+  return queue;
+};
+
+export const removeQueuedLead = (id) => {
+  const queue = loadLeadQueue().filter(entry => entry.id !== id);
+  writeJson(LEAD_QUEUE_KEY, queue);
+  return queue;
+};
+
+// --- 界面语言 ---
+
+export const loadLocale = () => readJson(LOCALE_KEY, null);
+
+export const saveLocale = (locale) => writeJson(LOCALE_KEY, locale);
+
+// --- 访客 ID ---
+// 随机生成，只用于 A/B 实验分组，同一浏览器始终看到同一个变体。存不下时退化为每次访问一个新 ID
+
+let visitorId = null;
+
+export const getVisitorId = () => {
+  if (!visitorId) {
+    visitorId = readJson(VISITOR_KEY, null)
+      || crypto.randomUUID?.()
+      || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    writeJson(VISITOR_KEY, visitorId);
+  }
+  return visitorId;
+};
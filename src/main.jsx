@@ -1,10 +1,39 @@
-import { StrictMode } from 'react'
+import { StrictMode, Suspense, lazy } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import ErrorBoundary from './components/ErrorBoundary.jsx'
+import SharedQuotePage from './components/SharedQuotePage.jsx'
+import { I18nProvider } from './i18n/index.jsx'
+
+// 后台页面按需加载，不影响客户端首屏体积
+const AdminApp = lazy(() => import('./admin/AdminApp.jsx'))
+
+// 简单的路径路由：/admin 后台，/q/:id 分享的方案，其余为自助评估
+const renderPage = () => {
+    const { pathname } = window.location
+    // 后台只有简体中文界面，不加载多语言
+    if (pathname.startsWith('/admin')) {
+        return (
+            <ErrorBoundary>
+                <Suspense fallback={null}>
+                    <AdminApp />
+                </Suspense>
+            </ErrorBoundary>
+        )
+    }
+    const shared = pathname.match(/^\/q\/([A-Za-z0-9]+)\/?$/)
+    return (
+        <I18nProvider>
+            <ErrorBoundary>
+                {shared ? <SharedQuotePage quoteId={shared[1]} /> : <App />}
+            </ErrorBoundary>
+        </I18nProvider>
+    )
+}
 
 createRoot(document.getElementById('root')).render(
     <StrictMode>
-        <App />
+        {renderPage()}
     </StrictMode>,
 )
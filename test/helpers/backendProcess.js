@@ -0,0 +1,45 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { providersFor, recording, startFakeOpenAI } from './fakeOpenAI.js';
+
+// --- 界面测试用的后端进程 ---
+// jsdom 环境换掉了全局的 AbortSignal（没有 AbortSignal.any），服务端代码在里面跑不起来，
+// 所以假模型服务和 API 服务放在单独的 Node 进程里，由 testServer.js 的 startBackendProcess 启动。
+// 父进程通过 IPC 发 { type: 'enqueue', recordings } / { type: 'reset' }，每条消息回一个 ack。
+const fake = await startFakeOpenAI();
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quote-ui-test-'));
+
+Object.assign(process.env, {
+  LLM_PROVIDERS: providersFor(fake),
+  LLM_MAX_RETRIES: '1',
+  DATA_DIR: dataDir,
+  NOCODB_BASE_URL: '',
+  NOCODB_TABLE_ID: '',
+  NOCODB_API_TOKEN: '',
+  WEBHOOKS: '',
+  RATE_LIMIT_MAX: '1000',
+  // 每日额度和人机验证另有专门的测试
+  DAILY_QUOTA_PER_IP: '0',
+  DAILY_QUOTA_PER_DEVICE: '0',
+  POW_FREE_QUOTES: '1000',
+  ...JSON.parse(process.argv[2] || '{}')
+});
+
+const { createServer } = await import('../../server/app.js');
+const server = createServer();
+server.listen(0, '127.0.0.1', () => {
+  process.send({ type: 'ready', url: `http://127.0.0.1:${server.address().port}` });
+});
+
+process.on('message', (message) => {
+  if (message.type === 'enqueue') fake.enqueue(...message.recordings.map(recording));
+  if (message.type === 'reset') fake.reset();
+  process.send({ type: 'ack', pending: fake.pending() });
+});
+
+// 父进程退出或断开时一起退出
+process.on('disconnect', () => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  process.exit(0);
+});
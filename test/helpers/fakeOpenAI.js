@@ -0,0 +1,69 @@
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const RECORDINGS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/recordings');
+
+// 读取录制好的模型输出，name 不带扩展名，例如 'quote.fenced'
+export const recording = (name) => fs.readFileSync(path.join(RECORDINGS_DIR, `${name}.txt`), 'utf8');
+
+// 流式输出时每段的长度，足够小才能覆盖"JSON 被截断在半路"的情况
+const CHUNK_SIZE = 16;
+
+// --- 假的 OpenAI 兼容服务 ---
+// 按顺序回放 enqueue 进来的输出：字符串为模型正文，{ status, body } 为接口报错。
+// 队列空了返回 500，测试里多调用了一次模型会直接暴露出来。
+// requests 记录收到的每个请求体，用来检查提示词和重试时带上的修正说明。
+export const startFakeOpenAI = async () => {
+  const queue = [];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push(body);
+
+      const next = queue.shift();
+      if (next === undefined || typeof next === 'object') {
+        res.writeHead(next?.status || 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(next?.body || { error: { message: 'no recorded response left' } }));
+        return;
+      }
+
+      if (!body.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: next } }] }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (let i = 0; i < next.length; i += CHUNK_SIZE) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: next.slice(i, i + CHUNK_SIZE) } }] })}\n\n`);
+      }
+      res.end('data: [DONE]\n\n');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    enqueue: (...responses) => queue.push(...responses),
+    // 每个测试开始前清空，避免上一个测试剩下的输出串到下一个
+    reset: () => {
+      queue.length = 0;
+      requests.length = 0;
+    },
+    pending: () => queue.length,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+// 指向假服务的 LLM_PROVIDERS，服务端模块在导入时读取
+export const providersFor = (fake, overrides = {}) => JSON.stringify([
+  { type: 'openai', apiUrl: fake.url, apiKey: 'test-key', model: 'fake-model', ...overrides }
+]);
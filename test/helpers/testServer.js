@@ -0,0 +1,92 @@
+import { fork } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { vi } from 'vitest';
+import { providersFor } from './fakeOpenAI.js';
+
+// --- 指向假模型服务的服务端环境 ---
+// 服务端配置在导入时读取环境变量，所以先设好环境再动态导入。
+// 不配置 NocoDB 和通知地址，数据目录用临时目录，测试之间互不影响。返回清理函数。
+export const stubServerEnv = (fake, env = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quote-test-'));
+  const defaults = {
+    LLM_PROVIDERS: providersFor(fake),
+    LLM_MAX_RETRIES: '1',
+    DATA_DIR: dataDir,
+    NOCODB_BASE_URL: '',
+    NOCODB_TABLE_ID: '',
+    NOCODB_API_TOKEN: '',
+    WEBHOOKS: '',
+    RATE_LIMIT_MAX: '1000',
+    // 每日额度和人机验证另有专门的测试
+    DAILY_QUOTA_PER_IP: '0',
+    DAILY_QUOTA_PER_DEVICE: '0',
+    POW_FREE_QUOTES: '1000'
+  };
+  Object.entries({ ...defaults, ...env }).forEach(([key, value]) => vi.stubEnv(key, value));
+
+  return () => {
+    vi.unstubAllEnvs();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+};
+
+export const startTestServer = async (fake, env = {}) => {
+  const restoreEnv = stubServerEnv(fake, env);
+  const { createServer } = await import('../../server/app.js');
+  const server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: async () => {
+      await new Promise(resolve => server.close(resolve));
+      restoreEnv();
+    }
+  };
+};
+
+// 读完一个 SSE 响应，返回 [{ event, data }]，data 已解析成对象
+export const readEventStream = async (response) => {
+  const { createSseParser } = await import('../../shared/sse.js');
+  const events = [];
+  createSseParser(({ event, data }) => events.push({ event, data: JSON.parse(data) }))(await response.text());
+  return events;
+};
+
+// 在子进程里启动假模型服务和 API 服务（见 backendProcess.js），供 jsdom 环境的界面测试使用。
+// enqueue 传录制文件名，例如 enqueue('questions.good', 'quote.good')
+export const startBackendProcess = async (env = {}) => {
+  const child = fork(path.join(path.dirname(fileURLToPath(import.meta.url)), 'backendProcess.js'), [JSON.stringify(env)], {
+    stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+  });
+  // 收到回复后摘掉 exit 监听，避免每次请求都多挂一个
+  const nextMessage = () => new Promise((resolve, reject) => {
+    const onExit = (code) => reject(new Error(`backend process exited with code ${code}`));
+    child.once('message', (message) => {
+      child.off('exit', onExit);
+      resolve(message);
+    });
+    child.once('exit', onExit);
+  });
+  const send = async (message) => {
+    const reply = nextMessage();
+    child.send(message);
+    return reply;
+  };
+
+  const { url } = await nextMessage();
+  return {
+    url,
+    enqueue: (...recordings) => send({ type: 'enqueue', recordings }),
+    reset: () => send({ type: 'reset' }),
+    // 还没被消费的录制输出条数
+    pending: async () => (await send({ type: 'ping' })).pending,
+    close: () => new Promise(resolve => {
+      child.once('exit', resolve);
+      child.disconnect();
+    })
+  };
+};
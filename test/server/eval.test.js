@@ -0,0 +1,126 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { recording, startFakeOpenAI } from '../helpers/fakeOpenAI.js';
+import { stubServerEnv } from '../helpers/testServer.js';
+
+let fake;
+let restoreEnv;
+let runEval;
+let loadFixtures;
+
+beforeAll(async () => {
+  fake = await startFakeOpenAI();
+  restoreEnv = stubServerEnv(fake);
+  ({ runEval, loadFixtures } = await import('../../server/eval.js'));
+});
+
+afterAll(async () => {
+  restoreEnv();
+  await fake.close();
+});
+
+beforeEach(() => {
+  fake.reset();
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+const fixture = {
+  id: 'xhs',
+  request: '帮我做一个模仿指定博主风格写小红书文案的工具',
+  category: 'content',
+  priceBand: [599, 999]
+};
+
+// quote.good 的推荐档：199 + (8 × 25 + 1 × 0.5 × 120) × 1.2 + 150 ≈ 659
+describe('runEval', () => {
+  it('passes a request whose outputs are valid and priced inside the band', async () => {
+    fake.enqueue(recording('questions.good'), recording('quote.good'));
+
+    const { results, summary } = await runEval([fixture]);
+    expect(results[0]).toMatchObject({
+      questions: { outcome: 'first', retries: 0 },
+      quote: { outcome: 'first', retries: 0 },
+      category: 'content',
+      categoryOk: true,
+      price: 659,
+      priceOk: true
+    });
+    expect(summary.quote).toEqual({ total: 1, first: 1, repaired: 0, invalid: 0, error: 0 });
+    expect(summary.priceBand).toEqual({ checked: 1, passed: 1 });
+  });
+
+  it('answers with the fixture answers and falls back to the first option', async () => {
+    fake.enqueue(recording('questions.good'), recording('quote.good'));
+
+    await runEval([{ ...fixture, answers: [undefined, '每周 20 篇左右'] }]);
+    const quotePrompt = fake.requests[1].messages.at(-1).content;
+    expect(quotePrompt).toContain('答：小红书');
+    expect(quotePrompt).toContain('答：每周 20 篇左右');
+  });
+
+  it('counts outputs that only pass after a repair', async () => {
+    fake.enqueue(recording('questions.good'), recording('quote.missing-tiers'), recording('quote.trailing-prose'));
+
+    const { results, summary } = await runEval([fixture]);
+    expect(results[0].quote).toMatchObject({ outcome: 'repaired', retries: 1 });
+    expect(summary.quote).toMatchObject({ first: 0, repaired: 1 });
+  });
+
+  it('reports invalid outputs and prices outside the band', async () => {
+    fake.enqueue(
+      recording('questions.good'), recording('quote.missing-tiers'), recording('not-json'),
+      recording('questions.good'), recording('quote.good')
+    );
+
+    const { results, summary } = await runEval([fixture, { ...fixture, id: 'expensive', priceBand: [1000, 1299] }]);
+    expect(results[0].quote.outcome).toBe('invalid');
+    expect(results[0].priceOk).toBeNull();
+    expect(results[1].priceOk).toBe(false);
+    expect(summary.quote).toMatchObject({ total: 2, first: 1, invalid: 1 });
+    expect(summary.priceBand).toEqual({ checked: 1, passed: 0 });
+  });
+
+  it('counts a quote with out-of-band prices from the model as a band failure', async () => {
+    fake.enqueue(recording('questions.good'), recording('quote.claimed-price'));
+
+    const { results, summary } = await runEval([fixture]);
+    expect(results[0].priceOk).toBe(false);
+    expect(summary.priceBand).toEqual({ checked: 1, passed: 0 });
+  });
+
+  it('stops after the questions step when the model is unreachable', async () => {
+    fake.enqueue({ status: 401, body: { error: { message: 'invalid api key' } } });
+
+    const { results, summary } = await runEval([fixture]);
+    expect(results[0].questions.outcome).toBe('error');
+    expect(results[0].quote).toBeNull();
+    expect(summary.quote.total).toBe(0);
+  });
+});
+
+describe('loadFixtures', () => {
+  const writeFixtures = (value) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'eval-fixtures-')), 'requests.json');
+    fs.writeFileSync(file, JSON.stringify(value));
+    return file;
+  };
+
+  it('fills in missing ids', async () => {
+    const fixtures = await loadFixtures(writeFixtures([{ request: '做一个客服机器人' }]));
+    expect(fixtures).toEqual([{ id: '1', request: '做一个客服机器人' }]);
+  });
+
+  it('rejects a malformed price band', async () => {
+    await expect(loadFixtures(writeFixtures([{ id: 'bad', request: '做一个客服机器人', priceBand: [900, 100] }])))
+      .rejects.toThrow('bad 的 priceBand');
+  });
+
+  it('ships a valid default fixture set', async () => {
+    const fixtures = await loadFixtures(path.resolve('server/evalRequests.json'));
+    expect(fixtures.length).toBeGreaterThan(0);
+    expect(fixtures.every(item => item.priceBand)).toBe(true);
+  });
+});
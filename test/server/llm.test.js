@@ -0,0 +1,86 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { providersFor, recording, startFakeOpenAI } from '../helpers/fakeOpenAI.js';
+
+let fake;
+let llm;
+
+beforeAll(async () => {
+  fake = await startFakeOpenAI();
+  // 第二个服务商同样指向假服务，用来验证降级
+  vi.stubEnv('LLM_PROVIDERS', JSON.stringify([
+    ...JSON.parse(providersFor(fake, { name: 'primary' })),
+    ...JSON.parse(providersFor(fake, { name: 'backup' }))
+  ]));
+  llm = await import('../../server/llm.js');
+});
+
+afterAll(async () => {
+  vi.unstubAllEnvs();
+  await fake.close();
+});
+
+beforeEach(() => {
+  fake.reset();
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+const messages = [
+  { role: 'system', content: 'system prompt' },
+  { role: 'user', content: '帮我做一个小红书文案工具' }
+];
+
+describe('parseModelJson', () => {
+  it.each([
+    ['plain JSON', 'quote.good'],
+    ['markdown fences', 'quote.fenced'],
+    ['prose before and after the JSON', 'quote.trailing-prose']
+  ])('extracts the quote from %s', (_, name) => {
+    const parsed = llm.parseModelJson(recording(name));
+    expect(parsed.tiers).toHaveLength(3);
+    expect(parsed.scope.category).toBe('content');
+  });
+
+  it('rejects output without any JSON', () => {
+    expect(() => llm.parseModelJson(recording('not-json'))).toThrow(/JSON 解析失败/);
+  });
+
+  it('rejects an empty response', () => {
+    expect(() => llm.parseModelJson('')).toThrow(/Empty response/);
+  });
+});
+
+describe('generateContent', () => {
+  it('returns the raw model text and asks for JSON output', async () => {
+    fake.enqueue(recording('quote.fenced'));
+
+    await expect(llm.generateContent(messages)).resolves.toBe(recording('quote.fenced'));
+    expect(fake.requests[0]).toMatchObject({ model: 'fake-model', messages, response_format: { type: 'json_object' } });
+  });
+
+  it('falls back to the next provider when one fails', async () => {
+    fake.enqueue({ status: 503, body: { error: { message: 'overloaded' } } }, recording('quote.good'));
+
+    await expect(llm.generateContent(messages)).resolves.toBe(recording('quote.good'));
+    expect(fake.requests).toHaveLength(2);
+  });
+
+  it('surfaces the last error when every provider fails', async () => {
+    fake.enqueue({ status: 500, body: { error: { message: 'down' } } }, { status: 500, body: { error: { message: 'down' } } });
+
+    await expect(llm.generateContent(messages)).rejects.toThrow();
+  });
+});
+
+describe('streamContent', () => {
+  it('emits deltas that add up to the full response', async () => {
+    fake.enqueue(recording('quote.good'));
+    const deltas = [];
+
+    const content = await llm.streamContent(messages, { onDelta: (text) => deltas.push(text) });
+    expect(content).toBe(recording('quote.good'));
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(deltas.join('')).toBe(content);
+    expect(fake.requests[0].stream).toBe(true);
+  });
+});
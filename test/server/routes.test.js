@@ -0,0 +1,318 @@
+import http from 'node:http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { recording, startFakeOpenAI } from '../helpers/fakeOpenAI.js';
+import { readEventStream, startTestServer } from '../helpers/testServer.js';
+
+let fake;
+let server;
+let hookServer;
+// 收到的新方案通知（generic 格式的请求体）；回复的内容不是机器人接口的格式，也应算送达
+const hooks = [];
+
+beforeAll(async () => {
+  fake = await startFakeOpenAI();
+  hookServer = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    hooks.push(JSON.parse(body));
+    res.end(JSON.stringify({ code: 'ok' }));
+  });
+  await new Promise(resolve => hookServer.listen(0, '127.0.0.1', resolve));
+  server = await startTestServer(fake, {
+    MAX_QUESTION_ROUNDS: '2',
+    WEBHOOK_RETRY_DELAY_MS: '0',
+    WEBHOOKS: JSON.stringify([{ type: 'generic', url: `http://127.0.0.1:${hookServer.address().port}/hook`, events: ['quote.created'] }])
+  });
+});
+
+afterAll(async () => {
+  await server.close();
+  await fake.close();
+  await new Promise(resolve => hookServer.close(resolve));
+});
+
+beforeEach(() => {
+  fake.reset();
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+const post = (path, body, headers = {}) => fetch(`${server.url}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+const request = '帮我做一个模仿指定博主风格写小红书文案的工具';
+const qa = [
+  { question: '文案主要发布在哪个平台？', answer: '小红书' },
+  { question: '每天大概需要多少篇？', answer: '4-10 篇' }
+];
+
+describe('static files', () => {
+  it('rejects a malformed escape in the path without crashing', async () => {
+    expect((await fetch(`${server.url}/%E0%A4%A`)).status).toBe(400);
+    // 服务还活着
+    expect((await fetch(`${server.url}/api/catalog`)).status).toBe(200);
+  });
+});
+
+describe('attachments', () => {
+  it('only keeps file descriptors signed by the upload endpoint', async () => {
+    const { requireAttachments, signUploadedFile } = await import('../../server/attachments.js');
+    const file = signUploadedFile({ path: 'download/noco/brief.pdf', title: 'brief.pdf', mimetype: 'application/pdf', size: 1024 });
+    const attach = (descriptor) => requireAttachments([{ name: 'brief.pdf', kind: 'pdf', summary: '需求说明', file: descriptor }])[0];
+
+    expect(attach(file).file).toEqual({ path: 'download/noco/brief.pdf', title: 'brief.pdf', mimetype: 'application/pdf', size: 1024 });
+    expect(attach({ ...file, path: 'download/noco/other.pdf' }).file).toBeNull();
+    expect(attach({ url: 'javascript:alert(1)', title: 'x' }).file).toBeNull();
+    // 签名对不上只丢文件，摘要照常保留
+    expect(attach({ url: 'https://evil.example/x', signature: file.signature }).summary).toBe('需求说明');
+    expect(signUploadedFile({ url: 'javascript:alert(1)' })).toBeNull();
+  });
+});
+
+describe('POST /api/screen', () => {
+  it('passes a deliverable request through', async () => {
+    fake.enqueue(recording('screening.deliverable'));
+
+    const response = await post('/api/screen', { request });
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ verdict: 'deliverable', reasons: [] });
+  });
+
+  it('requires a request', async () => {
+    const response = await post('/api/screen', { request: '  ' });
+    expect(response.status).toBe(400);
+    expect(fake.requests).toHaveLength(0);
+  });
+});
+
+describe('POST /api/questions', () => {
+  it('returns the first round with question ids and the round limit', async () => {
+    fake.enqueue(recording('questions.good'));
+
+    const response = await post('/api/questions', { request });
+    const result = await response.json();
+    expect(result).toMatchObject({ round: 1, maxRounds: 2, done: false, confidence: 0.6 });
+    expect(result.questions.map(q => q.id)).toEqual([1, 2]);
+  });
+});
+
+describe('POST /api/quote', () => {
+  it('prices the tiers with the rule engine and appends the catalog notes', async () => {
+    fake.enqueue(recording('quote.fenced'));
+
+    const response = await post('/api/quote', { request, qa });
+    expect(response.status).toBe(200);
+    const quote = await response.json();
+    expect(quote.tiers).toHaveLength(3);
+    quote.tiers.forEach(tier => expect(tier.price).toEqual(expect.any(Number)));
+    expect(quote.tiers[0].price).toBeLessThan(quote.tiers[2].price);
+    expect(quote.notes[0]).toBe('需要客户提供 10 篇以上参考文章');
+    expect(quote.notes.length).toBeGreaterThan(1);
+    expect(quote.scope.category).toBe('content');
+  });
+
+  it('streams deltas, a retry and the final quote over SSE', async () => {
+    fake.enqueue(recording('quote.missing-tiers'), recording('quote.trailing-prose'));
+
+    const response = await post('/api/quote', { request, qa }, { Accept: 'text/event-stream' });
+    const events = await readEventStream(response);
+    const names = events.map(event => event.event);
+    expect(names).toContain('delta');
+    expect(names).toContain('retry');
+    expect(names.at(-1)).toBe('done');
+    expect(events.at(-1).data.tiers).toHaveLength(3);
+  });
+
+  it('returns 502 when the model never produces tiers', async () => {
+    fake.enqueue(recording('quote.missing-tiers'), recording('quote.missing-tiers'));
+
+    const response = await post('/api/quote', { request, qa });
+    expect(response.status).toBe(502);
+    expect((await response.json()).error).toMatch(/格式有误/);
+  });
+
+  it('reports the failure as an SSE error event when streaming', async () => {
+    fake.enqueue(recording('not-json'), recording('quote.missing-tiers'));
+
+    const response = await post('/api/quote', { request, qa }, { Accept: 'text/event-stream' });
+    const events = await readEventStream(response);
+    expect(events.at(-1)).toMatchObject({ event: 'error', data: { error: expect.stringMatching(/格式有误/) } });
+  });
+
+  it('rejects a quote where the model wrote its own prices outside the bands', async () => {
+    fake.enqueue(recording('quote.claimed-price'));
+
+    const response = await post('/api/quote', { request, qa });
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual(expect.objectContaining({ code: 'injection' }));
+  });
+
+  it('requires the answers', async () => {
+    const response = await post('/api/quote', { request, qa: [] });
+    expect(response.status).toBe(400);
+  });
+});
+
+// 假服务的队列为空时返回 500，相当于所有服务商都不可用
+describe('POST /api/leads', () => {
+  it('recomputes a custom quote confirmed before the lead was saved', async () => {
+    fake.enqueue(recording('quote.good'));
+    const quote = await (await post('/api/quote', { request, qa })).json();
+    const selection = { tierIndex: 1, features: [0], extras: {} };
+    const custom = { selection, baseTier: quote.tiers[1].name, price: 1, features: [], extras: [] };
+
+    hooks.length = 0;
+    expect((await post('/api/leads', { request, qa, quote: { ...quote, custom } })).status).toBe(201);
+    await vi.waitFor(() => expect(hooks).toHaveLength(1));
+    const saved = hooks[0].data.custom;
+    expect(saved.baseTier).toBe(quote.tiers[1].name);
+    expect(saved.features).toEqual([quote.tiers[1].features[0]]);
+    expect(saved.price).toBeGreaterThan(1);
+  });
+
+  it('counts any 2xx reply from a generic receiver as delivered', async () => {
+    fake.enqueue(recording('quote.good'));
+    const quote = await (await post('/api/quote', { request, qa })).json();
+
+    hooks.length = 0;
+    expect((await post('/api/leads', { request, qa, quote })).status).toBe(201);
+    await vi.waitFor(() => expect(hooks).toHaveLength(1));
+    // 重试间隔为 0，当作失败的话这时已经重发了
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(hooks).toHaveLength(1);
+  });
+
+  it('rejects a malformed custom selection', async () => {
+    fake.enqueue(recording('quote.good'));
+    const quote = await (await post('/api/quote', { request, qa })).json();
+    const custom = { selection: { tierIndex: 1, features: [] } };
+    expect((await post('/api/leads', { request, qa, quote: { ...quote, custom } })).status).toBe(400);
+  });
+});
+
+describe('model outage', () => {
+  it('falls back to the built-in questions for the request category', async () => {
+    const response = await post('/api/questions', { request });
+    expect(response.status).toBe(200);
+    const result = await response.json();
+    expect(result).toMatchObject({ round: 1, maxRounds: 1, done: false, fallback: true });
+    expect(result.questions[0].text).toBe('需要生成几类内容？');
+    expect(fake.requests).toHaveLength(1);
+  });
+
+  it('goes straight to the quote when a follow-up round fails', async () => {
+    const response = await post('/api/questions', { request, qa, round: 2 });
+    expect(await response.json()).toMatchObject({ questions: [], done: true, fallback: true });
+  });
+
+  it('streams a rough estimate priced by the rule engine', async () => {
+    const questions = await (await post('/api/questions', { request })).json();
+    const answers = questions.questions.map(q => ({ question: q.text, answer: q.options[0] }));
+
+    const response = await post('/api/quote', { request, qa: answers }, { Accept: 'text/event-stream' });
+    const { event, data: quote } = (await readEventStream(response)).at(-1);
+    expect(event).toBe('done');
+    expect(quote.estimate).toBe(true);
+    expect(quote.scope.category).toBe('content');
+    expect(quote.notes[0]).toMatch(/^粗略估算/);
+    expect(quote.notes.length).toBeGreaterThan(1);
+    quote.tiers.forEach(tier => expect(tier.price).toBe(tier.range.min));
+
+    // 估算结果可以照常保存为线索
+    expect((await post('/api/leads', { request, qa: answers, quote })).status).toBe(201);
+  });
+
+  it('still reports malformed output instead of estimating', async () => {
+    fake.enqueue(recording('not-json'), recording('not-json'));
+    expect((await post('/api/quote', { request, qa })).status).toBe(502);
+  });
+});
+
+describe('analytics events', () => {
+  it('keeps known events and drops unknown ones', async () => {
+    const { requireEventBatch } = await import('../../server/analytics.js');
+    const events = requireEventBatch({
+      sessionId: 'session-events',
+      events: [{ name: 'mode_change', props: { mode: 'chat' } }, { name: 'page_scroll' }]
+    });
+    expect(events).toEqual([expect.objectContaining({ name: 'mode_change', props: { mode: 'chat' } })]);
+  });
+});
+
+describe('A/B experiments', () => {
+  const visitor = { 'X-Visitor-Id': 'visitor-0001' };
+
+  // 只有一个变体，所有带访客 ID 的请求都会分到它
+  beforeAll(async () => {
+    const { publishCatalog } = await import('../../server/catalogStore.js');
+    const { DEFAULT_CATALOG } = await import('../../shared/catalog.js');
+    await publishCatalog({
+      ...DEFAULT_CATALOG,
+      experiments: [{
+        id: 'anchor',
+        active: true,
+        variants: [{
+          id: 'premium',
+          tiers: [1, 2],
+          recommendedTier: 1,
+          badge: 'value',
+          priceDisplay: 'from',
+          prompts: { quote: '只输出 {{tierCount}} 个档位：{{tierNames}}' }
+        }]
+      }]
+    });
+  });
+
+  afterAll(async () => {
+    const { publishCatalog } = await import('../../server/catalogStore.js');
+    const { DEFAULT_CATALOG } = await import('../../shared/catalog.js');
+    await publishCatalog(DEFAULT_CATALOG);
+  });
+
+  it('quotes with the prompt, tiers and presentation of the assigned variant', async () => {
+    fake.enqueue(recording('quote.good'));
+
+    const quote = await (await post('/api/quote', { request, qa }, visitor)).json();
+    expect(fake.requests[0].messages[0].content).toBe('只输出 2 个档位：标准版、高级版');
+    expect(quote.tiers.map(tier => tier.name)).toEqual(['标准版', '高级版']);
+    expect(quote.presentation).toEqual({ recommendedTier: 1, badge: 'value', priceDisplay: 'from' });
+    expect(quote.variant).toBe('anchor/premium');
+  });
+
+  it('gives the preview the tiers of the assigned variant', async () => {
+    const tierNames = async (headers) => (await (await fetch(`${server.url}/api/catalog`, { headers })).json())
+      .pricing.tiers.map(tier => tier.name);
+    expect(await tierNames(visitor)).toEqual(['标准版', '高级版']);
+    expect(await tierNames({})).toEqual(['基础版', '标准版', '高级版']);
+  });
+
+  it('leaves visitors without an id out of the experiment', async () => {
+    fake.enqueue(recording('quote.good'));
+
+    const quote = await (await post('/api/quote', { request, qa })).json();
+    expect(quote.tiers).toHaveLength(3);
+    expect(quote.presentation).toEqual({ recommendedTier: 1, badge: 'recommended', priceDisplay: 'exact' });
+    expect(quote.variant).toBeNull();
+  });
+
+  it('reports the contact rate per variant', async () => {
+    const send = (sessionId, names, headers = {}) => post('/api/events', {
+      sessionId,
+      events: names.map(name => (name === 'quote' ? { name: 'step_change', props: { to: 'quote' } } : { name }))
+    }, headers);
+    await send('session-a1', ['quote', 'copy_click'], visitor);
+    await send('session-a2', ['quote'], visitor);
+    await send('session-b1', ['quote']);
+
+    const { buildReport } = await import('../../server/analytics.js');
+    const today = new Date().toISOString().slice(0, 10);
+    const { variants } = await buildReport({ from: today, to: today });
+    expect(variants).toEqual([
+      expect.objectContaining({ variant: 'anchor/premium', contactRate: 0.5 }),
+      expect.objectContaining({ variant: null, contactRate: 0 })
+    ]);
+  });
+});
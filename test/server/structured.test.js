@@ -0,0 +1,77 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { providersFor, recording, startFakeOpenAI } from '../helpers/fakeOpenAI.js';
+import { QUOTE_SCHEMA } from '../../shared/schema.js';
+
+let fake;
+let generateStructured;
+
+beforeAll(async () => {
+  fake = await startFakeOpenAI();
+  vi.stubEnv('LLM_PROVIDERS', providersFor(fake));
+  vi.stubEnv('LLM_MAX_RETRIES', '1');
+  ({ generateStructured } = await import('../../server/structured.js'));
+});
+
+afterAll(async () => {
+  vi.unstubAllEnvs();
+  await fake.close();
+});
+
+beforeEach(() => {
+  fake.reset();
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+const task = { systemPrompt: 'system prompt', prompt: '帮我做一个小红书文案工具', schema: QUOTE_SCHEMA };
+
+describe('generateStructured', () => {
+  it.each(['quote.good', 'quote.fenced', 'quote.trailing-prose'])('accepts %s on the first attempt', async (name) => {
+    fake.enqueue(recording(name));
+
+    const quote = await generateStructured(task);
+    expect(quote.tiers.map(tier => tier.name)).toEqual(['基础版', '标准版', '高级版']);
+    expect(fake.requests).toHaveLength(1);
+  });
+
+  it('asks the model to repair a quote without tiers', async () => {
+    fake.enqueue(recording('quote.missing-tiers'), recording('quote.good'));
+    const onRetry = vi.fn();
+
+    const quote = await generateStructured({ ...task, onRetry });
+    expect(quote.tiers).toHaveLength(3);
+    expect(onRetry).toHaveBeenCalledWith({ attempt: 1, problems: ['tiers 缺失'] });
+
+    // 重试时带上原输出和修正说明
+    const retry = fake.requests[1].messages;
+    expect(retry.at(-2)).toEqual({ role: 'assistant', content: recording('quote.missing-tiers') });
+    expect(retry.at(-1).content).toContain('tiers 缺失');
+  });
+
+  it('repairs output that is not JSON at all', async () => {
+    fake.enqueue(recording('not-json'), recording('quote.fenced'));
+
+    const quote = await generateStructured(task);
+    expect(quote.tiers).toHaveLength(3);
+    expect(fake.requests[1].messages.at(-1).content).toContain('JSON 解析失败');
+  });
+
+  it('gives up with a 502 after the configured number of retries', async () => {
+    fake.enqueue(recording('quote.missing-tiers'), recording('quote.missing-tiers'));
+
+    await expect(generateStructured(task)).rejects.toMatchObject({ status: 502 });
+    expect(fake.requests).toHaveLength(2);
+    expect(fake.pending()).toBe(0);
+  });
+
+  it('streams deltas and reports retries when streaming', async () => {
+    fake.enqueue(recording('quote.missing-tiers'), recording('quote.trailing-prose'));
+    const onDelta = vi.fn();
+    const onRetry = vi.fn();
+
+    const quote = await generateStructured({ ...task, onDelta, onRetry });
+    expect(quote.tiers).toHaveLength(3);
+    expect(onDelta).toHaveBeenCalled();
+    expect(onRetry).toHaveBeenCalledTimes(1);
+  });
+});
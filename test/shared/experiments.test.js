@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_CATALOG, validateCatalog } from '../../shared/catalog.js';
+import { applyVariant, assignVariant, findVariant, presentationFor } from '../../shared/experiments.js';
+
+const experiment = (overrides = {}) => ({
+  id: 'anchor',
+  active: true,
+  variants: [{ id: 'control' }, { id: 'premium', tiers: [1, 2], recommendedTier: 0 }],
+  ...overrides
+});
+
+const visitors = Array.from({ length: 400 }, (_, i) => `visitor-${String(i).padStart(4, '0')}`);
+
+describe('assignVariant', () => {
+  it('keeps a visitor in the same variant', () => {
+    const experiments = [experiment()];
+    visitors.slice(0, 20).forEach(visitor => {
+      expect(assignVariant(experiments, visitor).key).toBe(assignVariant(experiments, visitor).key);
+    });
+  });
+
+  it('splits visitors roughly by weight', () => {
+    const experiments = [experiment({ variants: [{ id: 'control', weight: 3 }, { id: 'premium', weight: 1 }] })];
+    const premium = visitors.filter(visitor => assignVariant(experiments, visitor).id === 'premium').length;
+    expect(premium / visitors.length).toBeGreaterThan(0.15);
+    expect(premium / visitors.length).toBeLessThan(0.35);
+  });
+
+  it('never picks a variant with zero weight', () => {
+    const experiments = [experiment({ variants: [{ id: 'control', weight: 0 }, { id: 'premium' }] })];
+    expect(visitors.every(visitor => assignVariant(experiments, visitor).id === 'premium')).toBe(true);
+  });
+
+  it('only assigns when an experiment is active and the visitor is known', () => {
+    expect(assignVariant([experiment({ active: false })], 'visitor-0001')).toBeNull();
+    expect(assignVariant([experiment()], null)).toBeNull();
+    expect(assignVariant([], 'visitor-0001')).toBeNull();
+  });
+});
+
+describe('applyVariant', () => {
+  it('overrides prompts and narrows the tiers', () => {
+    const variant = findVariant([experiment()], 'anchor/premium');
+    const catalog = applyVariant(DEFAULT_CATALOG, { ...variant, prompts: { quote: '新的报价提示词' } });
+    expect(catalog.prompts.quote).toBe('新的报价提示词');
+    expect(catalog.prompts.questions).toBe(DEFAULT_CATALOG.prompts.questions);
+    expect(catalog.pricing.tiers.map(tier => tier.name)).toEqual(['标准版', '高级版']);
+  });
+
+  it('returns the catalog unchanged without a variant', () => {
+    expect(applyVariant(DEFAULT_CATALOG, null)).toBe(DEFAULT_CATALOG);
+  });
+});
+
+describe('presentationFor', () => {
+  it('recommends the middle tier by default', () => {
+    expect(presentationFor(null, 3)).toEqual({ recommendedTier: 1, badge: 'recommended', priceDisplay: 'exact' });
+  });
+
+  it('drops a recommendation that points past the shown tiers', () => {
+    expect(presentationFor(null, 1).recommendedTier).toBeNull();
+    expect(presentationFor({ recommendedTier: null }, 3).recommendedTier).toBeNull();
+  });
+});
+
+describe('validateCatalog experiments', () => {
+  const withExperiments = (experiments) => validateCatalog({ ...DEFAULT_CATALOG, experiments });
+
+  it('accepts a well-formed experiment', () => {
+    expect(withExperiments([experiment()])).toEqual([]);
+  });
+
+  it('rejects tiers and recommendations outside the catalog', () => {
+    const errors = withExperiments([experiment({
+      variants: [{ id: 'a', tiers: [2, 5] }, { id: 'b', tiers: [0], recommendedTier: 1 }, { id: 'c', badge: 'hot' }]
+    })]);
+    expect(errors).toEqual([
+      expect.stringContaining('变体 a 的 tiers'),
+      expect.stringContaining('变体 b 的 recommendedTier'),
+      expect.stringContaining('变体 c 的 badge')
+    ]);
+  });
+
+  it('checks variables in overridden prompts', () => {
+    const errors = withExperiments([experiment({ variants: [{ id: 'a', prompts: { quote: '{{unknown}}', intro: '你好' } }] })]);
+    expect(errors).toEqual([
+      expect.stringContaining('未知变量：unknown'),
+      expect.stringContaining('未知的提示词阶段：intro')
+    ]);
+  });
+});
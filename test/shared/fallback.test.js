@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_CATALOG, localizeCatalog } from '../../shared/catalog.js';
+import { buildFallbackQuestions, detectCategory, estimateQuote } from '../../shared/fallback.js';
+import { applyPricing, findOutOfBandTiers } from '../../shared/pricing.js';
+
+const request = '每天定时把飞书表格里的数据汇总成报表推送到群里';
+
+// 每个问题都选第 index 个选项
+const answerAll = (questions, index) => questions.map(q => ({ question: q.text, answer: q.options[Math.min(index, q.options.length - 1)] }));
+
+describe('detectCategory', () => {
+  it('picks the category with the most keyword hits', () => {
+    expect(detectCategory('帮我写小红书文案', DEFAULT_CATALOG)).toBe('content');
+    expect(detectCategory('A chatbot that answers FAQ for my shop', DEFAULT_CATALOG)).toBe('customer-service');
+  });
+
+  it('falls back to the last category', () => {
+    expect(detectCategory('帮我做个东西', DEFAULT_CATALOG)).toBe('other');
+  });
+});
+
+describe('estimateQuote', () => {
+  it('asks the questions in the customer\'s language', () => {
+    const questions = buildFallbackQuestions(request, localizeCatalog(DEFAULT_CATALOG, 'en'), 'en');
+    expect(questions.map(q => q.id)).toEqual([1, 2, 3, 4]);
+    expect(questions[1].text).toBe('How automated should it be?');
+    expect(questions[3].options).toContain('n8n');
+  });
+
+  it('prices bigger answers higher and stays inside the tier bands', () => {
+    const questions = buildFallbackQuestions(request, DEFAULT_CATALOG);
+    const price = (index) => {
+      const qa = answerAll(questions, index);
+      return applyPricing(estimateQuote(request, qa, DEFAULT_CATALOG), qa.map(item => item.answer), DEFAULT_CATALOG.pricing).tiers;
+    };
+
+    const small = price(0);
+    const large = price(2);
+    expect(small[1].price).toBeLessThan(large[1].price);
+    expect(findOutOfBandTiers(small)).toEqual([]);
+    expect(findOutOfBandTiers(large)).toEqual([]);
+  });
+
+  it('widens the range for answers it cannot interpret', () => {
+    const questions = buildFallbackQuestions(request, DEFAULT_CATALOG);
+    const exact = estimateQuote(request, answerAll(questions, 1), DEFAULT_CATALOG);
+    const typed = estimateQuote(request, questions.map(q => ({ question: q.text, answer: '不太确定' })), DEFAULT_CATALOG);
+
+    expect(exact.estimate).toBe(true);
+    expect(exact.scope.category).toBe('automation');
+    expect(exact.tiers[0].range.min).toBe(exact.tiers[0].range.max);
+    expect(typed.tiers[0].range.min).toBeLessThan(typed.tiers[0].range.max);
+    // 同样的输入总是给出同样的结果
+    expect(estimateQuote(request, answerAll(questions, 1), DEFAULT_CATALOG)).toEqual(exact);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_CATALOG, localizeCatalog, validateCatalog } from '../../shared/catalog.js';
+import { DEFAULT_PRICING_RULES, applyPricing, computeCustomQuote, findClaimedOutOfBandTiers, splitPayment } from '../../shared/pricing.js';
+
+const quote = {
+  scope: { category: 'content', platform: 'Dify', nodeCount: 8, integrations: ['飞书多维表格'], automation: 'semi' },
+  tiers: [
+    { features: ['功能A'], desc: '' },
+    { features: ['功能A', '功能B'], desc: '' },
+    { features: ['功能A', '功能B', '功能C'], desc: '' }
+  ],
+  notes: [],
+  analysis: ''
+};
+
+describe('delivery terms', () => {
+  it('scales the build and debug milestones with the tier workload', () => {
+    const { tiers } = applyPricing(quote);
+    // 标准版：8 个节点 -> 搭建多 2 天；0.5 个集成 -> 联调多 1 天
+    expect(tiers[1].schedule.milestones.map(item => item.days)).toEqual([1, 3, 2, 1]);
+    expect(tiers[1].schedule.totalDays).toBe(7);
+    expect(tiers[0].schedule.totalDays).toBeLessThan(tiers[1].schedule.totalDays);
+    expect(tiers.map(tier => tier.revisions)).toEqual([1, 2, 3]);
+  });
+
+  it('asks for a deposit only above the threshold', () => {
+    const { tiers, paymentTerms } = applyPricing(quote);
+    expect(tiers[1].price).toBe(659);
+    expect(tiers[1].payment).toEqual({ deposit: null, balance: 659 });
+    expect(tiers[2].payment).toEqual({ deposit: 450, balance: 1049 });
+    expect(paymentTerms.depositPercent).toBe(30);
+    expect(splitPayment(1000, DEFAULT_PRICING_RULES.payment)).toEqual({ deposit: 300, balance: 700 });
+  });
+
+  it('has no payment for a consult-priced tier', () => {
+    const { tiers } = applyPricing({ ...quote, scope: { ...quote.scope, nodeCount: 60, integrations: ['a', 'b', 'c', 'd', 'e'] } });
+    expect(typeof tiers[2].price).toBe('string');
+    expect(tiers[2].payment).toBeNull();
+    expect(tiers[2].schedule.totalDays).toBeGreaterThan(0);
+  });
+
+  it('recomputes the deposit for a customized quote', () => {
+    const priced = applyPricing(quote);
+    const custom = computeCustomQuote(priced, { tierIndex: 1, features: [0, 1], extras: { deploy: 1 } });
+    expect(custom.schedule).toEqual(priced.tiers[1].schedule);
+    expect(custom.revisions).toBe(2);
+    expect(custom.payment).toEqual(splitPayment(custom.price, DEFAULT_PRICING_RULES.payment));
+  });
+
+  it('adds purchased revision rounds to the included ones', () => {
+    const priced = applyPricing(quote);
+    const custom = computeCustomQuote(priced, { tierIndex: 1, features: [0, 1], extras: { revision: 2 } });
+    expect(custom.revisions).toBe(4);
+    expect(custom.extras).toEqual([expect.objectContaining({ id: 'revision', quantity: 2 })]);
+  });
+
+  it('flags prices the model claimed outside the bands', () => {
+    const tiers = [{ name: '基础版', price: '¥1' }, { name: '标准版', price: 899 }, { name: '高级版', price: '面议' }];
+    expect(findClaimedOutOfBandTiers(tiers)).toEqual(['基础版']);
+    // 没写价格的是正常输出
+    expect(findClaimedOutOfBandTiers(quote.tiers)).toEqual([]);
+    // 多出来的档位没有对应的规则，也算越界
+    expect(findClaimedOutOfBandTiers([...tiers, { name: '至尊版', price: 1999 }])).toEqual(['基础版', '至尊版']);
+  });
+
+  it('localizes milestones and payment steps', () => {
+    const { pricing } = localizeCatalog(DEFAULT_CATALOG, 'en');
+    expect(pricing.schedule.milestones[0].name).toBe('Requirements');
+    expect(pricing.payment.depositSteps[1]).toContain('{balance}');
+  });
+
+  it('rejects broken schedule and payment rules', () => {
+    const pricing = {
+      ...DEFAULT_PRICING_RULES,
+      schedule: { ...DEFAULT_PRICING_RULES.schedule, milestones: [{ id: 'build', name: '搭建', days: 1, scale: 'pages' }] },
+      payment: { ...DEFAULT_PRICING_RULES.payment, depositPercent: 120 }
+    };
+    expect(validateCatalog({ ...DEFAULT_CATALOG, pricing })).toEqual([
+      '里程碑 build 的 scale 只能是 nodes / integrations',
+      'pricing.payment.depositPercent 必须在 0 到 100 之间'
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeSpec, specToMarkdown, toDifyDsl, toN8nWorkflow, toYaml } from '../../shared/spec.js';
+import { SPEC_SCHEMA, validate } from '../../shared/schema.js';
+
+const spec = normalizeSpec(validate(SPEC_SCHEMA, {
+  title: '小红书仿写助手',
+  summary: '输入选题，按博主风格生成文案。',
+  inputs: [{ name: 'topic', desc: '选题' }, { name: '风格样例', desc: '3 篇对标笔记' }],
+  outputs: [{ name: 'note', desc: '标题和正文' }],
+  nodes: [
+    { name: '开始', type: 'trigger' },
+    { name: '生成文案', type: 'llm', desc: '参照样例写标题和正文' },
+    { name: '生成文案', type: 'rewrite', desc: '去掉违禁词' },
+    { name: '结束', type: 'output' }
+  ],
+  services: [{ name: 'OpenAI', purpose: '文案生成', credential: 'API Key' }],
+  acceptance: ['10 个选题中至少 8 篇风格相似']
+}).value);
+
+describe('normalizeSpec', () => {
+  it('treats unknown node types as code', () => {
+    expect(spec.nodes.map(node => node.type)).toEqual(['trigger', 'llm', 'code', 'output']);
+  });
+});
+
+describe('specToMarkdown', () => {
+  it('lists the scope, nodes, credentials and acceptance criteria', () => {
+    const markdown = specToMarkdown(spec, {
+      request: '模仿博主写小红书',
+      qa: [{ question: '发布平台？', answer: '小红书' }],
+      tier: { name: '标准版', features: ['风格仿写'] },
+      platform: 'Dify'
+    });
+    expect(markdown).toContain('## 交付范围：标准版（Dify）');
+    expect(markdown).toContain('2. **生成文案**（大模型）：参照样例写标题和正文');
+    expect(markdown).toContain('| OpenAI | 文案生成 | API Key |');
+    expect(markdown).toContain('- [ ] 10 个选题中至少 8 篇风格相似');
+  });
+});
+
+describe('toYaml', () => {
+  it('writes nested objects and lists of objects', () => {
+    expect(toYaml({ app: { name: 'a "b"', tags: [] }, nodes: [{ id: '1', position: { x: 0 } }, 'c'] })).toBe([
+      'app:',
+      '  name: "a \\"b\\""',
+      '  tags: []',
+      'nodes:',
+      '- id: "1"',
+      '  position:',
+      '    x: 0',
+      '- "c"'
+    ].join('\n'));
+  });
+});
+
+describe('toDifyDsl', () => {
+  it('maps nodes to Dify node types and chains them', () => {
+    const dsl = toDifyDsl(spec);
+    expect(dsl).toContain('mode: "workflow"');
+    expect(['start', 'llm', 'code', 'end'].every(type => dsl.includes(`type: "${type}"`))).toBe(true);
+    expect(dsl).toContain('variable: "topic"');
+    expect(dsl).toContain('variable: "input_2"');
+    expect(dsl.match(/sourceHandle: "source"/g)).toHaveLength(3);
+  });
+});
+
+describe('toN8nWorkflow', () => {
+  it('gives duplicate node names a suffix and connects them in order', () => {
+    const workflow = toN8nWorkflow(spec);
+    expect(workflow.nodes.map(node => node.name)).toEqual(['开始', '生成文案', '生成文案 2', '结束']);
+    expect(workflow.connections['生成文案'].main[0][0].node).toBe('生成文案 2');
+    expect(workflow.connections['结束']).toBeUndefined();
+  });
+});
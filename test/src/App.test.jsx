@@ -0,0 +1,172 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from '../../src/App.jsx';
+import { I18nProvider } from '../../src/i18n/index.jsx';
+import { startBackendProcess } from '../helpers/testServer.js';
+
+// 完整的三步流程：描述需求 -> 回答问题 -> 看到方案，前端请求打到真实的 API 服务，
+// 模型输出来自录制文件。只追问一轮，提交答案后直接生成报价。
+let backend;
+const nativeFetch = globalThis.fetch;
+
+beforeAll(async () => {
+  backend = await startBackendProcess({ MAX_QUESTION_ROUNDS: '1' });
+});
+
+afterAll(async () => {
+  await backend.close();
+});
+
+beforeEach(async () => {
+  await backend.reset();
+  localStorage.clear();
+  sessionStorage.clear();
+  localStorage.setItem('xq_locale', JSON.stringify('zh-CN'));
+  // 前端请求的是相对路径 /api/...，转到子进程里的 API 服务
+  vi.stubGlobal('fetch', (input, init) => nativeFetch(new URL(input, backend.url), init));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+const renderApp = () => render(<I18nProvider><App /></I18nProvider>);
+
+// 填写需求并开始评估，停在问题页
+const startEstimate = async (user) => {
+  await backend.enqueue('screening.deliverable', 'questions.good');
+  await user.type(screen.getByPlaceholderText(/例如/), '帮我做一个模仿指定博主风格写小红书文案的工具');
+  await user.click(screen.getByRole('button', { name: /开始评估/ }));
+  // 问题会先出现在流式预览里，等到提交按钮出现才算进入问题页
+  await screen.findByRole('button', { name: /查看我的定制方案/ }, { timeout: 5000 });
+  expect(screen.getByText('文案主要发布在哪个平台？')).toBeInTheDocument();
+};
+
+describe('App', () => {
+  it('walks from the request to a priced quote', async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await startEstimate(user);
+
+    await user.click(screen.getByRole('button', { name: '小红书' }));
+    // 第二题选"其他"自己填写
+    const otherButtons = screen.getAllByRole('button', { name: /其他情况/ });
+    await user.click(otherButtons[1]);
+    await user.type(screen.getByPlaceholderText('请具体描述您的情况...'), '每周 20 篇左右');
+
+    await backend.enqueue('quote.fenced');
+    await user.click(screen.getByRole('button', { name: /查看我的定制方案/ }));
+
+    // 分析说明在方案页和用于导出的方案文档里各出现一次
+    expect(await screen.findAllByText('这是一个典型的内容生成工作流，用 Dify 搭建即可。', {}, { timeout: 5000 })).not.toHaveLength(0);
+    const features = screen.getAllByText('定时写入飞书表格');
+    expect(features.length).toBeGreaterThan(0);
+    // 价格由服务端规则引擎给出，三个档位都有价格
+    const priced = screen.getAllByText(/¥\s?[\d,]+/);
+    expect(priced.length).toBeGreaterThanOrEqual(3);
+    expect(screen.getAllByText('需要客户提供 10 篇以上参考文章')).not.toHaveLength(0);
+    expect(await backend.pending()).toBe(0);
+  }, 20000);
+
+  it('recovers from malformed model output on a retry', async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await startEstimate(user);
+
+    await user.click(screen.getByRole('button', { name: '小红书' }));
+    await user.click(screen.getByRole('button', { name: '4-10 篇' }));
+
+    await backend.enqueue('quote.missing-tiers', 'quote.trailing-prose');
+    await user.click(screen.getByRole('button', { name: /查看我的定制方案/ }));
+
+    // 分析说明在方案页和用于导出的方案文档里各出现一次
+    expect(await screen.findAllByText('这是一个典型的内容生成工作流，用 Dify 搭建即可。', {}, { timeout: 5000 })).not.toHaveLength(0);
+  }, 20000);
+
+  it('shows an error and keeps the answers when the quote cannot be generated', async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await startEstimate(user);
+
+    await user.click(screen.getByRole('button', { name: '小红书' }));
+    await user.click(screen.getByRole('button', { name: '4-10 篇' }));
+
+    await backend.enqueue('quote.missing-tiers', 'not-json');
+    await user.click(screen.getByRole('button', { name: /查看我的定制方案/ }));
+
+    expect(await screen.findByText(/生成方案时遇到问题，请重试。.*格式有误/, {}, { timeout: 5000 })).toBeInTheDocument();
+    // 回到问题页，之前的选择还在
+    const question = screen.getByText('文案主要发布在哪个平台？').closest('div');
+    expect(within(question).getByRole('button', { name: '小红书' })).toHaveClass('border-blue-500');
+  }, 20000);
+
+  it('asks to answer every question before quoting', async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await startEstimate(user);
+
+    await user.click(screen.getByRole('button', { name: '小红书' }));
+    await user.click(screen.getByRole('button', { name: /查看我的定制方案/ }));
+
+    expect(screen.getByText(/请先完成所有选项/)).toBeInTheDocument();
+    expect(await backend.pending()).toBe(0);
+  }, 20000);
+
+  it('falls back to a rough estimate and retries the lead save once back online', async () => {
+    const user = userEvent.setup();
+    renderApp();
+    // 只录了筛查结果，之后的提问和报价调用模型都会失败，服务端改用内置问题和规则估价
+    await backend.enqueue('screening.deliverable');
+    await user.type(screen.getByPlaceholderText(/例如/), '帮我做一个模仿指定博主风格写小红书文案的工具');
+    await user.click(screen.getByRole('button', { name: /开始评估/ }));
+    expect(await screen.findByText('需要生成几类内容？', {}, { timeout: 5000 })).toBeInTheDocument();
+
+    for (const option of ['2-3 类', '半自动，关键步骤人工确认', '不需要', 'Dify']) {
+      await user.click(screen.getByRole('button', { name: option }));
+    }
+
+    // 第一次保存线索时断网
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    let offline = true;
+    vi.stubGlobal('fetch', (input, init) => (offline && String(input).endsWith('/api/leads')
+      ? Promise.reject(new TypeError('Failed to fetch'))
+      : nativeFetch(new URL(input, backend.url), init)));
+    await user.click(screen.getByRole('button', { name: /查看我的定制方案/ }));
+
+    expect(await screen.findByText('粗略估算', {}, { timeout: 5000 })).toBeInTheDocument();
+    expect(await screen.findByText(/1 份方案待保存/)).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('xq_lead_queue_v1'))).toHaveLength(1);
+
+    offline = false;
+    window.dispatchEvent(new Event('online'));
+    await waitFor(() => expect(screen.queryByText(/份方案待保存/)).not.toBeInTheDocument(), { timeout: 5000 });
+    expect(JSON.parse(localStorage.getItem('xq_lead_queue_v1'))).toEqual([]);
+  }, 20000);
+
+  it('reaches the same quote through chat mode', async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await user.click(screen.getByRole('button', { name: '对话咨询' }));
+
+    await backend.enqueue('screening.deliverable', 'questions.good');
+    await user.type(screen.getByPlaceholderText(/例如/), '帮我做一个模仿指定博主风格写小红书文案的工具');
+    await user.click(screen.getByRole('button', { name: '发送' }));
+
+    // 一次只问一个问题，选项作为快捷回复
+    expect(await screen.findByText('文案主要发布在哪个平台？', {}, { timeout: 5000 })).toBeInTheDocument();
+    expect(screen.queryByText('每天大概需要多少篇？')).not.toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: '小红书' }));
+
+    // 第二题直接打字回答，答完即开始生成方案
+    expect(screen.getByText('每天大概需要多少篇？')).toBeInTheDocument();
+    await backend.enqueue('quote.fenced');
+    await user.type(screen.getByPlaceholderText(/直接输入您的回答/), '每周 20 篇左右{Enter}');
+
+    expect(await screen.findAllByText('这是一个典型的内容生成工作流，用 Dify 搭建即可。', {}, { timeout: 5000 })).not.toHaveLength(0);
+    expect(screen.getAllByText(/¥\s?[\d,]+/).length).toBeGreaterThanOrEqual(3);
+    expect(await backend.pending()).toBe(0);
+  }, 20000);
+});
@@ -0,0 +1,24 @@
+import crypto from 'node:crypto';
+import { describe, expect, it } from 'vitest';
+import { sha256 } from '../../src/lib/sha256.js';
+import { leadingZeroBits } from '../../shared/abuse.js';
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+
+// 非 HTTPS 页面解题用的纯 JS 摘要，结果必须和服务端验证用的 node:crypto 一致
+describe('sha256 fallback', () => {
+  it('matches node:crypto across block boundaries', () => {
+    [0, 3, 55, 56, 64, 65, 200].forEach(length => {
+      const input = crypto.randomBytes(length);
+      expect(hex(sha256(new Uint8Array(input)))).toBe(crypto.createHash('sha256').update(input).digest('hex'));
+    });
+  });
+
+  it('solves a challenge the server accepts', () => {
+    const encoder = new TextEncoder();
+    let nonce = 0;
+    while (leadingZeroBits(sha256(encoder.encode(`challenge:${nonce}`))) < 8) nonce++;
+    const digest = crypto.createHash('sha256').update(`challenge:${nonce}`).digest();
+    expect(leadingZeroBits(digest)).toBeGreaterThanOrEqual(8);
+  });
+});
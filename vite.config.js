@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // 开发时把 /api 转发给 server/（npm run server）
+    proxy: {
+      '/api': `http://localhost:${process.env.PORT || 8787}`,
+    },
+  },
 })
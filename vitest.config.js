@@ -0,0 +1,12 @@
+import { defineConfig, mergeConfig } from 'vitest/config'
+import viteConfig from './vite.config.js'
+
+// 服务端和 shared 的测试跑在 Node 环境，组件测试在文件头用 @vitest-environment jsdom 声明
+export default mergeConfig(viteConfig, defineConfig({
+  test: {
+    include: ['test/**/*.test.{js,jsx}'],
+    setupFiles: ['test/setup.js'],
+    // 每个文件起自己的假模型服务和数据目录，串行跑更省内存
+    fileParallelism: false
+  },
+}))